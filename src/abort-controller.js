@@ -0,0 +1,32 @@
+const EventEmitter = require('events');
+
+// Node 14 only has AbortController behind --experimental-abortcontroller. The fallback covers what
+// the job runners, streamRequest and axios use: abort(), signal.aborted and 'abort' listeners.
+class FallbackAbortSignal {
+  constructor() {
+    this.aborted = false;
+    this.emitter = new EventEmitter();
+  }
+
+  addEventListener(type, listener) {
+    this.emitter.on(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.emitter.removeListener(type, listener);
+  }
+}
+
+class FallbackAbortController {
+  constructor() {
+    this.signal = new FallbackAbortSignal();
+  }
+
+  abort() {
+    if (this.signal.aborted) return;
+    this.signal.aborted = true;
+    this.signal.emitter.emit('abort', { type: 'abort' });
+  }
+}
+
+module.exports = global.AbortController || FallbackAbortController;
@@ -0,0 +1,291 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { execFile } = require('child_process');
+const { getDataDir } = require('./paths');
+const logger = require('./logger');
+
+const RULES_FILE = 'alert-rules.json';
+const MAX_RECENT_ALERTS = 100;
+const DELIVERY_TIMEOUT_MS = 5000;
+
+// Values a rule can watch in each realtime sample. GPU metrics are checked for every GPU separately.
+const METRICS = {
+  'cpu.usage': { label: 'CPU usage', unit: '%', read: stats => stats.cpu.usage },
+  'cpu.temperature': { label: 'CPU temperature', unit: '°C', read: stats => stats.cpu.temperature },
+  'memory.usagePercentage': { label: 'Memory usage', unit: '%', read: stats => stats.memory.usagePercentage },
+  'memory.availableGB': { label: 'Available memory', unit: ' GB', read: stats => stats.memory.availableGB },
+  'gpu.temperature': { label: 'GPU temperature', unit: '°C', perGpu: true },
+  'gpu.utilizationGpu': { label: 'GPU utilization', unit: '%', perGpu: true },
+  'gpu.utilizationMemory': { label: 'GPU memory utilization', unit: '%', perGpu: true },
+  'gpu.memoryUsedMB': { label: 'GPU memory used', unit: ' MB', perGpu: true },
+  'ollama.reachable': { label: 'Ollama reachable', unit: '', read: (stats, context) => context.ollamaReachable }
+};
+
+// Events a rule can fire on straight away; they have nothing to resolve
+const EVENTS = ['job_failed'];
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const DEFAULT_RULES = [
+  { id: 'gpu-temperature', metric: 'gpu.temperature', operator: '>', threshold: 85, forSeconds: 60, severity: 'critical' },
+  { id: 'memory-pressure', metric: 'memory.usagePercentage', operator: '>', threshold: 95, forSeconds: 30, severity: 'warning' },
+  { id: 'ollama-unreachable', metric: 'ollama.reachable', operator: '==', threshold: false, forSeconds: 30, severity: 'critical' },
+  { id: 'pull-failed', event: 'job_failed', jobType: 'pull', severity: 'warning' }
+];
+
+// Threshold rules checked against every realtime sample. A condition has to hold for forSeconds
+// before the alert fires and resolves as soon as it stops holding. Emits 'alert' on every
+// transition; delivery to webhooks and the desktop happens in notify().
+class AlertManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(getDataDir(), RULES_FILE);
+    this.webhooks = options.webhooks || [];
+    this.desktopNotifications = Boolean(options.desktopNotifications);
+    this.platform = options.platform || process.platform;
+    this.rules = options.rules ? this.validateRules(options.rules) : this.loadRules();
+    this.conditions = new Map();
+    this.active = new Map();
+    this.recent = [];
+  }
+
+  // alert-rules.json replaces the defaults as a whole; invalid rules are skipped with a warning
+  loadRules() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read alert rules from ${this.filePath}: ${error.message}`);
+      }
+      return DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
+
+    try {
+      const parsed = JSON.parse(content);
+      if (!Array.isArray(parsed.rules)) throw new Error('expected a "rules" array');
+      return this.validateRules(parsed.rules);
+    } catch (error) {
+      logger.warn(`Could not parse alert rules in ${this.filePath}: ${error.message}; using the defaults`);
+      return DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
+  }
+
+  validateRules(rules) {
+    return rules.filter((rule, index) => {
+      try {
+        this.validateRule(rule);
+        return true;
+      } catch (error) {
+        logger.warn(`Skipping alert rule ${rule?.id || `#${index}`}: ${error.message}`);
+        return false;
+      }
+    }).map(rule => ({ forSeconds: 0, severity: 'warning', ...rule }));
+  }
+
+  validateRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) throw new Error('needs an id');
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (rule.event !== undefined) {
+      if (!EVENTS.includes(rule.event)) throw new Error(`unknown event "${rule.event}"; expected one of ${EVENTS.join(', ')}`);
+      return;
+    }
+    if (!METRICS[rule.metric]) throw new Error(`unknown metric "${rule.metric}"; expected one of ${Object.keys(METRICS).join(', ')}`);
+    if (!OPERATORS[rule.operator]) throw new Error(`unknown operator "${rule.operator}"; expected one of ${Object.keys(OPERATORS).join(' ')}`);
+    if (rule.threshold === undefined) throw new Error('needs a threshold');
+    if (rule.forSeconds !== undefined && !(Number.isFinite(rule.forSeconds) && rule.forSeconds >= 0)) {
+      throw new Error('forSeconds must be a number of seconds');
+    }
+  }
+
+  // One reading per subject: a single one for host metrics, one per GPU keyed by its bus address
+  readMetric(metric, stats, context) {
+    const definition = METRICS[metric];
+    if (definition.perGpu) {
+      const field = metric.split('.')[1];
+      return (stats?.gpu || []).map((gpu, index) => ({
+        subject: gpu.busAddress || `gpu${index}`,
+        subjectLabel: gpu.model || `GPU ${index}`,
+        value: gpu[field]
+      }));
+    }
+    if (metric !== 'ollama.reachable' && !stats) return [];
+    return [{ subject: null, subjectLabel: null, value: definition.read(stats, context) }];
+  }
+
+  evaluate(stats, context = {}, now = Date.now()) {
+    this.rules.filter(rule => rule.metric && rule.enabled !== false).forEach(rule => {
+      const seen = new Set();
+      this.readMetric(rule.metric, stats, context).forEach(reading => {
+        if (reading.value === null || reading.value === undefined) return;
+
+        const key = `${rule.id}|${reading.subject || ''}`;
+        seen.add(key);
+        if (OPERATORS[rule.operator](reading.value, rule.threshold)) {
+          const condition = this.conditions.get(key) || { since: now };
+          this.conditions.set(key, condition);
+          if (!this.active.has(key) && now - condition.since >= rule.forSeconds * 1000) {
+            this.fire(key, rule, reading, condition.since, now);
+          }
+        } else {
+          this.clear(key, reading.value, now);
+        }
+      });
+
+      // A GPU that disappeared (or a metric that stopped reporting) no longer meets the condition
+      Array.from(this.conditions.keys())
+        .filter(key => key.startsWith(`${rule.id}|`) && !seen.has(key))
+        .forEach(key => this.clear(key, null, now));
+    });
+  }
+
+  handleJobUpdate(job, now = Date.now()) {
+    if (job.status !== 'failed') return;
+
+    this.rules
+      .filter(rule => rule.event === 'job_failed' && rule.enabled !== false && (!rule.jobType || rule.jobType === job.type))
+      .forEach(rule => {
+        const target = job.params?.model ? ` ${job.params.model}` : '';
+        this.record({
+          id: `${rule.id}-${now.toString(36)}`,
+          ruleId: rule.id,
+          severity: rule.severity,
+          state: 'firing',
+          subject: job.id,
+          message: `${job.type}${target} failed: ${job.error || 'unknown error'}`,
+          value: null,
+          threshold: null,
+          startedAt: new Date(now).toISOString(),
+          firedAt: new Date(now).toISOString(),
+          resolvedAt: null
+        });
+      });
+  }
+
+  fire(key, rule, reading, since, now) {
+    const definition = METRICS[rule.metric];
+    const subject = reading.subjectLabel ? ` on ${reading.subjectLabel}` : '';
+    const duration = rule.forSeconds > 0 ? ` for ${rule.forSeconds}s` : '';
+    const alert = {
+      id: `${rule.id}-${now.toString(36)}`,
+      ruleId: rule.id,
+      severity: rule.severity,
+      state: 'firing',
+      subject: reading.subject,
+      message: typeof rule.threshold === 'boolean'
+        ? `${definition.label}${subject} is ${reading.value}${duration}`
+        : `${definition.label}${subject} is ${reading.value}${definition.unit} (${rule.operator} ${rule.threshold}${definition.unit}${duration})`,
+      value: reading.value,
+      threshold: rule.threshold,
+      startedAt: new Date(since).toISOString(),
+      firedAt: new Date(now).toISOString(),
+      resolvedAt: null
+    };
+    this.active.set(key, alert);
+    this.record(alert);
+  }
+
+  clear(key, value, now) {
+    this.conditions.delete(key);
+    const alert = this.active.get(key);
+    if (!alert) return;
+
+    this.active.delete(key);
+    this.record({ ...alert, state: 'resolved', value, resolvedAt: new Date(now).toISOString() });
+  }
+
+  record(alert) {
+    this.recent.unshift(alert);
+    this.recent.length = Math.min(this.recent.length, MAX_RECENT_ALERTS);
+    logger[alert.state === 'firing' ? 'warn' : 'info'](`🚨 Alert ${alert.state}: ${alert.message}`);
+    this.emit('alert', alert);
+  }
+
+  getAlerts(limit = MAX_RECENT_ALERTS) {
+    return {
+      active: Array.from(this.active.values()),
+      recent: this.recent.slice(0, limit),
+      rules: this.rules
+    };
+  }
+
+  // Best effort: a failing webhook or missing notify-send is logged and never blocks sampling.
+  // Resolves to one { target, delivered, error } entry per destination.
+  async notify(alert) {
+    const deliveries = this.webhooks.map(url => this.sendWebhook(url, alert));
+    if (this.desktopNotifications) deliveries.push(this.sendDesktopNotification(alert));
+    return Promise.all(deliveries);
+  }
+
+  async sendWebhook(url, alert) {
+    try {
+      await axios.post(url, { type: 'alert', host: os.hostname(), alert }, { timeout: DELIVERY_TIMEOUT_MS });
+      return { target: url, delivered: true, error: null };
+    } catch (error) {
+      logger.warn(`Alert webhook ${url} failed: ${error.message}`);
+      return { target: url, delivered: false, error: error.message };
+    }
+  }
+
+  async sendDesktopNotification(alert) {
+    const title = `Ollama Compass: ${alert.state === 'firing' ? alert.severity : 'resolved'}`;
+    const body = alert.message;
+    const command = this.desktopCommand(title, body, alert);
+    if (!command) {
+      logger.debug(`Desktop notifications are not supported on ${this.platform}`);
+      return { target: 'desktop', delivered: false, error: `not supported on ${this.platform}` };
+    }
+
+    return new Promise(resolve => {
+      execFile(command.file, command.args, { timeout: DELIVERY_TIMEOUT_MS, env: { ...process.env, ...command.env } }, (error) => {
+        if (error) logger.warn(`Desktop notification failed: ${error.message}`);
+        resolve({ target: 'desktop', delivered: !error, error: error ? error.message : null });
+      });
+    });
+  }
+
+  // Title and body reach PowerShell through the environment so they need no quoting
+  desktopCommand(title, body, alert) {
+    switch (this.platform) {
+      case 'linux':
+        return { file: 'notify-send', args: ['-u', alert.severity === 'critical' && alert.state === 'firing' ? 'critical' : 'normal', title, body] };
+      case 'darwin':
+        return { file: 'osascript', args: ['-e', `display notification ${JSON.stringify(body)} with title ${JSON.stringify(title)}`] };
+      case 'win32':
+        return {
+          file: 'powershell.exe',
+          args: ['-NoProfile', '-Command', [
+            'Add-Type -AssemblyName System.Windows.Forms',
+            '$icon = New-Object System.Windows.Forms.NotifyIcon',
+            '$icon.Icon = [System.Drawing.SystemIcons]::Warning',
+            '$icon.Visible = $true',
+            '$icon.ShowBalloonTip(4000, $env:COMPASS_ALERT_TITLE, $env:COMPASS_ALERT_BODY, "Warning")',
+            'Start-Sleep -Seconds 4',
+            '$icon.Dispose()'
+          ].join('; ')],
+          env: { COMPASS_ALERT_TITLE: title, COMPASS_ALERT_BODY: body }
+        };
+      default:
+        return null;
+    }
+  }
+}
+
+AlertManager.DEFAULT_RULES = DEFAULT_RULES;
+AlertManager.METRICS = METRICS;
+
+module.exports = AlertManager;
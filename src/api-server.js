@@ -2,21 +2,81 @@ const express = require('express');
 const cors = require('cors');
 const WebSocket = require('ws');
 const http = require('http');
+const path = require('path');
 const HardwareDetector = require('./hardware-detector');
-const OllamaMonitor = require('./ollama-monitor');
+const OllamaHosts = require('./ollama-hosts');
+const ModelRecommender = require('./model-recommender');
+const ModelBenchmark = require('./model-benchmark');
+const ModelComparison = require('./model-comparison');
+const BenchmarkStore = require('./benchmark-store');
+const MetricsRegistry = require('./metrics-registry');
+const AuthManager = require('./auth-manager');
+const StatsHistory = require('./stats-history');
+const JobManager = require('./job-manager');
+const ModelInspector = require('./model-inspector');
+const ModelStorage = require('./model-storage');
+const ModelfileManager = require('./modelfile-manager');
+const AlertManager = require('./alert-manager');
+const { getDataDir } = require('./paths');
+const logger = require('./logger');
+const { getConfig } = require('./config');
 
 class ApiServer {
-  constructor(port = 7171) {
-    this.port = port;
+  constructor(port, options = {}) {
+    this.config = options.config || getConfig();
+    this.port = port || this.config.get('port');
     this.app = express();
     this.server = http.createServer(this.app);
-    this.wss = new WebSocket.Server({ server: this.server });
+    this.auth = new AuthManager();
+    this.wss = new WebSocket.Server({
+      server: this.server,
+      verifyClient: (info, callback) => this.verifyWebSocketClient(info, callback)
+    });
+    
+    this.hardwareDetector = new HardwareDetector(this.config);
+    this.ollamaHosts = new OllamaHosts(undefined, this.config);
+    this.ollamaMonitor = this.ollamaHosts.getMonitor();
+    this.modelRecommender = new ModelRecommender(this.ollamaMonitor);
+    this.modelBenchmark = new ModelBenchmark(this.ollamaMonitor);
+    this.modelComparison = new ModelComparison(this.ollamaMonitor, this.hardwareDetector);
+    this.benchmarkStore = new BenchmarkStore();
+    this.modelInspector = new ModelInspector(this.config);
+    this.modelStorage = new ModelStorage(this.config, this.hardwareDetector);
+    
+    this.statsHistory = new StatsHistory({
+      retentionMs: this.config.get('historyRetentionMinutes') * 60 * 1000,
+      intervalMs: this.config.get('realtimeIntervalMs'),
+      persistPath: this.config.get('persistHistory') ? path.join(getDataDir(), 'stats-history.json') : null
+    });
     
-    this.hardwareDetector = new HardwareDetector();
-    this.ollamaMonitor = new OllamaMonitor();
+    // Benchmarks and comparisons share one queue and run one at a time: a comparison unloads every
+    // model, which would evict the model a benchmark is measuring
+    this.jobs = new JobManager({
+      concurrency: { pull: this.config.get('maxConcurrentPulls'), measure: 1 },
+      groups: { benchmark: 'measure', compare: 'measure' }
+    });
+    this.jobs.on('update', (job) => {
+      this.broadcast({ type: 'job_update', data: job });
+      this.alerts.handleJobUpdate(job);
+    });
+    
+    this.alerts = new AlertManager({
+      webhooks: this.config.get('alertWebhooks'),
+      desktopNotifications: this.config.get('alertDesktopNotifications')
+    });
+    this.alerts.on('alert', (alert) => {
+      this.broadcast({ type: 'alert', data: alert });
+      this.alerts.notify(alert);
+    });
     
     this.clients = new Set();
-    this.realtimeInterval = null;
+    this.samplingInterval = null;
+    this.hostsInterval = null;
+    this.persistInterval = null;
+    this.isSampling = false;
+    this.realtimeEnabled = false;
+    this.runningModelsSignature = null;
+    this.metrics = this.createMetricsRegistry();
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -26,12 +86,7 @@ class ApiServer {
   setupMiddleware() {
     // CORS configuration to allow the web app to connect
     this.app.use(cors({
-      origin: [
-        'http://localhost:3000',
-        'http://localhost:5173',
-        'https://ollamalyzer.com',
-        'https://www.ollamalyzer.com'
-      ],
+      origin: this.config.get('corsOrigins'),
       methods: ['GET', 'POST', 'PUT', 'DELETE'],
       allowedHeaders: ['Content-Type', 'Authorization']
     }));
@@ -40,7 +95,33 @@ class ApiServer {
     
     // Request logging
     this.app.use((req, res, next) => {
-      console.log(`📡 ${req.method} ${req.path} - ${new Date().toISOString()}`);
+      logger.info(`📡 ${req.method} ${req.path} - ${new Date().toISOString()}`);
+      next();
+    });
+
+    // Count requests by route pattern rather than raw path to keep label cardinality bounded
+    this.app.use((req, res, next) => {
+      res.on('finish', () => {
+        this.metrics.inc('api_requests_total', {
+          method: req.method,
+          route: this.routeLabel(req),
+          status: res.statusCode
+        });
+      });
+      next();
+    });
+
+    // Token check; /health stays open so the web app can discover the server before pairing
+    this.app.use((req, res, next) => {
+      if (req.method === 'OPTIONS' || req.path === '/health') return next();
+
+      const result = this.auth.authorize(req, this.config.get('authRequired'));
+      if (!result.allowed) {
+        return res.status(result.status).json({
+          success: false,
+          error: result.error
+        });
+      }
       next();
     });
   }
@@ -52,21 +133,34 @@ class ApiServer {
         status: 'ok',
         timestamp: new Date().toISOString(),
         version: '1.0.0',
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        authRequired: this.config.get('authRequired')
       });
     });
 
+    // Prometheus scrape endpoint
+    this.app.get('/metrics', async (req, res) => {
+      try {
+        await this.collectMetrics();
+        res.set('Content-Type', MetricsRegistry.CONTENT_TYPE);
+        res.send(this.metrics.render());
+      } catch (error) {
+        logger.error('❌ Metrics collection failed:', error);
+        res.status(500).send(`# Metrics collection failed: ${error.message}\n`);
+      }
+    });
+
     // Hardware analysis
     this.app.get('/api/hardware/analyze', async (req, res) => {
       try {
-        console.log('🔍 Hardware analysis requested');
+        logger.info('🔍 Hardware analysis requested');
         const analysis = await this.hardwareDetector.detectHardware();
         res.json({
           success: true,
           data: analysis
         });
       } catch (error) {
-        console.error('❌ Hardware analysis failed:', error);
+        logger.error('❌ Hardware analysis failed:', error);
         res.status(500).json({
           success: false,
           error: error.message
@@ -98,7 +192,57 @@ class ApiServer {
           data: stats
         });
       } catch (error) {
-        console.error('❌ Realtime stats failed:', error);
+        logger.error('❌ Realtime stats failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Realtime stats history, optionally downsampled into min/avg/max buckets
+    this.app.get('/api/hardware/history', (req, res) => {
+      try {
+        const history = this.statsHistory.query({
+          since: req.query.since,
+          resolution: req.query.resolution
+        });
+        res.json({
+          success: true,
+          data: history
+        });
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Routes under /api/ollama/hosts/:host/* target a named host; the plain routes use the default one
+    this.app.param('host', (req, res, next, name) => {
+      const monitor = this.ollamaHosts.getMonitor(name);
+      if (!monitor) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown Ollama host: ${name}`
+        });
+      }
+      req.ollamaMonitor = monitor;
+      next();
+    });
+
+    // All configured Ollama hosts
+    this.app.get('/api/ollama/hosts', async (req, res) => {
+      try {
+        logger.info('🦙 Ollama hosts status requested');
+        const hosts = await this.ollamaHosts.checkAll();
+        res.json({
+          success: true,
+          data: hosts
+        });
+      } catch (error) {
+        logger.error('❌ Ollama hosts check failed:', error);
         res.status(500).json({
           success: false,
           error: error.message
@@ -107,16 +251,42 @@ class ApiServer {
     });
 
     // Ollama status
-    this.app.get('/api/ollama/status', async (req, res) => {
+    this.app.get(['/api/ollama/status', '/api/ollama/hosts/:host/status'], async (req, res) => {
       try {
-        console.log('🦙 Ollama status requested');
-        const status = await this.ollamaMonitor.checkOllamaStatus();
+        logger.info('🦙 Ollama status requested');
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const status = await monitor.checkOllamaStatus();
         res.json({
           success: true,
           data: status
         });
       } catch (error) {
-        console.error('❌ Ollama status check failed:', error);
+        logger.error('❌ Ollama status check failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Models currently loaded in memory (Ollama's /api/ps)
+    this.app.get(['/api/ollama/running', '/api/ollama/hosts/:host/running'], async (req, res) => {
+      try {
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const running = await monitor.getRunningModels();
+        if (!running.success) {
+          return res.status(502).json({
+            success: false,
+            error: running.error
+          });
+        }
+
+        res.json({
+          success: true,
+          data: running
+        });
+      } catch (error) {
+        logger.error('❌ Running models check failed:', error);
         res.status(500).json({
           success: false,
           error: error.message
@@ -125,7 +295,7 @@ class ApiServer {
     });
 
     // Install Ollama model
-    this.app.post('/api/ollama/install', async (req, res) => {
+    this.app.post(['/api/ollama/install', '/api/ollama/hosts/:host/install'], async (req, res) => {
       try {
         const { modelName } = req.body;
         if (!modelName) {
@@ -135,8 +305,162 @@ class ApiServer {
           });
         }
 
-        console.log(`📥 Model installation requested: ${modelName}`);
-        const result = await this.ollamaMonitor.installModel(modelName);
+        logger.info(`📥 Model installation requested: ${modelName}`);
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const job = this.jobs.create('pull', { host: monitor.name, model: modelName }, async ({ signal, updateProgress }) => {
+          const broadcastProgress = this.createPullProgressBroadcaster();
+          const result = await monitor.installModel(modelName, (progress) => {
+            updateProgress(progress);
+            broadcastProgress(progress);
+          }, { signal });
+          this.recordOperation('install', result.success);
+
+          if (!result.success) {
+            this.broadcast({
+              type: 'pull_progress',
+              data: { host: monitor.name, model: modelName, status: 'error', error: result.error }
+            });
+            throw new Error(result.error);
+          }
+          return result;
+        });
+
+        await this.respondWithJob(req, res, job);
+      } catch (error) {
+        logger.error('❌ Model installation failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Delete Ollama model
+    this.app.delete(['/api/ollama/models/:modelName', '/api/ollama/hosts/:host/models/:modelName'], async (req, res) => {
+      try {
+        const { modelName } = req.params;
+        logger.info(`🗑️ Model deletion requested: ${modelName}`);
+        
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const job = this.jobs.create('delete', { host: monitor.name, model: modelName }, async ({ signal }) => {
+          const result = await monitor.deleteModel(modelName, { signal });
+          this.recordOperation('delete', result.success);
+          if (!result.success) throw new Error(result.error);
+          return result;
+        });
+
+        await this.respondWithJob(req, res, job);
+      } catch (error) {
+        logger.error('❌ Model deletion failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Deduplicated disk usage, shared layers and orphaned blobs in the local models directory
+    this.app.get('/api/ollama/storage', async (req, res) => {
+      try {
+        const report = await this.modelStorage.analyze();
+        res.json({
+          success: true,
+          data: report
+        });
+      } catch (error) {
+        logger.error('❌ Storage analysis failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // GGUF metadata read from the local models directory; works while Ollama is down
+    this.app.get('/api/ollama/models/:modelName/details', async (req, res) => {
+      try {
+        try {
+          this.modelInspector.parseName(req.params.modelName);
+        } catch (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError.message
+          });
+        }
+
+        const details = await this.modelInspector.inspect(req.params.modelName);
+        if (!details) {
+          return res.status(404).json({
+            success: false,
+            error: `Model not found in ${this.modelInspector.modelsDir}: ${req.params.modelName}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: details
+        });
+      } catch (error) {
+        logger.error('❌ Model inspection failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Load a model into memory ahead of use
+    this.app.post(['/api/ollama/models/:modelName/load', '/api/ollama/hosts/:host/models/:modelName/load'], async (req, res) => {
+      try {
+        const { modelName } = req.params;
+        let keepAlive;
+        try {
+          keepAlive = req.body.keepAlive === undefined
+            ? undefined
+            : this.config.validate('keepAlive', this.config.parse('keepAlive', String(req.body.keepAlive)));
+        } catch (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError.message
+          });
+        }
+
+        logger.info(`🔼 Model load requested: ${modelName}`);
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+
+        // Memory readings describe this machine, so remote hosts are loaded unchecked
+        let memoryCheck = null;
+        if (monitor.isLocalHost()) {
+          const stats = await this.hardwareDetector.getRealtimeStats();
+          memoryCheck = await new ModelRecommender(monitor).checkLoad(modelName, stats);
+          if (memoryCheck.warning) logger.warn(`⚠️ ${memoryCheck.warning}`);
+        }
+
+        const result = await monitor.loadModel(modelName, { keepAlive });
+        this.recordOperation('load', result.success);
+        
+        res.status(result.success ? 200 : 400).json({
+          success: result.success,
+          data: { ...result, memoryCheck },
+          error: result.error
+        });
+      } catch (error) {
+        logger.error('❌ Model load failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post(['/api/ollama/models/:modelName/unload', '/api/ollama/hosts/:host/models/:modelName/unload'], async (req, res) => {
+      try {
+        const { modelName } = req.params;
+        logger.info(`🔽 Model unload requested: ${modelName}`);
+        
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const result = await monitor.unloadModel(modelName);
+        this.recordOperation('unload', result.success);
         
         if (result.success) {
           res.json({
@@ -150,7 +474,7 @@ class ApiServer {
           });
         }
       } catch (error) {
-        console.error('❌ Model installation failed:', error);
+        logger.error('❌ Model unload failed:', error);
         res.status(500).json({
           success: false,
           error: error.message
@@ -158,13 +482,83 @@ class ApiServer {
       }
     });
 
-    // Delete Ollama model
-    this.app.delete('/api/ollama/models/:modelName', async (req, res) => {
+    // Free all model memory without restarting Ollama
+    this.app.post(['/api/ollama/unload-all', '/api/ollama/hosts/:host/unload-all'], async (req, res) => {
       try {
-        const { modelName } = req.params;
-        console.log(`🗑️ Model deletion requested: ${modelName}`);
+        logger.info('🔽 Unload of all models requested');
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const result = await monitor.unloadAll();
+        this.recordOperation('unload', result.success);
         
-        const result = await this.ollamaMonitor.deleteModel(modelName);
+        res.status(result.success ? 200 : 400).json({
+          success: result.success,
+          data: result,
+          error: result.error
+        });
+      } catch (error) {
+        logger.error('❌ Unloading all models failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Create a model from Modelfile text; runs as a job because Ollama may pull the base model first
+    this.app.post(['/api/ollama/create', '/api/ollama/hosts/:host/create'], async (req, res) => {
+      try {
+        const { name, modelfile } = req.body;
+        if (!name || !modelfile) {
+          return res.status(400).json({
+            success: false,
+            error: 'name and modelfile are required'
+          });
+        }
+
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const modelfiles = new ModelfileManager(monitor);
+        let request;
+        try {
+          // Reading files from the server's disk on behalf of a remote client is not allowed
+          request = await modelfiles.buildCreateRequest(modelfiles.parse(modelfile), { allowLocalFiles: false });
+        } catch (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError.message
+          });
+        }
+
+        logger.info(`🛠️ Model creation requested: ${name}`);
+        const job = this.jobs.create('create', { host: monitor.name, model: name }, async ({ signal, updateProgress }) => {
+          const result = await monitor.createModel(name, request, updateProgress, { signal });
+          this.recordOperation('create', result.success);
+          if (!result.success) throw new Error(result.error);
+          return result;
+        });
+
+        await this.respondWithJob(req, res, job);
+      } catch (error) {
+        logger.error('❌ Model creation failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.post(['/api/ollama/copy', '/api/ollama/hosts/:host/copy'], async (req, res) => {
+      try {
+        const { source, destination } = req.body;
+        if (!source || !destination) {
+          return res.status(400).json({
+            success: false,
+            error: 'source and destination are required'
+          });
+        }
+
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const result = await monitor.copyModel(source, destination);
+        this.recordOperation('copy', result.success);
         
         if (result.success) {
           res.json({
@@ -178,7 +572,7 @@ class ApiServer {
           });
         }
       } catch (error) {
-        console.error('❌ Model deletion failed:', error);
+        logger.error('❌ Model copy failed:', error);
         res.status(500).json({
           success: false,
           error: error.message
@@ -186,8 +580,51 @@ class ApiServer {
       }
     });
 
+    this.app.get(['/api/ollama/models/:modelName/modelfile', '/api/ollama/hosts/:host/models/:modelName/modelfile'], async (req, res) => {
+      try {
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const modelfile = await new ModelfileManager(monitor).exportModelfile(req.params.modelName);
+        res.json({
+          success: true,
+          data: { model: req.params.modelName, modelfile }
+        });
+      } catch (error) {
+        logger.error('❌ Modelfile export failed:', error);
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Compare parameters, template, system prompt and base layers of two models (?a=&b=)
+    this.app.get(['/api/ollama/diff', '/api/ollama/hosts/:host/diff'], async (req, res) => {
+      try {
+        const { a, b } = req.query;
+        if (!a || !b) {
+          return res.status(400).json({
+            success: false,
+            error: 'Provide the two models to compare as a and b'
+          });
+        }
+
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const diff = await new ModelfileManager(monitor).diff(a, b);
+        res.json({
+          success: true,
+          data: diff
+        });
+      } catch (error) {
+        logger.error('❌ Model diff failed:', error);
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     // Test model generation
-    this.app.post('/api/ollama/test', async (req, res) => {
+    this.app.post(['/api/ollama/test', '/api/ollama/hosts/:host/test'], async (req, res) => {
       try {
         const { modelName, prompt } = req.body;
         if (!modelName) {
@@ -197,15 +634,256 @@ class ApiServer {
           });
         }
 
-        console.log(`🧪 Model test requested: ${modelName}`);
-        const result = await this.ollamaMonitor.testModelGeneration(modelName, prompt);
+        logger.info(`🧪 Model test requested: ${modelName}`);
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const result = await monitor.testModelGeneration(modelName, prompt);
+        this.recordOperation('test', result.success);
         
         res.json({
           success: result.success,
           data: result
         });
       } catch (error) {
-        console.error('❌ Model test failed:', error);
+        logger.error('❌ Model test failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Benchmark model with Ollama's eval counters
+    this.app.post(['/api/ollama/benchmark', '/api/ollama/hosts/:host/benchmark'], async (req, res) => {
+      try {
+        const { modelName, prompt, iterations, warmup, promptLength, numCtx, numPredict } = req.body;
+        if (!modelName) {
+          return res.status(400).json({
+            success: false,
+            error: 'Model name is required'
+          });
+        }
+
+        const options = { prompt, iterations, warmup, promptLength, numCtx, numPredict };
+        try {
+          this.modelBenchmark.normalizeOptions(options);
+        } catch (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError.message
+          });
+        }
+
+        logger.info(`⏱️ Model benchmark requested: ${modelName}`);
+        const monitor = req.ollamaMonitor || this.ollamaMonitor;
+        const benchmark = req.ollamaMonitor ? new ModelBenchmark(monitor) : this.modelBenchmark;
+        const job = this.jobs.create('benchmark', { host: monitor.name, model: modelName, ...options }, async ({ signal, updateProgress }) => {
+          const result = await benchmark.run(modelName, { ...options, signal }, updateProgress);
+          this.recordOperation('benchmark', result.success);
+          if (!result.success) throw new Error(result.error);
+
+          if (req.body.save !== false) {
+            const detector = monitor.isLocalHost() ? this.hardwareDetector : null;
+            const record = await this.benchmarkStore.saveResult(result, detector, monitor);
+            result.id = record.id;
+          }
+          return result;
+        });
+
+        await this.respondWithJob(req, res, job);
+      } catch (error) {
+        logger.error('❌ Model benchmark failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Same prompts against several models in turn; ?wait=true&format=markdown returns the Markdown report
+    this.app.post('/api/ollama/compare', async (req, res) => {
+      try {
+        const { models, prompt, prompts, numCtx, numPredict, unload } = req.body;
+        const options = { models, prompts: prompt !== undefined ? [prompt] : prompts, numCtx, numPredict, unload };
+        try {
+          this.modelComparison.normalizeOptions(options);
+          if (req.query.format !== undefined && !['json', 'markdown'].includes(req.query.format)) {
+            throw new Error(`Invalid format: ${req.query.format}; expected json or markdown`);
+          }
+        } catch (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError.message
+          });
+        }
+
+        logger.info(`⚖️ Model comparison requested: ${models.join(', ')}`);
+        const job = this.jobs.create('compare', { models, promptCount: options.prompts?.length || 1 }, async ({ signal, updateProgress }) => {
+          const result = await this.modelComparison.run(options, updateProgress, signal);
+          this.recordOperation('compare', result.success);
+          if (!result.success) throw new Error(result.results.map(entry => `${entry.model}: ${entry.error}`).join('; '));
+          return result;
+        });
+
+        if (req.query.wait === 'true' && req.query.format === 'markdown') {
+          const finished = await this.jobs.wait(job.id);
+          if (finished.status === 'completed') {
+            return res.type('text/markdown').send(this.modelComparison.toMarkdown(finished.result));
+          }
+        }
+        await this.respondWithJob(req, res, job);
+      } catch (error) {
+        logger.error('❌ Model comparison failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Background jobs (pulls, deletes, benchmarks, comparisons)
+    this.app.get('/api/jobs', (req, res) => {
+      const { status, type } = req.query;
+      res.json({
+        success: true,
+        data: this.jobs.list({ status, type })
+      });
+    });
+
+    this.app.get('/api/jobs/:id', (req, res) => {
+      const job = this.jobs.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Job not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+    });
+
+    // Cancels a queued job, or aborts the Ollama request of a running one
+    this.app.delete('/api/jobs/:id', (req, res) => {
+      const job = this.jobs.cancel(req.params.id);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Job not found: ${req.params.id}`
+        });
+      }
+
+      logger.info(`🛑 Job cancellation requested: ${job.id}`);
+      res.json({
+        success: true,
+        data: job
+      });
+    });
+
+    // Firing alerts, the most recent transitions and the rules they come from
+    this.app.get('/api/alerts', (req, res) => {
+      const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+      if (limit !== undefined && !(limit > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid limit: ${req.query.limit}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: this.alerts.getAlerts(limit)
+      });
+    });
+
+    // Benchmark history
+    this.app.get('/api/benchmarks', async (req, res) => {
+      try {
+        const { model, fingerprint, ollamaVersion, since, limit } = req.query;
+        const records = await this.benchmarkStore.list({ model, fingerprint, ollamaVersion, since, limit });
+        res.json({
+          success: true,
+          data: records
+        });
+      } catch (error) {
+        logger.error('❌ Benchmark history failed:', error);
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Compare two runs (?baseline=&candidate=) or two Ollama versions (?model=&fromVersion=&toVersion=)
+    this.app.get('/api/benchmarks/compare', async (req, res) => {
+      try {
+        const { baseline, candidate, model, fromVersion, toVersion, fingerprint, threshold } = req.query;
+        let comparison;
+        if (baseline && candidate) {
+          comparison = await this.benchmarkStore.compareRuns(baseline, candidate, threshold);
+        } else if (model && fromVersion && toVersion) {
+          comparison = await this.benchmarkStore.compareVersions(model, fromVersion, toVersion, threshold, fingerprint);
+        } else {
+          return res.status(400).json({
+            success: false,
+            error: 'Provide baseline and candidate run IDs, or model, fromVersion and toVersion'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: comparison
+        });
+      } catch (error) {
+        logger.error('❌ Benchmark comparison failed:', error);
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/benchmarks/:id', async (req, res) => {
+      try {
+        const record = await this.benchmarkStore.get(req.params.id);
+        if (!record) {
+          return res.status(404).json({
+            success: false,
+            error: `Benchmark run not found: ${req.params.id}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: record
+        });
+      } catch (error) {
+        logger.error('❌ Benchmark lookup failed:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Model fit recommendations
+    this.app.get('/api/recommend', async (req, res) => {
+      try {
+        const modelNames = req.query.models
+          ? String(req.query.models).split(',').map(name => name.trim()).filter(Boolean)
+          : [];
+
+        logger.info('🧭 Model recommendations requested');
+        const analysis = this.hardwareDetector.lastAnalysis || await this.hardwareDetector.detectHardware();
+        const recommendations = await this.modelRecommender.recommend(analysis, modelNames);
+
+        res.json({
+          success: true,
+          data: recommendations
+        });
+      } catch (error) {
+        logger.error('❌ Model recommendation failed:', error);
         res.status(500).json({
           success: false,
           error: error.message
@@ -222,6 +900,7 @@ class ApiServer {
           isRunning: true,
           startTime: new Date().toISOString(),
           connectedClients: this.clients.size,
+          authRequired: this.config.get('authRequired'),
           endpoints: {
             hardware: '/api/hardware/*',
             ollama: '/api/ollama/*',
@@ -232,9 +911,94 @@ class ApiServer {
     });
   }
 
+  createMetricsRegistry() {
+    return new MetricsRegistry()
+      .gauge('cpu_usage_percent', 'Current total CPU usage')
+      .gauge('cpu_core_usage_percent', 'Current per-core CPU usage')
+      .gauge('cpu_temperature_celsius', 'CPU package temperature')
+      .gauge('memory_usage_percent', 'Memory in use')
+      .gauge('memory_used_bytes', 'Memory in use')
+      .gauge('memory_total_bytes', 'Total system memory')
+      .gauge('gpu_utilization_percent', 'GPU core utilization')
+      .gauge('gpu_memory_utilization_percent', 'GPU memory utilization')
+      .gauge('gpu_temperature_celsius', 'GPU temperature')
+      .gauge('ollama_up', 'Whether the Ollama API is reachable (1) or not (0)')
+      .gauge('ollama_process_running', 'Whether an Ollama process was found (1) or not (0)')
+      .gauge('ollama_installed_models', 'Number of installed Ollama models')
+      .gauge('ollama_model_size_bytes', 'On-disk size of each installed model')
+      .gauge('ollama_loaded_models', 'Number of models currently loaded in memory')
+      .gauge('ollama_loaded_model_size_bytes', 'Memory used by each loaded model')
+      .gauge('ollama_loaded_model_vram_bytes', 'VRAM used by each loaded model')
+      .counter('api_requests_total', 'API requests handled, by method, route and status')
+      .counter('operations_total', 'Model operations started, by operation')
+      .counter('operation_failures_total', 'Model operations that failed, by operation');
+  }
+
+  recordOperation(operation, success) {
+    this.metrics.inc('operations_total', { operation });
+    if (!success) {
+      this.metrics.inc('operation_failures_total', { operation });
+    }
+  }
+
+  async collectMetrics() {
+    const [stats, status, running] = await Promise.all([
+      this.hardwareDetector.getRealtimeStats(),
+      this.ollamaMonitor.checkOllamaStatus(),
+      this.ollamaMonitor.getRunningModels()
+    ]);
+    const metrics = this.metrics;
+
+    ['cpu_core_usage_percent', 'gpu_utilization_percent', 'gpu_memory_utilization_percent',
+      'gpu_temperature_celsius', 'ollama_installed_models', 'ollama_model_size_bytes', 'ollama_loaded_model_size_bytes',
+      'ollama_loaded_model_vram_bytes'].forEach(name => metrics.clear(name));
+
+    if (stats) {
+      metrics.set('cpu_usage_percent', {}, stats.cpu.usage);
+      metrics.set('cpu_temperature_celsius', {}, stats.cpu.temperature);
+      stats.cpu.cores.forEach((load, core) => metrics.set('cpu_core_usage_percent', { core }, load));
+      metrics.set('memory_usage_percent', {}, stats.memory.usagePercentage);
+      metrics.set('memory_used_bytes', {}, stats.memory.usedBytes);
+      metrics.set('memory_total_bytes', {}, stats.memory.totalBytes);
+      stats.gpu.forEach((gpu, index) => {
+        const labels = { gpu: index, model: gpu.model || 'Unknown' };
+        metrics.set('gpu_utilization_percent', labels, gpu.utilizationGpu);
+        metrics.set('gpu_memory_utilization_percent', labels, gpu.utilizationMemory);
+        metrics.set('gpu_temperature_celsius', labels, gpu.temperature);
+      });
+    }
+
+    metrics.set('ollama_up', {}, status.isReachable ? 1 : 0);
+    metrics.set('ollama_process_running', {}, status.processInfo?.isRunning ? 1 : 0);
+    if (status.isReachable) {
+      metrics.set('ollama_installed_models', {}, status.modelsCount);
+      status.installedModels.forEach(model => {
+        metrics.set('ollama_model_size_bytes', { model: model.name }, model.size);
+      });
+    }
+
+    metrics.set('ollama_loaded_models', {}, running.models.length);
+    running.models.forEach(model => {
+      metrics.set('ollama_loaded_model_size_bytes', { model: model.name }, model.sizeBytes);
+      metrics.set('ollama_loaded_model_vram_bytes', { model: model.name }, model.vramBytes);
+    });
+  }
+
+  verifyWebSocketClient(info, callback) {
+    // WebSocket messages only read data, so the upgrade is treated like a GET
+    const upgrade = { method: 'GET', headers: info.req.headers, url: info.req.url };
+    const result = this.auth.authorize(upgrade, this.config.get('authRequired'));
+    if (result.allowed) {
+      callback(true);
+    } else {
+      logger.warn('🔒 Rejected unauthenticated WebSocket connection');
+      callback(false, result.status, result.error);
+    }
+  }
+
   setupWebSocket() {
     this.wss.on('connection', (ws, req) => {
-      console.log('🔌 WebSocket client connected');
+      logger.info('🔌 WebSocket client connected');
       this.clients.add(ws);
 
       // Send initial data
@@ -245,7 +1009,7 @@ class ApiServer {
           const data = JSON.parse(message);
           await this.handleWebSocketMessage(ws, data);
         } catch (error) {
-          console.error('❌ WebSocket message error:', error);
+          logger.error('❌ WebSocket message error:', error);
           ws.send(JSON.stringify({
             type: 'error',
             message: error.message
@@ -254,13 +1018,12 @@ class ApiServer {
       });
 
       ws.on('close', () => {
-        console.log('🔌 WebSocket client disconnected');
+        logger.info('🔌 WebSocket client disconnected');
         this.clients.delete(ws);
         
         // Stop realtime updates if no clients
-        if (this.clients.size === 0 && this.realtimeInterval) {
-          clearInterval(this.realtimeInterval);
-          this.realtimeInterval = null;
+        if (this.clients.size === 0) {
+          this.stopRealtimeUpdates();
         }
       });
     });
@@ -276,14 +1039,42 @@ class ApiServer {
         }));
       }
 
+      // Send recent history so charts are not empty on connect
+      ws.send(JSON.stringify({
+        type: 'stats_history',
+        data: this.statsHistory.query({ since: '15m' })
+      }));
+
       // Send Ollama status
       const ollamaStatus = await this.ollamaMonitor.checkOllamaStatus();
       ws.send(JSON.stringify({
         type: 'ollama_status',
         data: ollamaStatus
       }));
+
+      const hostsStatus = await this.ollamaHosts.checkAll();
+      ws.send(JSON.stringify({
+        type: 'ollama_hosts_status',
+        data: hostsStatus
+      }));
+
+      ws.send(JSON.stringify({
+        type: 'jobs',
+        data: this.jobs.list()
+      }));
+
+      ws.send(JSON.stringify({
+        type: 'alerts',
+        data: this.alerts.getAlerts().active
+      }));
+
+      const running = await this.ollamaMonitor.getRunningModels();
+      ws.send(JSON.stringify({
+        type: 'running_models',
+        data: running
+      }));
     } catch (error) {
-      console.error('❌ Error sending initial data:', error);
+      logger.error('❌ Error sending initial data:', error);
     }
   }
 
@@ -313,6 +1104,29 @@ class ApiServer {
         }));
         break;
       
+      case 'get_running_models':
+        const running = await this.ollamaMonitor.getRunningModels();
+        ws.send(JSON.stringify({
+          type: 'running_models',
+          data: running
+        }));
+        break;
+      
+      case 'get_jobs':
+        ws.send(JSON.stringify({
+          type: 'jobs',
+          data: this.jobs.list()
+        }));
+        break;
+      
+      case 'get_ollama_hosts':
+        const hostsStatus = await this.ollamaHosts.checkAll();
+        ws.send(JSON.stringify({
+          type: 'ollama_hosts_status',
+          data: hostsStatus
+        }));
+        break;
+      
       default:
         ws.send(JSON.stringify({
           type: 'error',
@@ -321,33 +1135,158 @@ class ApiServer {
     }
   }
 
-  startRealtimeUpdates() {
-    if (this.realtimeInterval) return;
+  // Sampling runs for the lifetime of the server so history is available to late joiners;
+  // realtime updates only control whether each sample is also broadcast
+  startSampling() {
+    if (this.samplingInterval) return;
 
-    console.log('📊 Starting realtime updates');
-    this.realtimeInterval = setInterval(async () => {
-      try {
-        const stats = await this.hardwareDetector.getRealtimeStats();
-        if (stats) {
+    this.samplingInterval = setInterval(() => this.sampleRealtimeStats(), this.config.get('realtimeIntervalMs'));
+    if (this.statsHistory.persistPath) {
+      this.persistInterval = setInterval(() => this.saveStatsHistory(), 60000);
+    }
+    this.hostsInterval = setInterval(() => this.broadcastHostsStatus(), 30000);
+  }
+
+  stopSampling() {
+    clearInterval(this.samplingInterval);
+    clearInterval(this.persistInterval);
+    clearInterval(this.hostsInterval);
+    this.samplingInterval = null;
+    this.persistInterval = null;
+    this.hostsInterval = null;
+  }
+
+  async broadcastHostsStatus() {
+    // Polling remote hosts is only worth it while someone is watching
+    if (this.clients.size === 0) return;
+
+    try {
+      const hostsStatus = await this.ollamaHosts.checkAll();
+      this.broadcast({
+        type: 'ollama_hosts_status',
+        data: hostsStatus
+      });
+    } catch (error) {
+      logger.error('❌ Hosts status update error:', error);
+    }
+  }
+
+  async sampleRealtimeStats() {
+    // Slow sensors can take longer than the interval; skip a tick rather than pile up
+    if (this.isSampling) return;
+    this.isSampling = true;
+
+    try {
+      const [stats, running] = await Promise.all([
+        this.hardwareDetector.getRealtimeStats(),
+        this.ollamaMonitor.getRunningModels()
+      ]);
+      this.broadcastRunningModelsChange(running);
+      this.alerts.evaluate(stats, { ollamaReachable: running.success });
+
+      if (stats) {
+        stats.ollama = running.success ? this.ollamaMonitor.correlateGpuMemory(running, stats) : null;
+        this.statsHistory.push(stats);
+        if (this.realtimeEnabled) {
           this.broadcast({
             type: 'realtime_stats',
             data: stats
           });
         }
-      } catch (error) {
-        console.error('❌ Realtime update error:', error);
       }
-    }, 2000); // Update every 2 seconds
+    } catch (error) {
+      logger.error('❌ Realtime update error:', error);
+    } finally {
+      this.isSampling = false;
+    }
+  }
+
+  // Only broadcast when a model is loaded, evicted, moved between devices or its keep-alive is renewed
+  broadcastRunningModelsChange(running) {
+    const signature = JSON.stringify([running.success, running.models.map(model => [model.name, model.vramBytes, model.expiresAt])]);
+    if (signature === this.runningModelsSignature) return;
+
+    this.runningModelsSignature = signature;
+    this.broadcast({
+      type: 'running_models',
+      data: running
+    });
+  }
+
+  async saveStatsHistory() {
+    try {
+      await this.statsHistory.save();
+    } catch (error) {
+      logger.error('❌ Could not save stats history:', error.message);
+    }
+  }
+
+  startRealtimeUpdates() {
+    if (this.realtimeEnabled) return;
+
+    logger.info('📊 Starting realtime updates');
+    this.realtimeEnabled = true;
   }
 
   stopRealtimeUpdates() {
-    if (this.realtimeInterval) {
-      console.log('📊 Stopping realtime updates');
-      clearInterval(this.realtimeInterval);
-      this.realtimeInterval = null;
+    if (this.realtimeEnabled) {
+      logger.info('📊 Stopping realtime updates');
+      this.realtimeEnabled = false;
     }
   }
 
+  // Routes registered for both the default and a named host have two paths; label the one that matched
+  routeLabel(req) {
+    if (!req.route) return 'unmatched';
+    const paths = [].concat(req.route.path);
+    const matched = paths.length === 1
+      ? paths[0]
+      : paths.find(routePath => routePath.includes('/:host/') === (req.params.host !== undefined)) || paths[0];
+    return req.baseUrl + matched;
+  }
+
+  // Jobs answer 202 with the job straight away; ?wait=true holds the response until the job finishes
+  async respondWithJob(req, res, job) {
+    if (req.query.wait !== 'true') {
+      return res.status(202).json({
+        success: true,
+        data: job
+      });
+    }
+
+    const finished = await this.jobs.wait(job.id);
+    if (finished.status === 'completed') {
+      res.json({
+        success: true,
+        data: finished.result
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: finished.error,
+        data: finished
+      });
+    }
+  }
+
+  createPullProgressBroadcaster(intervalMs = 250) {
+    let lastSent = 0;
+    let lastStatus = null;
+
+    // Ollama emits many events per second; forward status changes immediately, byte counts at most every intervalMs
+    return (progress) => {
+      const now = Date.now();
+      if (progress.status === lastStatus && now - lastSent < intervalMs) return;
+
+      lastSent = now;
+      lastStatus = progress.status;
+      this.broadcast({
+        type: 'pull_progress',
+        data: progress
+      });
+    };
+  }
+
   broadcast(message) {
     const messageStr = JSON.stringify(message);
     this.clients.forEach(client => {
@@ -357,26 +1296,42 @@ class ApiServer {
     });
   }
 
-  start() {
+  async start() {
+    this.tokensCreated = this.config.get('authRequired') !== 'none' && this.auth.ensureTokens();
+
+    const restored = await this.statsHistory.load();
+    if (restored > 0) {
+      logger.info(`📈 Restored ${restored} stats history samples`);
+    }
+
+    const lastAnalysis = await this.hardwareDetector.restoreLastAnalysis();
+    if (lastAnalysis) {
+      logger.info(`🖥️  Restored hardware analysis from ${lastAnalysis.analysisTimestamp}`);
+    }
+
     return new Promise((resolve, reject) => {
       this.server.listen(this.port, (error) => {
         if (error) {
           reject(error);
         } else {
-          console.log(`🚀 Ollama Compass CLI Server running on port ${this.port}`);
-          console.log(`   API: http://localhost:${this.port}`);
-          console.log(`   WebSocket: ws://localhost:${this.port}/ws`);
+          this.startSampling();
+          logger.info(`🚀 Ollama Compass CLI Server running on port ${this.port}`);
+          logger.info(`   API: http://localhost:${this.port}`);
+          logger.info(`   WebSocket: ws://localhost:${this.port}/ws`);
           resolve();
         }
       });
     });
   }
 
-  stop() {
+  async stop() {
+    this.stopRealtimeUpdates();
+    this.stopSampling();
+    await this.saveStatsHistory();
+
     return new Promise((resolve) => {
-      this.stopRealtimeUpdates();
       this.server.close(() => {
-        console.log('🛑 Server stopped');
+        logger.info('🛑 Server stopped');
         resolve();
       });
     });
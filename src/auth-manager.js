@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getDataDir } = require('./paths');
+
+const SCOPES = ['read', 'write'];
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+class AuthManager {
+  constructor(filePath = path.join(getDataDir(), 'auth.json')) {
+    this.filePath = filePath;
+    this.tokens = null;
+    this.loadedMtime = null;
+  }
+
+  generateToken() {
+    return this.toBase64Url(crypto.randomBytes(32));
+  }
+
+  // Buffer's 'base64url' encoding needs Node 15.7+, and we still support 14
+  toBase64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // Re-reads the file when it changes so `token rotate` takes effect on a running server
+  load() {
+    let stats;
+    try {
+      stats = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.tokens = null;
+      this.loadedMtime = null;
+      return null;
+    }
+
+    if (this.tokens && this.loadedMtime === stats.mtimeMs) {
+      return this.tokens;
+    }
+
+    const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.tokens = content.tokens || null;
+    this.loadedMtime = stats.mtimeMs;
+    return this.tokens;
+  }
+
+  save(tokens) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    // Owner-only: anyone who can read this file can install and delete models
+    fs.writeFileSync(this.filePath, JSON.stringify({ tokens }, null, 2) + '\n', { mode: 0o600 });
+    fs.chmodSync(this.filePath, 0o600);
+    this.tokens = tokens;
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  // Returns true when tokens were created, i.e. this is the first start
+  ensureTokens() {
+    if (this.load()) return false;
+
+    const now = new Date().toISOString();
+    this.save({
+      write: { token: this.generateToken(), createdAt: now },
+      read: { token: this.generateToken(), createdAt: now }
+    });
+    logger.info(`🔑 Generated API tokens in ${this.filePath}`);
+    return true;
+  }
+
+  getToken(scope = 'write') {
+    this.validateScope(scope);
+    const tokens = this.load();
+    return tokens?.[scope]?.token || null;
+  }
+
+  rotate(scope = 'write') {
+    this.validateScope(scope);
+    const tokens = this.load() || {};
+    tokens[scope] = { token: this.generateToken(), createdAt: new Date().toISOString() };
+    this.save(tokens);
+    return tokens[scope].token;
+  }
+
+  validateScope(scope) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Invalid token scope "${scope}": expected ${SCOPES.join(' or ')}`);
+    }
+  }
+
+  // Scope granted by a presented token; a write token also grants read
+  getScope(presentedToken) {
+    if (!presentedToken) return null;
+    const tokens = this.load();
+    if (!tokens) return null;
+
+    if (this.matches(presentedToken, tokens.write?.token)) return 'write';
+    if (this.matches(presentedToken, tokens.read?.token)) return 'read';
+    return null;
+  }
+
+  matches(presented, expected) {
+    if (!expected) return false;
+    const a = Buffer.from(String(presented));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  extractToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.toLowerCase().startsWith('bearer ')) {
+      return header.slice(7).trim();
+    }
+
+    // Browsers cannot set headers on WebSocket upgrades, so a query parameter is accepted too
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+  }
+
+  // authRequired: 'none' leaves everything open, 'mutating' protects writes, 'all' protects every route
+  getRequiredScope(method, authRequired) {
+    if (authRequired === 'none') return null;
+    if (MUTATING_METHODS.includes(method)) return 'write';
+    return authRequired === 'all' ? 'read' : null;
+  }
+
+  authorize(req, authRequired) {
+    const requiredScope = this.getRequiredScope(req.method, authRequired);
+    if (!requiredScope) return { allowed: true };
+
+    const scope = this.getScope(this.extractToken(req));
+    if (!scope) {
+      return { allowed: false, status: 401, error: 'Authentication required. Send "Authorization: Bearer <token>"; see `ollama-compass token show`' };
+    }
+    if (requiredScope === 'write' && scope !== 'write') {
+      return { allowed: false, status: 403, error: 'This token is read-only; a write token is required' };
+    }
+    return { allowed: true, scope };
+  }
+
+  // Encodes server URL and token so the web app can pair in one step
+  getPairingCode(serverUrl) {
+    return this.toBase64Url(Buffer.from(JSON.stringify({ url: serverUrl, token: this.getToken('write') })));
+  }
+
+  getPairingUrl(serverUrl) {
+    // The fragment is never sent to the web server, keeping the token out of its logs
+    return `https://ollamalyzer.com/#pair=${this.getPairingCode(serverUrl)}`;
+  }
+}
+
+AuthManager.SCOPES = SCOPES;
+
+module.exports = AuthManager;
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDataDir } = require('./paths');
+const logger = require('./logger');
+
+const HISTORY_FILE = 'benchmarks.jsonl';
+
+// Metrics compared between runs; higherIsBetter decides which direction counts as a regression
+const COMPARED_METRICS = [
+  { key: 'generationTokensPerSecond', label: 'Generation tok/s', higherIsBetter: true },
+  { key: 'promptTokensPerSecond', label: 'Prompt tok/s', higherIsBetter: true },
+  { key: 'timeToFirstTokenMs', label: 'Time to first token (ms)', higherIsBetter: false },
+  { key: 'loadDurationMs', label: 'Model load (ms)', higherIsBetter: false }
+];
+
+class BenchmarkStore {
+  constructor(dataDir = getDataDir()) {
+    this.dataDir = dataDir;
+    this.historyPath = path.join(dataDir, HISTORY_FILE);
+  }
+
+  buildRecord(result, analysis, ollamaStatus) {
+    const installed = (ollamaStatus?.installedModels || []).find(model =>
+      model.name === result.model || model.name === `${result.model}:latest`
+    );
+
+    return {
+      id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      savedAt: new Date().toISOString(),
+      model: result.model,
+      modelDigest: installed?.digest || null,
+      modelSizeBytes: installed?.size || null,
+      ollamaVersion: ollamaStatus?.version || 'Unknown',
+      ollamaHost: ollamaStatus?.host || null,
+      hardwareFingerprint: analysis?.hardwareFingerprint || null,
+      hostname: analysis?.hardwareSpecs?.system?.hostname || null,
+      gpuDriver: analysis?.hardwareSpecs?.gpu?.driver || null,
+      parameters: result.parameters,
+      coldLoadMs: result.coldLoadMs,
+      summary: result.summary,
+      runs: result.runs,
+      startedAt: result.startedAt,
+      completedAt: result.completedAt
+    };
+  }
+
+  async save(record) {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    await fs.promises.appendFile(this.historyPath, JSON.stringify(record) + '\n');
+    return record;
+  }
+
+  // Pass no hardwareDetector for a remote Ollama host; this machine's fingerprint would not describe it
+  async saveResult(result, hardwareDetector, ollamaMonitor) {
+    const [analysis, ollamaStatus] = await Promise.all([
+      hardwareDetector ? hardwareDetector.lastAnalysis || hardwareDetector.detectHardware() : null,
+      ollamaMonitor.checkOllamaStatus()
+    ]);
+    return this.save(this.buildRecord(result, analysis, ollamaStatus));
+  }
+
+  async readAll() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.historyPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    content.split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (parseError) {
+        // A crash mid-write can leave a truncated last line; skip it rather than losing the history
+        logger.warn('Skipping unreadable benchmark history entry');
+      }
+    });
+    return records;
+  }
+
+  async list(filters = {}) {
+    const { model, fingerprint, ollamaVersion, since, limit } = filters;
+    const sinceTime = since ? new Date(since).getTime() : null;
+    if (since && Number.isNaN(sinceTime)) {
+      throw new Error(`Invalid date for "since": ${since}`);
+    }
+
+    let records = (await this.readAll()).filter(record =>
+      (!model || record.model === model || record.model === `${model}:latest`) &&
+      (!fingerprint || record.hardwareFingerprint === fingerprint) &&
+      (!ollamaVersion || record.ollamaVersion === ollamaVersion) &&
+      (!sinceTime || new Date(record.savedAt).getTime() >= sinceTime)
+    );
+
+    records = records.reverse();
+    if (limit) {
+      records = records.slice(0, Number(limit));
+    }
+    return records;
+  }
+
+  async get(id) {
+    const records = await this.readAll();
+    return records.find(record => record.id === id) || null;
+  }
+
+  async compareRuns(baselineId, candidateId, threshold) {
+    const [baseline, candidate] = await Promise.all([this.get(baselineId), this.get(candidateId)]);
+    if (!baseline) throw new Error(`Benchmark run not found: ${baselineId}`);
+    if (!candidate) throw new Error(`Benchmark run not found: ${candidateId}`);
+
+    return this.compare(this.describe(baseline), this.describe(candidate), threshold);
+  }
+
+  async compareVersions(model, fromVersion, toVersion, threshold, fingerprint) {
+    const [fromRecords, toRecords] = await Promise.all([
+      this.list({ model, ollamaVersion: fromVersion, fingerprint }),
+      this.list({ model, ollamaVersion: toVersion, fingerprint })
+    ]);
+    if (fromRecords.length === 0) throw new Error(`No ${model} runs recorded with Ollama ${fromVersion}`);
+    if (toRecords.length === 0) throw new Error(`No ${model} runs recorded with Ollama ${toVersion}`);
+
+    return this.compare(this.aggregate(fromRecords), this.aggregate(toRecords), threshold);
+  }
+
+  describe(record) {
+    const metrics = {};
+    COMPARED_METRICS.forEach(({ key }) => {
+      metrics[key] = record.summary?.[key]?.median ?? null;
+    });
+
+    return {
+      label: record.id,
+      runIds: [record.id],
+      model: record.model,
+      modelDigest: record.modelDigest,
+      ollamaVersion: record.ollamaVersion,
+      hardwareFingerprint: record.hardwareFingerprint,
+      parameters: record.parameters,
+      metrics
+    };
+  }
+
+  // Averages the per-run medians so one noisy run does not dominate a version comparison
+  aggregate(records) {
+    const described = records.map(record => this.describe(record));
+    const metrics = {};
+    COMPARED_METRICS.forEach(({ key }) => {
+      const values = described.map(entry => entry.metrics[key]).filter(value => value !== null);
+      metrics[key] = values.length > 0
+        ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+        : null;
+    });
+
+    return {
+      label: `Ollama ${described[0].ollamaVersion} (${described.length} runs)`,
+      runIds: described.map(entry => entry.runIds[0]),
+      model: described[0].model,
+      modelDigest: described[0].modelDigest,
+      ollamaVersion: described[0].ollamaVersion,
+      hardwareFingerprint: described[0].hardwareFingerprint,
+      parameters: described[0].parameters,
+      metrics
+    };
+  }
+
+  compare(baseline, candidate, threshold = 10) {
+    const thresholdPercent = Number(threshold);
+    if (Number.isNaN(thresholdPercent) || thresholdPercent < 0) {
+      throw new Error(`Invalid regression threshold: ${threshold}`);
+    }
+
+    const metrics = COMPARED_METRICS.map(({ key, label, higherIsBetter }) => {
+      const before = baseline.metrics[key];
+      const after = candidate.metrics[key];
+      if (before === null || after === null || before === 0) {
+        return { metric: key, label, baseline: before, candidate: after, changePercent: null, status: 'unknown' };
+      }
+
+      const changePercent = Math.round(((after - before) / before) * 1000) / 10;
+      const worsePercent = higherIsBetter ? -changePercent : changePercent;
+      let status = 'unchanged';
+      if (worsePercent > thresholdPercent) status = 'regression';
+      else if (worsePercent < -thresholdPercent) status = 'improvement';
+
+      return { metric: key, label, baseline: before, candidate: after, changePercent, status };
+    });
+
+    const warnings = [];
+    if (baseline.model !== candidate.model) warnings.push('Runs are for different models');
+    if (baseline.hardwareFingerprint !== candidate.hardwareFingerprint) warnings.push('Runs are from different hardware');
+    if (baseline.modelDigest && candidate.modelDigest && baseline.modelDigest !== candidate.modelDigest) {
+      warnings.push('Model digest changed between runs');
+    }
+    if (JSON.stringify(baseline.parameters) !== JSON.stringify(candidate.parameters)) {
+      warnings.push('Benchmark parameters differ between runs');
+    }
+
+    return {
+      baseline,
+      candidate,
+      thresholdPercent,
+      metrics,
+      regressions: metrics.filter(metric => metric.status === 'regression').length,
+      warnings
+    };
+  }
+}
+
+module.exports = BenchmarkStore;
@@ -0,0 +1,234 @@
+const readline = require('readline');
+const chalk = require('chalk');
+const AbortController = require('./abort-controller');
+const ChatSession = require('./chat-session');
+
+const HELP = [
+  ['/set', 'Show the model, system prompt and options in use'],
+  ['/set <option> <value>', `Set a model option: ${Object.keys(ChatSession.OPTION_TYPES).join(', ')}`],
+  ['/set system <prompt>', 'Set the system prompt'],
+  ['/unset <option>|system', 'Go back to the model default'],
+  ['/model <name>', 'Switch to another model, keeping the conversation'],
+  ['/clear', 'Forget the conversation so far'],
+  ['/save [file]', 'Save the transcript (default: ~/.ollama-compass/chats)'],
+  ['/load <file>', 'Continue a saved transcript'],
+  ['/stats', 'Eval speed and time to first token of every response'],
+  ['/bye', 'Exit (or Ctrl+D)']
+];
+
+// Interactive front end for a ChatSession. Ctrl+C cancels a streaming response; at the prompt it
+// only clears the line, so the conversation is never lost by accident.
+class ChatRepl {
+  constructor(session, options = {}) {
+    this.session = session;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.controller = null;
+  }
+
+  print(line = '') {
+    this.output.write(`${line}\n`);
+  }
+
+  // Resolves when the user types /bye or closes the input
+  async run() {
+    const rl = readline.createInterface({ input: this.input, output: this.output, prompt: '>>> ' });
+
+    rl.on('SIGINT', () => {
+      if (this.controller) {
+        this.controller.abort();
+        return;
+      }
+      if (rl.line) {
+        rl.write(null, { ctrl: true, name: 'u' });
+        return;
+      }
+      this.print(chalk.gray('\nUse /bye or Ctrl+D to exit.'));
+      rl.prompt();
+    });
+
+    rl.prompt();
+    for await (const line of rl) {
+      if (!(await this.handleLine(line.trim()))) break;
+      rl.prompt();
+    }
+    rl.close();
+  }
+
+  // Returns false when the REPL should end
+  async handleLine(line) {
+    if (!line) return true;
+    if (!line.startsWith('/')) {
+      await this.sendMessage(line);
+      return true;
+    }
+
+    try {
+      return await this.handleCommand(line);
+    } catch (error) {
+      this.print(`${chalk.red('Error:')} ${error.message}`);
+      return true;
+    }
+  }
+
+  async sendMessage(content) {
+    this.controller = new AbortController();
+    let thinking = false;
+
+    try {
+      await this.session.send(content, (chunk) => {
+        // Reasoning models stream their thinking before the answer; show it dimmed
+        if (chunk.thinking) {
+          thinking = true;
+          this.output.write(chalk.gray(chunk.thinking));
+        }
+        if (chunk.content) {
+          if (thinking) {
+            thinking = false;
+            this.output.write('\n\n');
+          }
+          this.output.write(chunk.content);
+        }
+      }, this.controller.signal);
+      this.print('\n');
+    } catch (error) {
+      this.print();
+      if (this.controller.signal.aborted) {
+        this.print(chalk.gray('(cancelled; the message was not added to the conversation)\n'));
+      } else {
+        this.print(`${chalk.red('Error:')} ${error.message}\n`);
+      }
+    } finally {
+      this.controller = null;
+    }
+  }
+
+  async handleCommand(line) {
+    const command = line.split(/\s+/, 1)[0];
+    const rest = line.slice(command.length).trim();
+
+    switch (command) {
+      case '/bye':
+      case '/exit':
+        return false;
+
+      case '/help':
+      case '/?':
+        this.printHelp();
+        break;
+
+      case '/set':
+        this.set(rest);
+        break;
+
+      case '/unset':
+        this.unset(rest);
+        break;
+
+      case '/model':
+        await this.switchModel(rest);
+        break;
+
+      case '/clear':
+        this.session.clear();
+        this.print(chalk.green('Conversation cleared'));
+        break;
+
+      case '/save': {
+        const filePath = await this.session.save(rest || undefined);
+        this.print(chalk.green(`Saved ${this.session.messages.length} messages to ${filePath}`));
+        break;
+      }
+
+      case '/load':
+        if (!rest) throw new Error('Usage: /load <file>');
+        await this.session.load(rest);
+        this.print(chalk.green(`Loaded ${this.session.messages.length} messages; chatting with ${this.session.model}`));
+        break;
+
+      case '/stats':
+        this.printStats();
+        break;
+
+      default:
+        this.print(`Unknown command ${command}. Type /help for the list of commands.`);
+    }
+    return true;
+  }
+
+  set(rest) {
+    if (!rest) {
+      this.printSettings();
+      return;
+    }
+
+    const [name, ...words] = rest.split(/\s+/);
+    if (name === 'system') {
+      const prompt = rest.slice(name.length).trim();
+      if (!prompt) throw new Error('Usage: /set system <prompt>');
+      this.session.system = prompt;
+      this.print(chalk.green('System prompt set'));
+      return;
+    }
+
+    if (words.length !== 1) throw new Error('Usage: /set <option> <value>');
+    this.session.setOption(name, words[0]);
+    this.print(chalk.green(`${name} set to ${this.session.options[name]}`));
+  }
+
+  unset(name) {
+    if (!name) throw new Error('Usage: /unset <option>|system');
+    if (name === 'system') {
+      this.session.system = null;
+    } else {
+      this.session.unsetOption(name);
+    }
+    this.print(chalk.green(`${name} unset`));
+  }
+
+  async switchModel(model) {
+    if (!model) throw new Error('Usage: /model <name>');
+
+    const info = await this.session.ollamaMonitor.getModelInfo(model);
+    if (!info.success) throw new Error(`Model ${model} is not available: ${info.error}`);
+    this.session.model = model;
+    this.print(chalk.green(`Switched to ${model}; the conversation continues`));
+  }
+
+  printHelp() {
+    HELP.forEach(([command, description]) => this.print(`  ${chalk.cyan(command.padEnd(25))}${description}`));
+    this.print(chalk.gray('  Ctrl+C cancels a response while it streams.'));
+  }
+
+  printSettings() {
+    const options = Object.entries(this.session.options);
+    this.print(`  Model: ${chalk.white(this.session.model)}`);
+    this.print(`  System prompt: ${this.session.system ? chalk.white(this.session.system) : chalk.gray('model default')}`);
+    this.print(`  Options: ${options.length > 0 ? chalk.white(options.map(([name, value]) => `${name}=${value}`).join(' ')) : chalk.gray('model defaults')}`);
+    this.print(`  History: ${chalk.white(this.session.messages.length)} messages`);
+  }
+
+  printStats() {
+    const stats = this.session.stats;
+    if (stats.length === 0) {
+      this.print(chalk.gray('No responses yet'));
+      return;
+    }
+
+    const format = value => (value === null ? '--' : String(value));
+    this.print(chalk.cyan(`  ${'#'.padEnd(4)}${'Model'.padEnd(28)}${'Tokens'.padStart(8)}${'Eval tok/s'.padStart(12)}${'TTFT ms'.padStart(10)}${'Prompt tok/s'.padStart(14)}`));
+    stats.forEach((entry, index) => {
+      this.print(`  ${String(index + 1).padEnd(4)}${entry.model.padEnd(28)}${String(entry.evalTokens).padStart(8)}` +
+        `${format(entry.evalTokensPerSecond).padStart(12)}${format(entry.timeToFirstTokenMs).padStart(10)}${format(entry.promptTokensPerSecond).padStart(14)}`);
+    });
+
+    const average = values => {
+      const known = values.filter(value => value !== null);
+      return known.length > 0 ? Math.round((known.reduce((sum, value) => sum + value, 0) / known.length) * 10) / 10 : null;
+    };
+    this.print(chalk.gray(`  ${'Average'.padEnd(32)}${''.padStart(8)}${format(average(stats.map(entry => entry.evalTokensPerSecond))).padStart(12)}` +
+      `${format(average(stats.map(entry => entry.timeToFirstTokenMs))).padStart(10)}${format(average(stats.map(entry => entry.promptTokensPerSecond))).padStart(14)}`));
+  }
+}
+
+module.exports = ChatRepl;
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./paths');
+
+const NS_PER_MS = 1e6;
+const NS_PER_SECOND = 1e9;
+const TRANSCRIPT_VERSION = 1;
+const TRANSCRIPTS_DIR = 'chats';
+
+// Model options `/set` accepts; they are sent with every request as Ollama's `options`
+const OPTION_TYPES = {
+  temperature: 'number',
+  top_p: 'number',
+  top_k: 'integer',
+  min_p: 'number',
+  repeat_penalty: 'number',
+  seed: 'integer',
+  num_ctx: 'integer',
+  num_predict: 'integer'
+};
+
+// Multi-turn conversation over Ollama's /api/chat. The system prompt is kept apart from the
+// history so it can be changed mid-conversation and applies to every later request.
+class ChatSession {
+  constructor(ollamaMonitor, model, options = {}) {
+    this.ollamaMonitor = ollamaMonitor;
+    this.model = model;
+    this.system = options.system || null;
+    this.options = {};
+    this.messages = [];
+    this.stats = [];
+  }
+
+  setOption(name, value) {
+    const type = OPTION_TYPES[name];
+    if (!type) {
+      throw new Error(`Unknown option "${name}"; expected one of ${Object.keys(OPTION_TYPES).join(', ')}`);
+    }
+
+    const number = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+      throw new Error(`${name} must be ${type === 'integer' ? 'an integer' : 'a number'}, got "${value ?? ''}"`);
+    }
+    this.options[name] = number;
+  }
+
+  unsetOption(name) {
+    if (!OPTION_TYPES[name]) {
+      throw new Error(`Unknown option "${name}"; expected one of ${Object.keys(OPTION_TYPES).join(', ')}`);
+    }
+    delete this.options[name];
+  }
+
+  clear() {
+    this.messages = [];
+  }
+
+  buildMessages(content) {
+    return [
+      ...(this.system ? [{ role: 'system', content: this.system }] : []),
+      ...this.messages,
+      { role: 'user', content }
+    ];
+  }
+
+  // Streams the reply through onChunk ({ content, thinking }). The turn joins the history only once
+  // the reply is complete, so a cancelled or failed response leaves the conversation as it was.
+  async send(content, onChunk, signal) {
+    const startTime = process.hrtime.bigint();
+    let firstTokenTime = null;
+    let reply = '';
+
+    const final = await this.ollamaMonitor.streamRequest('/api/chat', {
+      model: this.model,
+      messages: this.buildMessages(content),
+      stream: true,
+      options: this.options
+    }, (event) => {
+      const chunk = event.message || {};
+      if (firstTokenTime === null && (chunk.content || chunk.thinking)) {
+        firstTokenTime = process.hrtime.bigint();
+      }
+      reply += chunk.content || '';
+      if (onChunk) onChunk(chunk);
+    }, { signal });
+
+    if (!final || !final.done) {
+      throw new Error('Ollama closed the stream before the response finished');
+    }
+
+    const endTime = process.hrtime.bigint();
+    const stats = {
+      model: this.model,
+      promptTokens: final.prompt_eval_count || 0,
+      evalTokens: final.eval_count || 0,
+      promptTokensPerSecond: this.tokensPerSecond(final.prompt_eval_count, final.prompt_eval_duration),
+      evalTokensPerSecond: this.tokensPerSecond(final.eval_count, final.eval_duration),
+      timeToFirstTokenMs: firstTokenTime !== null ? Math.round(Number(firstTokenTime - startTime) / NS_PER_MS) : null,
+      loadDurationMs: Math.round((final.load_duration || 0) / NS_PER_MS),
+      totalDurationMs: Math.round(Number(endTime - startTime) / NS_PER_MS)
+    };
+
+    this.messages.push({ role: 'user', content }, { role: 'assistant', content: reply });
+    this.stats.push(stats);
+    return { content: reply, stats };
+  }
+
+  tokensPerSecond(count, durationNs) {
+    if (!count || !durationNs) return null;
+    return Math.round((count / (durationNs / NS_PER_SECOND)) * 10) / 10;
+  }
+
+  // Without a file name transcripts go to ~/.ollama-compass/chats
+  defaultTranscriptPath() {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.join(getDataDir(), TRANSCRIPTS_DIR, `${this.model.replace(/[^a-zA-Z0-9._-]/g, '_')}-${timestamp}.json`);
+  }
+
+  async save(filePath = this.defaultTranscriptPath()) {
+    const transcript = {
+      version: TRANSCRIPT_VERSION,
+      model: this.model,
+      system: this.system,
+      options: this.options,
+      messages: this.messages,
+      savedAt: new Date().toISOString()
+    };
+    await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(transcript, null, 2) + '\n');
+    return filePath;
+  }
+
+  // Replaces the model, system prompt, options and history with the transcript's
+  async load(filePath) {
+    let transcript;
+    try {
+      transcript = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read transcript ${filePath}: ${error.message}`);
+    }
+
+    const messages = transcript?.messages;
+    const valid = Array.isArray(messages) && messages.every(message =>
+      ['user', 'assistant'].includes(message?.role) && typeof message.content === 'string');
+    if (!valid) {
+      throw new Error(`${filePath} is not a chat transcript (expected user and assistant messages)`);
+    }
+
+    const previousOptions = this.options;
+    this.options = {};
+    try {
+      Object.entries(transcript.options || {}).forEach(([name, value]) => this.setOption(name, value));
+    } catch (error) {
+      this.options = previousOptions;
+      throw new Error(`${filePath}: ${error.message}`);
+    }
+
+    this.model = transcript.model || this.model;
+    this.system = transcript.system || null;
+    this.messages = messages.map(message => ({ role: message.role, content: message.content }));
+    return transcript;
+  }
+}
+
+ChatSession.OPTION_TYPES = OPTION_TYPES;
+
+module.exports = ChatSession;
@@ -1,11 +1,30 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const path = require('path');
 const { Command } = require('commander');
 const chalk = require('chalk');
 const ora = require('ora');
 const ApiServer = require('./api-server');
 const HardwareDetector = require('./hardware-detector');
 const OllamaMonitor = require('./ollama-monitor');
+const OllamaHosts = require('./ollama-hosts');
+const ModelRecommender = require('./model-recommender');
+const { Config, getConfig, getConfigPath } = require('./config');
+const AuthManager = require('./auth-manager');
+const ModelBenchmark = require('./model-benchmark');
+const BenchmarkStore = require('./benchmark-store');
+const ModelInspector = require('./model-inspector');
+const ModelStorage = require('./model-storage');
+const ModelfileManager = require('./modelfile-manager');
+const HardwareSnapshots = require('./hardware-snapshots');
+const AlertManager = require('./alert-manager');
+const Dashboard = require('./dashboard');
+const ChatSession = require('./chat-session');
+const ChatRepl = require('./chat-repl');
+const ModelComparison = require('./model-comparison');
+const PromptEval = require('./prompt-eval');
+const { LocalDashboardSource, RemoteDashboardSource } = require('./dashboard-sources');
 
 const program = new Command();
 
@@ -20,14 +39,42 @@ ${chalk.cyan('╚═════════════════════
 program
   .name('ollama-compass')
   .description('Local hardware detection and Ollama monitoring for Ollama Model Compass')
-  .version('1.0.2');
+  .version('1.0.2')
+  .option('-c, --config <path>', 'Use this config file instead of the default location')
+  .option('--log-level <level>', 'Log verbosity: silent, error, warn, info or debug')
+  .option('--ollama-host <url>', 'Ollama server URL (overrides config and OLLAMA_HOST)');
+
+// Command line flags are the highest configuration layer, above the config file and env vars
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const globalOptions = program.opts();
+  if (globalOptions.config) {
+    process.env.OLLAMA_COMPASS_CONFIG = globalOptions.config;
+  }
+  
+  // `config` subcommands load the file themselves so a broken file can still be inspected and fixed
+  if (actionCommand.parent && actionCommand.parent.name() === 'config') {
+    return;
+  }
+  
+  try {
+    getConfig().applyOverrides({
+      logLevel: globalOptions.logLevel,
+      ollamaHost: globalOptions.ollamaHost
+    });
+  } catch (error) {
+    console.error(chalk.red('Configuration error:'), error.message);
+    console.error(chalk.gray('Fix it with `ollama-compass config set <key> <value>` or `config unset <key>`.'));
+    process.exit(1);
+  }
+});
 
 // Start server command
 program
   .command('start')
   .description('Start the API server for hardware detection and Ollama monitoring')
-  .option('-p, --port <port>', 'Port to run the server on', '7171')
+  .option('-p, --port <port>', 'Port to run the server on (default: 7171)')
   .option('-q, --quiet', 'Run in quiet mode')
+  .option('--persist-history', 'Save the realtime stats history to disk and restore it on restart')
   .action(async (options) => {
     if (!options.quiet) {
       console.log(banner);
@@ -36,25 +83,63 @@ program
     const spinner = ora('Starting Ollama Compass CLI Server...').start();
     
     try {
-      const server = new ApiServer(parseInt(options.port));
+      const config = getConfig();
+      config.applyOverrides({
+        port: options.port,
+        persistHistory: options.persistHistory
+      });
+      const server = new ApiServer(config.get('port'), { config });
       await server.start();
       
       spinner.succeed(chalk.green('Server started successfully!'));
       
       console.log(chalk.yellow('\n📋 Available endpoints:'));
       console.log(`   ${chalk.blue('GET')}  /health                    - Health check`);
+      console.log(`   ${chalk.blue('GET')}  /metrics                   - Prometheus metrics`);
       console.log(`   ${chalk.blue('GET')}  /api/hardware/analyze      - Full hardware analysis`);
       console.log(`   ${chalk.blue('GET')}  /api/hardware/info         - Cached hardware info`);
       console.log(`   ${chalk.blue('GET')}  /api/hardware/realtime     - Realtime stats`);
+      console.log(`   ${chalk.blue('GET')}  /api/hardware/history      - Realtime stats history`);
       console.log(`   ${chalk.blue('GET')}  /api/ollama/status         - Ollama status`);
-      console.log(`   ${chalk.blue('POST')} /api/ollama/install        - Install model`);
-      console.log(`   ${chalk.blue('DEL')}  /api/ollama/models/:name   - Delete model`);
+      console.log(`   ${chalk.blue('GET')}  /api/ollama/running        - Models loaded in memory`);
+      console.log(`   ${chalk.blue('GET')}  /api/ollama/hosts          - All Ollama hosts`);
+      console.log(`   ${chalk.blue('*')}    /api/ollama/hosts/:host/*  - Per-host status, running, install, delete, test`);
+      console.log(`   ${chalk.blue('POST')} /api/ollama/install        - Install model (background job)`);
+      console.log(`   ${chalk.blue('DEL')}  /api/ollama/models/:name   - Delete model (background job)`);
+      console.log(`   ${chalk.blue('GET')}  /api/ollama/storage        - Model disk usage`);
+      console.log(`   ${chalk.blue('GET')}  /api/ollama/models/:name/details - Model file details`);
+      console.log(`   ${chalk.blue('POST')} /api/ollama/models/:name/load   - Load model into memory`);
+      console.log(`   ${chalk.blue('POST')} /api/ollama/models/:name/unload - Unload model`);
+      console.log(`   ${chalk.blue('POST')} /api/ollama/unload-all     - Unload every model`);
+      console.log(`   ${chalk.blue('POST')} /api/ollama/create         - Create model from a Modelfile (background job)`);
+      console.log(`   ${chalk.blue('POST')} /api/ollama/copy           - Copy model`);
+      console.log(`   ${chalk.blue('GET')}  /api/ollama/models/:name/modelfile - Export Modelfile`);
+      console.log(`   ${chalk.blue('GET')}  /api/ollama/diff           - Compare two models`);
       console.log(`   ${chalk.blue('POST')} /api/ollama/test           - Test model`);
+      console.log(`   ${chalk.blue('POST')} /api/ollama/benchmark      - Benchmark model (background job)`);
+      console.log(`   ${chalk.blue('POST')} /api/ollama/compare        - Compare models (background job)`);
+      console.log(`   ${chalk.blue('GET')}  /api/jobs                  - Background jobs`);
+      console.log(`   ${chalk.blue('DEL')}  /api/jobs/:id              - Cancel job`);
+      console.log(`   ${chalk.blue('GET')}  /api/alerts                - Firing and recent alerts`);
+      console.log(`   ${chalk.blue('GET')}  /api/benchmarks            - Benchmark history`);
+      console.log(`   ${chalk.blue('GET')}  /api/benchmarks/compare    - Compare benchmark runs`);
+      console.log(`   ${chalk.blue('GET')}  /api/recommend             - Model fit recommendations`);
       console.log(`   ${chalk.blue('WS')}   /ws                        - WebSocket connection`);
       
       console.log(chalk.yellow('\n🌐 Web app integration:'));
       console.log(`   Visit ${chalk.underline('https://ollamalyzer.com')} to use with this CLI`);
       
+      if (config.get('authRequired') !== 'none') {
+        const scope = config.get('authRequired') === 'all' ? 'All requests' : 'Mutating requests';
+        console.log(chalk.yellow('\n🔒 API authentication:'));
+        console.log(`   ${scope} need a token`);
+        if (server.tokensCreated) {
+          displayPairing(server.auth, server.port);
+        } else {
+          console.log(`   Run ${chalk.cyan('ollama-compass token show')} to pair the web app`);
+        }
+      }
+      
       console.log(chalk.gray('\n💡 The server will run until you press Ctrl+C'));
       
       // Handle graceful shutdown
@@ -65,140 +150,1244 @@ program
       });
       
     } catch (error) {
-      spinner.fail(chalk.red('Failed to start server'));
+      spinner.fail(chalk.red('Failed to start server'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Analyze hardware command
+program
+  .command('analyze')
+  .description('Perform a complete hardware analysis')
+  .option('-j, --json', 'Output in JSON format')
+  .option('-s, --save <file>', 'Save the analysis as a snapshot for hw-diff')
+  .action(async (options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
+    
+    const spinner = ora('Analyzing hardware...').start();
+    
+    try {
+      const detector = new HardwareDetector();
+      const analysis = await detector.detectHardware();
+      
+      spinner.succeed(chalk.green('Hardware analysis completed!'));
+      
+      if (options.json) {
+        console.log(JSON.stringify(analysis, null, 2));
+      } else {
+        displayHardwareAnalysis(analysis);
+      }
+      
+      if (options.save) {
+        await detector.snapshots.save(analysis, options.save);
+        // stderr keeps --json output parseable
+        (options.json ? console.error : console.log)(chalk.green(`\n💾 Snapshot saved to ${options.save}`));
+      }
+      
+    } catch (error) {
+      spinner.fail(chalk.red('Hardware analysis failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Hardware diff command
+program
+  .command('hw-diff <before> <after>')
+  .description('Compare two hardware snapshots (files, "last" for the last analysis or "current" to analyze now)')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (before, after, options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
+    
+    const spinner = ora('Comparing hardware snapshots...').start();
+    
+    try {
+      const detector = new HardwareDetector();
+      // Read "last" before a "current" analysis replaces it
+      const last = [before, after].includes('last') && !fs.existsSync('last') ? await detector.snapshots.loadLast() : null;
+      const resolve = async (reference) => {
+        if (fs.existsSync(reference)) return detector.snapshots.read(reference);
+        if (reference === 'last') {
+          if (!last) throw new Error('No saved analysis yet; run: ollama-compass analyze');
+          return last;
+        }
+        if (reference === 'current') {
+          spinner.text = 'Analyzing hardware...';
+          return detector.detectHardware();
+        }
+        throw new Error(`Snapshot not found: ${reference}`);
+      };
+      
+      const diff = detector.snapshots.diff(await resolve(before), await resolve(after), { from: before, to: after });
+      const changeCount = diff.changes.length + diff.memoryModules.length +
+        [diff.drives, diff.gpus].reduce((sum, list) => sum + list.added.length + list.removed.length, 0);
+      spinner.succeed(chalk.green(diff.identical ? 'No hardware changes' : `${changeCount} hardware change(s)`));
+      
+      if (options.json) {
+        console.log(JSON.stringify(diff, null, 2));
+      } else {
+        displayHardwareDiff(diff);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Hardware diff failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Check Ollama status command
+program
+  .command('ollama')
+  .description('Check Ollama status and installed models')
+  .option('--host <name>', 'Named Ollama host to check (see: hosts list)')
+  .option('-a, --all', 'Check every configured Ollama host')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
+    
+    const spinner = ora('Checking Ollama status...').start();
+    
+    try {
+      if (options.all) {
+        const result = await new OllamaHosts().checkAll();
+        spinner.succeed(chalk.green(`${result.reachableCount}/${result.totalCount} Ollama hosts reachable`));
+        
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          displayOllamaHosts(result);
+        }
+        return;
+      }
+      
+      const monitor = getOllamaMonitor(options.host);
+      const status = await monitor.checkOllamaStatus();
+      
+      if (status.isRunning) {
+        spinner.succeed(chalk.green('Ollama is running!'));
+      } else {
+        spinner.warn(chalk.yellow('Ollama is not running'));
+      }
+      
+      if (options.json) {
+        console.log(JSON.stringify(status, null, 2));
+      } else {
+        displayOllamaStatus(status);
+      }
+      
+    } catch (error) {
+      spinner.fail(chalk.red('Failed to check Ollama status'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Loaded models command
+program
+  .command('ps')
+  .description('List models loaded in memory and how they are split between GPU and CPU')
+  .option('--host <name>', 'Named Ollama host to check (see: hosts list)')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
+    
+    const spinner = ora('Checking loaded models...').start();
+    
+    try {
+      const monitor = getOllamaMonitor(options.host);
+      const running = await monitor.getRunningModels();
+      if (!running.success) {
+        throw new Error(`Could not reach Ollama at ${monitor.ollamaHost}: ${running.error}`);
+      }
+      
+      // GPU memory readings only describe this machine, so skip them for remote hosts
+      let memory = null;
+      if (monitor.isLocalHost()) {
+        const stats = await new HardwareDetector().getRealtimeStats();
+        memory = monitor.correlateGpuMemory(running, stats);
+      }
+      
+      spinner.succeed(chalk.green(`${running.models.length} model(s) loaded`));
+      
+      if (options.json) {
+        console.log(JSON.stringify({ ...running, memory }, null, 2));
+      } else {
+        displayRunningModels(running, memory);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Failed to list loaded models'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Live dashboard command
+program
+  .command('top')
+  .description('Full-screen live view of CPU, memory, GPUs, loaded models and recent requests')
+  .option('-a, --attach [url]', 'Follow a running `start` server over its WebSocket instead of sampling locally')
+  .option('-t, --token <token>', 'API token for the attached server (default: the local write token)')
+  .option('-i, --interval <ms>', 'Initial refresh interval in milliseconds (default: realtimeIntervalMs)')
+  .action(async (options) => {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      console.error(chalk.red('Error:'), 'top needs an interactive terminal');
+      process.exit(1);
+    }
+
+    const config = getConfig();
+    const refreshMs = options.interval === undefined ? config.get('realtimeIntervalMs') : parseInt(options.interval, 10);
+    if (!(refreshMs > 0)) {
+      console.error(chalk.red('Error:'), `Invalid interval: ${options.interval}`);
+      process.exit(1);
+    }
+
+    try {
+      let source;
+      if (options.attach) {
+        const serverUrl = options.attach === true ? `http://localhost:${config.get('port')}` : options.attach;
+        // Never send this machine's token anywhere but a server on this machine
+        const isLocalServer = OllamaMonitor.LOCAL_HOSTNAMES.includes(new URL(serverUrl).hostname);
+        const token = options.token || (isLocalServer ? new AuthManager().getToken('write') : null);
+        source = new RemoteDashboardSource(serverUrl, { token, config });
+      } else {
+        source = new LocalDashboardSource({ intervalMs: refreshMs });
+      }
+
+      // Log lines would be drawn over the dashboard
+      config.applyOverrides({ logLevel: 'silent' });
+      await new Dashboard(source, { refreshMs }).run();
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Show model details command
+program
+  .command('show <model>')
+  .description('Show architecture, quantization and tokenizer details read from the model file')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (model, options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
+    
+    const spinner = ora(`Reading ${model}...`).start();
+    
+    try {
+      const inspector = new ModelInspector();
+      const details = await inspector.inspect(model);
+      if (!details) {
+        throw new Error(`${model} is not installed in ${inspector.modelsDir} (set ollamaModelsDir if Ollama stores models elsewhere)`);
+      }
+      
+      spinner.succeed(chalk.green(`Read ${details.tensorCount} tensors from ${model}`));
+      
+      if (options.json) {
+        console.log(JSON.stringify(details, null, 2));
+      } else {
+        displayModelDetails(details);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Failed to read model'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Storage command
+program
+  .command('storage')
+  .description('Show disk usage per model, shared layers and reclaimable space')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
+    
+    const spinner = ora('Scanning Ollama models directory...').start();
+    
+    try {
+      const report = await new ModelStorage().analyze();
+      spinner.succeed(chalk.green(`${report.totals.modelCount} models use ${formatBytes(report.totals.diskBytes)}`));
+      
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        displayStorage(report);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Storage scan failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Prune command
+program
+  .command('prune')
+  .description('Delete orphaned blobs and abandoned partial downloads from the Ollama models directory')
+  .option('--dry-run', 'List what would be deleted without deleting anything')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
+    
+    const spinner = ora(options.dryRun ? 'Finding reclaimable files...' : 'Pruning unused files...').start();
+    
+    try {
+      const result = await new ModelStorage().prune({ dryRun: Boolean(options.dryRun) });
+      const verb = result.dryRun ? 'Would free' : 'Freed';
+      spinner.succeed(chalk.green(`${verb} ${formatBytes(result.reclaimedBytes)} from ${result.removed.length} file(s)`));
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        displayPrune(result);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Prune failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Load model command
+program
+  .command('load <model>')
+  .description('Load a model into memory ahead of use')
+  .option('-k, --keep-alive <duration>', 'How long to keep it loaded, e.g. 10m, 1h or -1 for until unloaded (default: keepAlive setting)')
+  .option('--host <name>', 'Named Ollama host to load on (see: hosts list)')
+  .action(async (model, options) => {
+    console.log(banner);
+    
+    const spinner = ora(`Checking memory for ${model}...`).start();
+    
+    try {
+      const config = getConfig();
+      const keepAlive = options.keepAlive === undefined
+        ? config.get('keepAlive')
+        : config.validate('keepAlive', config.parse('keepAlive', options.keepAlive));
+      const monitor = getOllamaMonitor(options.host);
+      
+      if (monitor.isLocalHost()) {
+        const stats = await new HardwareDetector().getRealtimeStats();
+        const check = await new ModelRecommender(monitor).checkLoad(model, stats);
+        if (check.alreadyLoaded) {
+          spinner.info(`${model} is already loaded; refreshing its keep-alive`);
+        } else if (check.warning) {
+          spinner.warn(chalk.yellow(check.warning));
+        }
+      }
+      
+      spinner.start(`Loading ${model}...`);
+      const result = await monitor.loadModel(model, { keepAlive });
+      
+      if (result.success) {
+        const until = /^-/.test(result.keepAlive) ? 'until unloaded' : `for ${result.keepAlive} after last use`;
+        spinner.succeed(chalk.green(`Loaded ${model} in ${(result.durationMs / 1000).toFixed(1)}s, kept ${until}`));
+      } else {
+        spinner.fail(chalk.red(`Failed to load ${model}`));
+        console.error(chalk.red('Error:'), result.error);
+        process.exit(1);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Load failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Unload model command
+program
+  .command('unload [model]')
+  .description('Unload a model (or every model with --all) to free VRAM and RAM')
+  .option('-a, --all', 'Unload every loaded model')
+  .option('--host <name>', 'Named Ollama host to unload on (see: hosts list)')
+  .action(async (model, options) => {
+    console.log(banner);
+    
+    if (!model && !options.all) {
+      console.error(chalk.red('Error:'), 'Specify a model, or --all to unload every loaded model');
+      process.exit(1);
+    }
+    
+    const spinner = ora(model ? `Unloading ${model}...` : 'Unloading all models...').start();
+    
+    try {
+      const monitor = getOllamaMonitor(options.host);
+      
+      if (options.all) {
+        const result = await monitor.unloadAll();
+        if (result.error) {
+          throw new Error(result.error);
+        }
+        if (result.unloaded.length === 0 && result.failed.length === 0) {
+          spinner.info('No models were loaded');
+          return;
+        }
+        
+        result.failed.forEach(failure => console.error(chalk.red(`   ${failure.model}:`), failure.error));
+        if (!result.success) {
+          spinner.fail(chalk.red(`Unloaded ${result.unloaded.length} model(s), ${result.failed.length} failed`));
+          process.exit(1);
+        }
+        spinner.succeed(chalk.green(`Unloaded ${result.unloaded.join(', ')} (${formatBytes(result.freedBytes)} freed)`));
+        return;
+      }
+      
+      const result = await monitor.unloadModel(model);
+      if (result.success) {
+        spinner.succeed(chalk.green(`Unloaded ${model}`));
+      } else {
+        spinner.fail(chalk.red(`Failed to unload ${model}`));
+        console.error(chalk.red('Error:'), result.error);
+        process.exit(1);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Unload failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Configuration command
+const configCommand = program
+  .command('config')
+  .description('View and change persistent settings');
+
+configCommand
+  .command('list')
+  .description('Show every setting with its value and where it came from')
+  .option('-j, --json', 'Output in JSON format')
+  .action((options) => {
+    runConfigCommand(config => {
+      const entries = config.list();
+      if (options.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return;
+      }
+      
+      console.log(chalk.yellow('\n⚙️  Configuration:'));
+      console.log(chalk.gray('═'.repeat(70)));
+      entries.forEach(entry => {
+        const value = Array.isArray(entry.value) ? entry.value.join(', ') : entry.value === null ? '(auto)' : String(entry.value);
+        console.log(`   ${chalk.cyan(entry.key.padEnd(20))} ${chalk.white(value)}`);
+        console.log(`   ${''.padEnd(20)} ${chalk.gray(entry.description + ' [' + entry.source + ']')}`);
+      });
+      console.log(chalk.gray(`\n   Config file: ${config.filePath}`));
+    });
+  });
+
+configCommand
+  .command('get <key>')
+  .description('Print the effective value of a setting')
+  .action((key) => {
+    runConfigCommand(config => {
+      const value = config.get(key);
+      console.log(Array.isArray(value) ? value.join(',') : value === null ? '' : String(value));
+    });
+  });
+
+configCommand
+  .command('set <key> <value>')
+  .description('Save a setting to the config file (lists are comma-separated)')
+  .action((key, value) => {
+    runConfigCommand(config => {
+      const saved = config.set(key, value);
+      console.log(chalk.green(`✅ ${key} = ${JSON.stringify(saved)}`));
+      if (config.sources[key] !== `file (${config.filePath})`) {
+        console.log(chalk.yellow(`⚠️  Currently overridden by ${config.sources[key]}`));
+      }
+    });
+  });
+
+configCommand
+  .command('unset <key>')
+  .description('Remove a setting from the config file')
+  .action((key) => {
+    runConfigCommand(config => {
+      config.unset(key);
+      if (config.sources[key]) {
+        console.log(chalk.green(`✅ ${key} reset to ${JSON.stringify(config.get(key))} (${config.sources[key]})`));
+      } else {
+        console.log(chalk.green(`✅ Removed unknown key ${key} from ${config.filePath}`));
+      }
+    });
+  });
+
+configCommand
+  .command('path')
+  .description('Print the location of the config file')
+  .action(() => {
+    console.log(getConfigPath());
+  });
+
+// API token command
+const tokenCommand = program
+  .command('token')
+  .description('Show or rotate the API tokens used to pair the web app');
+
+tokenCommand
+  .command('show')
+  .description('Print the API token and pairing details')
+  .option('-s, --scope <scope>', 'Token scope: write (read and mutate) or read', 'write')
+  .option('-j, --json', 'Output in JSON format')
+  .action((options) => {
+    try {
+      const auth = new AuthManager();
+      auth.ensureTokens();
+      const port = getConfig().get('port');
+      
+      if (options.json) {
+        console.log(JSON.stringify({
+          scope: options.scope,
+          token: auth.getToken(options.scope),
+          pairingCode: options.scope === 'write' ? auth.getPairingCode(`http://localhost:${port}`) : undefined
+        }, null, 2));
+      } else if (options.scope === 'write') {
+        displayPairing(auth, port);
+      } else {
+        console.log(`   Token (${options.scope}): ${chalk.white(auth.getToken(options.scope))}`);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+tokenCommand
+  .command('rotate')
+  .description('Replace an API token; clients using the old one must pair again')
+  .option('-s, --scope <scope>', 'Token scope: write or read', 'write')
+  .action((options) => {
+    try {
+      const auth = new AuthManager();
+      auth.rotate(options.scope);
+      console.log(chalk.green(`✅ Rotated the ${options.scope} token. A running server picks it up immediately.`));
+      if (options.scope === 'write') {
+        displayPairing(auth, getConfig().get('port'));
+      } else {
+        console.log(`   Token (read): ${chalk.white(auth.getToken('read'))}`);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Manage Ollama hosts command
+const hostsCommand = program
+  .command('hosts')
+  .description('Manage the named Ollama hosts this CLI can monitor');
+
+hostsCommand
+  .command('list')
+  .description('List configured Ollama hosts')
+  .option('-j, --json', 'Output in JSON format')
+  .action((options) => {
+    const hosts = new OllamaHosts();
+    if (options.json) {
+      console.log(JSON.stringify(hosts.list(), null, 2));
+      return;
+    }
+    
+    console.log(chalk.yellow('\n🦙 Ollama Hosts:'));
+    hosts.list().forEach(host => {
+      console.log(`   • ${chalk.white(host.name.padEnd(16))} ${chalk.gray(host.url)}`);
+    });
+    console.log(chalk.gray(`\n   Stored in ${hosts.filePath}`));
+  });
+
+hostsCommand
+  .command('add <name> <url>')
+  .description('Add or update a named Ollama host')
+  .action((name, url) => {
+    try {
+      const host = new OllamaHosts().add(name, url);
+      console.log(chalk.green(`✅ Added host ${host.name} (${host.url})`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+hostsCommand
+  .command('remove <name>')
+  .description('Remove a named Ollama host')
+  .action((name) => {
+    try {
+      new OllamaHosts().remove(name);
+      console.log(chalk.green(`✅ Removed host ${name}`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Alert rules command
+const alertsCommand = program
+  .command('alerts')
+  .description('Show the alert rules the API server checks and test alert delivery');
+
+alertsCommand
+  .command('rules')
+  .description('List the alert rules in effect')
+  .option('-j, --json', 'Output in JSON format')
+  .action((options) => {
+    const alerts = new AlertManager();
+    if (options.json) {
+      console.log(JSON.stringify(alerts.rules, null, 2));
+      return;
+    }
+    
+    console.log(chalk.yellow('\n🚨 Alert Rules:'));
+    alerts.rules.forEach(rule => {
+      const condition = rule.event
+        ? `on ${rule.event}${rule.jobType ? ` (${rule.jobType} jobs)` : ''}`
+        : `${rule.metric} ${rule.operator} ${rule.threshold}${rule.forSeconds > 0 ? ` for ${rule.forSeconds}s` : ''}`;
+      const disabled = rule.enabled === false ? chalk.gray(' (disabled)') : '';
+      console.log(`   • ${chalk.white(rule.id.padEnd(22))} ${condition} ${chalk.gray('[' + rule.severity + ']')}${disabled}`);
+    });
+    console.log(chalk.gray(`\n   ${fs.existsSync(alerts.filePath) ? 'Loaded from' : 'Defaults; override them in'} ${alerts.filePath}`));
+  });
+
+alertsCommand
+  .command('test')
+  .description('Send a test alert to the configured webhooks and desktop notifications')
+  .action(async () => {
+    const config = getConfig();
+    const alerts = new AlertManager({
+      webhooks: config.get('alertWebhooks'),
+      desktopNotifications: config.get('alertDesktopNotifications')
+    });
+    if (alerts.webhooks.length === 0 && !alerts.desktopNotifications) {
+      console.error(chalk.red('Error:'), 'No alert delivery configured; set alertWebhooks or alertDesktopNotifications (see: config list)');
+      process.exit(1);
+    }
+    
+    const spinner = ora('Sending test alert...').start();
+    const now = new Date().toISOString();
+    const results = await alerts.notify({
+      id: 'test',
+      ruleId: 'test',
+      severity: 'info',
+      state: 'firing',
+      subject: null,
+      message: 'Test alert from ollama-compass',
+      value: null,
+      threshold: null,
+      startedAt: now,
+      firedAt: now,
+      resolvedAt: null
+    });
+    const failed = results.filter(result => !result.delivered);
+    if (failed.length > 0) {
+      spinner.fail(chalk.red(`${failed.length} of ${results.length} deliveries failed`));
+      failed.forEach(result => console.log(`   ${chalk.white(result.target)}: ${chalk.red(result.error)}`));
+      process.exit(1);
+    }
+    spinner.succeed(chalk.green(`Test alert delivered to ${results.map(result => result.target).join(', ')}`));
+  });
+
+// Install model command
+program
+  .command('install <model>')
+  .description('Install an Ollama model')
+  .option('--host <name>', 'Named Ollama host to install on (see: hosts list)')
+  .action(async (model, options) => {
+    console.log(banner);
+    
+    const spinner = ora(`Installing model: ${model}...`).start();
+    
+    try {
+      const monitor = getOllamaMonitor(options.host);
+      const result = await monitor.installModel(model, (progress) => {
+        spinner.text = formatPullProgress(progress);
+      });
+      
+      if (result.success) {
+        spinner.succeed(chalk.green(`Model ${model} installed! `) +
+          chalk.gray(`(${formatBytes(result.totalBytes)} in ${formatDuration(result.durationSeconds)})`));
+      } else {
+        spinner.fail(chalk.red(`Failed to install model ${model}`));
+        console.error(chalk.red('Error:'), result.error);
+        process.exit(1);
+      }
+      
+    } catch (error) {
+      spinner.fail(chalk.red('Installation failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Create model command
+program
+  .command('create <name>')
+  .description('Create a custom model from a Modelfile')
+  .option('-f, --file <path>', 'Path to the Modelfile', 'Modelfile')
+  .option('--host <name>', 'Named Ollama host to create on (see: hosts list)')
+  .action(async (name, options) => {
+    console.log(banner);
+    
+    const spinner = ora(`Creating ${name}...`).start();
+    
+    try {
+      const monitor = getOllamaMonitor(options.host);
+      const modelfilePath = path.resolve(options.file);
+      const text = await fs.promises.readFile(modelfilePath, 'utf8');
+      
+      // Relative FROM and ADAPTER paths are resolved against the Modelfile, as the ollama CLI does
+      const result = await new ModelfileManager(monitor).create(name, text, {
+        baseDir: path.dirname(modelfilePath),
+        onUpload: (file) => { spinner.text = `Uploading ${path.basename(file)}...`; },
+        onProgress: (event) => {
+          spinner.text = event.total
+            ? `${event.status} ${Math.floor(((event.completed || 0) / event.total) * 100)}%`
+            : event.status;
+        }
+      });
+      
+      if (result.success) {
+        spinner.succeed(chalk.green(`Created ${name}`));
+        console.log(chalk.gray(`   Run: ollama-compass test ${name}`));
+      } else {
+        spinner.fail(chalk.red(`Failed to create ${name}`));
+        console.error(chalk.red('Error:'), result.error);
+        process.exit(1);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Create failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Copy model command
+program
+  .command('copy <source> <destination>')
+  .description('Copy a model under a new name')
+  .option('--host <name>', 'Named Ollama host to copy on (see: hosts list)')
+  .action(async (source, destination, options) => {
+    console.log(banner);
+    
+    const spinner = ora(`Copying ${source} to ${destination}...`).start();
+    
+    try {
+      const result = await getOllamaMonitor(options.host).copyModel(source, destination);
+      if (result.success) {
+        spinner.succeed(chalk.green(`Copied ${source} to ${destination}`));
+      } else {
+        spinner.fail(chalk.red(`Failed to copy ${source}`));
+        console.error(chalk.red('Error:'), result.error);
+        process.exit(1);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Copy failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Export Modelfile command; prints nothing else so the output can be redirected
+program
+  .command('modelfile <name>')
+  .description('Print the Modelfile of a model')
+  .option('-o, --output <path>', 'Write the Modelfile to a file instead of stdout')
+  .option('--host <name>', 'Named Ollama host to read from (see: hosts list)')
+  .action(async (name, options) => {
+    try {
+      const modelfile = await new ModelfileManager(getOllamaMonitor(options.host)).exportModelfile(name);
+      if (options.output) {
+        await fs.promises.writeFile(options.output, modelfile);
+        console.error(chalk.green(`✅ Wrote ${options.output}`));
+      } else {
+        process.stdout.write(modelfile);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Diff models command
+program
+  .command('diff <modelA> <modelB>')
+  .description('Compare the parameters, template, system prompt and base layers of two models')
+  .option('--host <name>', 'Named Ollama host to read from (see: hosts list)')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (modelA, modelB, options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
+    
+    const spinner = ora(`Comparing ${modelA} and ${modelB}...`).start();
+    
+    try {
+      const diff = await new ModelfileManager(getOllamaMonitor(options.host)).diff(modelA, modelB);
+      spinner.succeed(chalk.green(diff.identical ? 'Models are identical' : 'Comparison complete'));
+      
+      if (options.json) {
+        console.log(JSON.stringify(diff, null, 2));
+      } else if (!diff.identical) {
+        displayModelDiff(diff);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Diff failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Test model command
+program
+  .command('test <model>')
+  .description('Test an Ollama model with a simple prompt')
+  .option('-p, --prompt <prompt>', 'Custom prompt to test', 'Hello, how are you?')
+  .option('--host <name>', 'Named Ollama host to test on (see: hosts list)')
+  .action(async (model, options) => {
+    console.log(banner);
+    
+    const spinner = ora(`Testing model: ${model}...`).start();
+    
+    try {
+      const monitor = getOllamaMonitor(options.host);
+      const result = await monitor.testModelGeneration(model, options.prompt);
+      
+      if (result.success) {
+        spinner.succeed(chalk.green(`Model ${model} test completed!`));
+        console.log(chalk.yellow('\n📊 Test Results:'));
+        console.log(`   Response Time: ${chalk.cyan(result.responseTime + 'ms')}`);
+        console.log(`   Tokens/Second: ${chalk.cyan(result.tokensPerSecond)}`);
+        console.log(chalk.yellow('\n💬 Response:'));
+        console.log(chalk.gray(result.response));
+      } else {
+        spinner.fail(chalk.red(`Model ${model} test failed`));
+        console.error(chalk.red('Error:'), result.error);
+        process.exit(1);
+      }
+      
+    } catch (error) {
+      spinner.fail(chalk.red('Test failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Interactive chat command
+program
+  .command('chat <model>')
+  .description('Chat with a model interactively, streaming its replies')
+  .option('-s, --system <prompt>', 'System prompt for the conversation')
+  .option('-l, --load <file>', 'Continue a transcript saved with /save')
+  .option('--host <name>', 'Named Ollama host to chat with (see: hosts list)')
+  .action(async (model, options) => {
+    console.log(banner);
+    
+    try {
+      const monitor = getOllamaMonitor(options.host);
+      const session = new ChatSession(monitor, model, { system: options.system });
+      if (options.load) {
+        await session.load(options.load);
+        // The command line wins over what the transcript was saved with
+        session.model = model;
+        if (options.system) session.system = options.system;
+      }
+      
+      const info = await monitor.getModelInfo(model);
+      if (!info.success) {
+        throw new Error(`Model ${model} is not available on ${monitor.ollamaHost}: ${info.error}`);
+      }
+      
+      console.log(chalk.gray(`Chatting with ${model}${session.messages.length > 0 ? ` (${session.messages.length} messages loaded)` : ''}. ` +
+        'Type /help for commands, /bye or Ctrl+D to exit.\n'));
+      await new ChatRepl(session).run();
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Benchmark model command
+program
+  .command('benchmark <model>')
+  .description('Benchmark an Ollama model using its token eval counters')
+  .option('-n, --iterations <count>', 'Number of measured runs', '3')
+  .option('-w, --warmup <count>', 'Number of warmup runs', '1')
+  .option('-l, --prompt-length <tokens>', 'Approximate prompt length in tokens', '64')
+  .option('-p, --prompt <prompt>', 'Custom prompt (overrides --prompt-length)')
+  .option('--num-ctx <tokens>', 'Context window size (num_ctx)', '2048')
+  .option('--num-predict <tokens>', 'Tokens to generate per run (num_predict)', '128')
+  .option('--no-save', 'Do not save the result to the benchmark history')
+  .option('--host <name>', 'Named Ollama host to benchmark on (see: hosts list)')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (model, options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
+    
+    const spinner = ora(`Benchmarking model: ${model}...`).start();
+    
+    try {
+      const monitor = getOllamaMonitor(options.host);
+      const benchmark = new ModelBenchmark(monitor);
+      const result = await benchmark.run(model, {
+        iterations: options.iterations,
+        warmup: options.warmup,
+        promptLength: options.promptLength,
+        prompt: options.prompt,
+        numCtx: options.numCtx,
+        numPredict: options.numPredict
+      }, (progress) => {
+        const phase = progress.warmup ? 'warmup' : 'measuring';
+        spinner.text = `Benchmarking ${model}: run ${progress.run}/${progress.totalRuns} (${phase})`;
+      });
+      
+      if (!result.success) {
+        spinner.fail(chalk.red(`Benchmark of ${model} failed`));
+        console.error(chalk.red('Error:'), result.error);
+        process.exit(1);
+      }
+      
+      if (options.save) {
+        spinner.text = 'Saving benchmark result...';
+        // The hardware fingerprint only describes this machine, so leave it out for remote hosts
+        const detector = monitor.isLocalHost() ? new HardwareDetector() : null;
+        const record = await new BenchmarkStore().saveResult(result, detector, monitor);
+        result.id = record.id;
+      }
+      
+      spinner.succeed(chalk.green(`Benchmark of ${model} completed!`));
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        displayBenchmark(result);
+        if (result.id) {
+          console.log(chalk.gray(`\n💾 Saved to history as ${result.id}`));
+        }
+      }
+      
+    } catch (error) {
+      spinner.fail(chalk.red('Benchmark failed'));
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Benchmark history command
+program
+  .command('history')
+  .description('List saved benchmark runs')
+  .option('-m, --model <model>', 'Only show runs for this model')
+  .option('-f, --fingerprint <fingerprint>', 'Only show runs from this hardware fingerprint')
+  .option('-o, --ollama-version <version>', 'Only show runs with this Ollama version')
+  .option('-s, --since <date>', 'Only show runs saved after this date')
+  .option('-l, --limit <count>', 'Maximum number of runs to show', '20')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (options) => {
+    try {
+      const store = new BenchmarkStore();
+      const records = await store.list({
+        model: options.model,
+        fingerprint: options.fingerprint,
+        ollamaVersion: options.ollamaVersion,
+        since: options.since,
+        limit: options.limit
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify(records, null, 2));
+      } else {
+        console.log(banner);
+        displayHistory(records);
+      }
+      
+    } catch (error) {
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
   });
 
-// Analyze hardware command
+// Compare benchmark runs command
 program
-  .command('analyze')
-  .description('Perform a complete hardware analysis')
+  .command('compare [baseline] [candidate]')
+  .description('Compare two benchmark runs, or two Ollama versions for a model, and flag regressions')
+  .option('-m, --model <model>', 'Model to compare across Ollama versions')
+  .option('--from-version <version>', 'Baseline Ollama version')
+  .option('--to-version <version>', 'Candidate Ollama version')
+  .option('-f, --fingerprint <fingerprint>', 'Restrict version comparison to one hardware fingerprint')
+  .option('-t, --threshold <percent>', 'Change in percent that counts as a regression', '10')
   .option('-j, --json', 'Output in JSON format')
-  .action(async (options) => {
-    if (!options.json) {
-      console.log(banner);
-    }
-    
-    const spinner = ora('Analyzing hardware...').start();
-    
+  .action(async (baseline, candidate, options) => {
     try {
-      const detector = new HardwareDetector();
-      const analysis = await detector.detectHardware();
+      const store = new BenchmarkStore();
+      let comparison;
       
-      spinner.succeed(chalk.green('Hardware analysis completed!'));
+      if (baseline && candidate) {
+        comparison = await store.compareRuns(baseline, candidate, options.threshold);
+      } else if (options.model && options.fromVersion && options.toVersion) {
+        comparison = await store.compareVersions(
+          options.model, options.fromVersion, options.toVersion, options.threshold, options.fingerprint
+        );
+      } else {
+        console.error(chalk.red('Error:'), 'Provide two run IDs, or --model with --from-version and --to-version');
+        process.exit(1);
+      }
       
       if (options.json) {
-        console.log(JSON.stringify(analysis, null, 2));
+        console.log(JSON.stringify(comparison, null, 2));
       } else {
-        displayHardwareAnalysis(analysis);
+        console.log(banner);
+        displayComparison(comparison);
       }
       
     } catch (error) {
-      spinner.fail(chalk.red('Hardware analysis failed'));
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
   });
 
-// Check Ollama status command
+// Compare models command
 program
-  .command('ollama')
-  .description('Check Ollama status and installed models')
+  .command('compare-models <models...>')
+  .description('Run the same prompts against several models in turn and compare speed, memory and responses')
+  .option('-p, --prompt <prompt>', 'Prompt to send to every model')
+  .option('-f, --prompt-file <file>', 'Prompt set: a JSON array of strings, or text with prompts separated by blank lines')
+  .option('--num-ctx <tokens>', 'Context window size (num_ctx)', '2048')
+  .option('--num-predict <tokens>', 'Maximum tokens to generate per prompt (num_predict)', '256')
+  .option('--no-unload', 'Do not unload loaded models before each model runs')
+  .option('--host <name>', 'Named Ollama host to compare on (see: hosts list)')
+  .option('-o, --output <file>', 'Also write the results to a file (.md for Markdown, otherwise JSON)')
   .option('-j, --json', 'Output in JSON format')
-  .action(async (options) => {
-    if (!options.json) {
+  .option('-m, --markdown', 'Output in Markdown format')
+  .action(async (models, options) => {
+    const quiet = options.json || options.markdown;
+    if (!quiet) {
       console.log(banner);
     }
     
-    const spinner = ora('Checking Ollama status...').start();
+    const spinner = ora(`Comparing ${models.join(', ')}...`);
+    if (!quiet) spinner.start();
     
     try {
-      const monitor = new OllamaMonitor();
-      const status = await monitor.checkOllamaStatus();
+      const monitor = getOllamaMonitor(options.host);
+      // Memory readings only describe this machine, so skip them for remote hosts
+      const comparison = new ModelComparison(monitor, monitor.isLocalHost() ? new HardwareDetector() : null);
+      let prompts = options.prompt ? [options.prompt] : undefined;
+      if (options.promptFile) {
+        prompts = [...(prompts || []), ...await comparison.readPromptFile(options.promptFile)];
+      }
       
-      if (status.isRunning) {
-        spinner.succeed(chalk.green('Ollama is running!'));
-      } else {
-        spinner.warn(chalk.yellow('Ollama is not running'));
+      const result = await comparison.run({
+        models,
+        prompts,
+        numCtx: options.numCtx,
+        numPredict: options.numPredict,
+        unload: options.unload
+      }, (progress) => {
+        spinner.text = `Model ${progress.modelIndex}/${progress.totalModels} (${progress.model}): prompt ${progress.prompt}/${progress.totalPrompts}`;
+      });
+      
+      if (options.output) {
+        const content = path.extname(options.output).toLowerCase() === '.md'
+          ? comparison.toMarkdown(result)
+          : JSON.stringify(result, null, 2) + '\n';
+        await fs.promises.writeFile(options.output, content);
       }
       
       if (options.json) {
-        console.log(JSON.stringify(status, null, 2));
+        console.log(JSON.stringify(result, null, 2));
+      } else if (options.markdown) {
+        process.stdout.write(comparison.toMarkdown(result));
       } else {
-        displayOllamaStatus(status);
+        const failed = result.results.filter(entry => !entry.success).length;
+        if (failed > 0) {
+          spinner.warn(chalk.yellow(`Comparison finished; ${failed} of ${models.length} model(s) failed`));
+        } else {
+          spinner.succeed(chalk.green('Comparison completed!'));
+        }
+        displayModelComparison(result);
+        if (options.output) {
+          console.log(chalk.gray(`\n💾 Saved to ${options.output}`));
+        }
       }
       
+      if (!result.success) {
+        process.exit(1);
+      }
     } catch (error) {
-      spinner.fail(chalk.red('Failed to check Ollama status'));
+      spinner.fail(chalk.red('Comparison failed'));
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
   });
 
-// Install model command
+// Prompt eval command
 program
-  .command('install <model>')
-  .description('Install an Ollama model')
-  .action(async (model) => {
-    console.log(banner);
+  .command('eval <suite>')
+  .description('Run a prompt test suite (JSON or YAML) and check every response against its assertions')
+  .option('-m, --model <models...>', 'Run every case on these models instead of the ones in the suite')
+  .option('--host <name>', 'Named Ollama host to run on (see: hosts list)')
+  .option('-o, --output-dir <dir>', 'Directory for the JUnit XML and JSON reports', 'eval-reports')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (suitePath, options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
     
-    const spinner = ora(`Installing model: ${model}...`).start();
+    const spinner = ora(`Loading ${suitePath}...`);
+    if (!options.json) spinner.start();
     
     try {
-      const monitor = new OllamaMonitor();
-      const result = await monitor.installModel(model);
+      const promptEval = new PromptEval(getOllamaMonitor(options.host));
+      const suite = await promptEval.loadSuite(suitePath);
+      const report = await promptEval.run(suite, { models: options.model }, (progress) => {
+        spinner.text = `Case ${progress.index}/${progress.total}: ${progress.case} on ${progress.model}`;
+      });
+      const reports = await promptEval.writeReports(report, options.outputDir);
       
-      if (result.success) {
-        spinner.succeed(chalk.green(`Model ${model} installation started!`));
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
       } else {
-        spinner.fail(chalk.red(`Failed to install model ${model}`));
-        console.error(chalk.red('Error:'), result.error);
-        process.exit(1);
+        const { failed, errors } = report.summary;
+        if (failed + errors > 0) {
+          spinner.fail(chalk.red(`${failed + errors} of ${report.summary.total} case(s) did not pass`));
+        } else {
+          spinner.succeed(chalk.green(`All ${report.summary.total} case(s) passed`));
+        }
+        displayEvalReport(report, promptEval);
+        console.log(chalk.gray(`\n💾 Reports: ${reports.junit}, ${reports.json}`));
       }
       
+      if (report.summary.failed + report.summary.errors > 0) {
+        process.exit(1);
+      }
     } catch (error) {
-      spinner.fail(chalk.red('Installation failed'));
+      spinner.fail(chalk.red('Eval failed'));
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
   });
 
-// Test model command
+// Recommend models command
 program
-  .command('test <model>')
-  .description('Test an Ollama model with a simple prompt')
-  .option('-p, --prompt <prompt>', 'Custom prompt to test', 'Hello, how are you?')
-  .action(async (model, options) => {
-    console.log(banner);
+  .command('recommend [models...]')
+  .description('Check which installed or requested models fit this machine')
+  .option('-j, --json', 'Output in JSON format')
+  .action(async (models, options) => {
+    if (!options.json) {
+      console.log(banner);
+    }
     
-    const spinner = ora(`Testing model: ${model}...`).start();
+    const spinner = ora('Analyzing hardware and models...').start();
     
     try {
-      const monitor = new OllamaMonitor();
-      const result = await monitor.testModelGeneration(model, options.prompt);
+      const detector = new HardwareDetector();
+      const recommender = new ModelRecommender(new OllamaMonitor());
+      const analysis = await detector.detectHardware();
+      const result = await recommender.recommend(analysis, models);
       
-      if (result.success) {
-        spinner.succeed(chalk.green(`Model ${model} test completed!`));
-        console.log(chalk.yellow('\n📊 Test Results:'));
-        console.log(`   Response Time: ${chalk.cyan(result.responseTime + 'ms')}`);
-        console.log(`   Tokens/Second: ${chalk.cyan(result.tokensPerSecond)}`);
-        console.log(chalk.yellow('\n💬 Response:'));
-        console.log(chalk.gray(result.response));
+      spinner.succeed(chalk.green('Recommendations ready!'));
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
       } else {
-        spinner.fail(chalk.red(`Model ${model} test failed`));
-        console.error(chalk.red('Error:'), result.error);
-        process.exit(1);
+        displayRecommendations(result);
       }
       
     } catch (error) {
-      spinner.fail(chalk.red('Test failed'));
+      spinner.fail(chalk.red('Recommendation failed'));
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
   });
 
+function displayPairing(auth, port) {
+  const serverUrl = `http://localhost:${port}`;
+  console.log(`   Token: ${chalk.white(auth.getToken('write'))}`);
+  console.log(`   Pairing code: ${chalk.white(auth.getPairingCode(serverUrl))}`);
+  console.log(`   Pairing URL: ${chalk.underline(auth.getPairingUrl(serverUrl))}`);
+  console.log(chalk.gray('   Anyone with this token can install and delete models on this machine.'));
+}
+
+function runConfigCommand(handler) {
+  try {
+    const config = new Config({ lenient: true });
+    config.problems.forEach(problem => console.error(chalk.yellow(`⚠️  ${problem} (ignored)`)));
+    handler(config);
+    if (config.backupPath) {
+      console.error(chalk.yellow(`⚠️  The old config file could not be parsed; it was saved to ${config.backupPath}`));
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+// Resolve a named host, defaulting to the configured ollamaHost
+function getOllamaMonitor(hostName) {
+  if (!hostName) {
+    return new OllamaMonitor();
+  }
+  
+  const monitor = new OllamaHosts().getMonitor(hostName);
+  if (!monitor) {
+    throw new Error(`Unknown Ollama host: ${hostName}. Run 'ollama-compass hosts list' to see configured hosts`);
+  }
+  return monitor;
+}
+
+// Formatting helpers
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '--';
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function formatProgressBar(percent, width = 25) {
+  const filled = Math.round((Math.min(100, percent) / 100) * width);
+  return chalk.cyan('█'.repeat(filled)) + chalk.gray('░'.repeat(width - filled));
+}
+
+function formatPullProgress(progress) {
+  if (!progress.totalBytes) {
+    return `${progress.model}: ${progress.status}`;
+  }
+  
+  const digest = progress.digest ? chalk.gray(progress.digest.replace('sha256:', '').substring(0, 12)) : '';
+  return [
+    formatProgressBar(progress.percent),
+    chalk.white(`${progress.percent.toFixed(1)}%`),
+    `${formatBytes(progress.completedBytes)}/${formatBytes(progress.totalBytes)}`,
+    chalk.gray(`${formatBytes(progress.bytesPerSecond)}/s`),
+    `ETA ${formatDuration(progress.etaSeconds)}`,
+    digest
+  ].join('  ');
+}
+
 // Display functions
 function displayHardwareAnalysis(analysis) {
   console.log(chalk.yellow('\n🖥️  Hardware Analysis Results:'));
@@ -213,6 +1402,22 @@ function displayHardwareAnalysis(analysis) {
   console.log(`   OS: ${chalk.white(hardwareSpecs.system.os + ' ' + hardwareSpecs.system.osVersion)}`);
   console.log(`   Hostname: ${chalk.white(hardwareSpecs.system.hostname)}`);
   console.log(`   Uptime: ${chalk.white(hardwareSpecs.system.uptime + ' hours')}`);
+  if (analysis.environment) {
+    console.log(`   Environment: ${chalk.white(describeEnvironment(analysis.environment))}`);
+  }
+  
+  // Effective resources, only when a container limit or hidden GPU makes them differ from the host's
+  const effective = hardwareSpecs.effective;
+  if (effective && effective.limitedBy.length > 0) {
+    console.log(chalk.yellow('\n📦 Effective Resources') + chalk.gray(` (limited by ${effective.limitedBy.join(', ')}):`));
+    console.log(`   CPU: ${chalk.white(effective.cpuCores)} of ${hardwareSpecs.cpu.logicalCores} cores` +
+      (effective.cpuset ? chalk.gray(` (cpuset ${formatCpuList(effective.cpuset)})`) : ''));
+    console.log(`   Memory: ${chalk.white(effective.totalMemoryGB + ' GB')} of ${hardwareSpecs.memory.totalMemoryGB} GB, ${effective.availableMemoryGB} GB available`);
+    console.log(`   GPUs: ${chalk.white(effective.gpuCount)} of ${(hardwareSpecs.gpus || []).length} visible, ${chalk.white(effective.usableVramGB + ' GB')} usable VRAM` +
+      (Object.keys(effective.gpuVisibility).length > 0
+        ? chalk.gray(` (${Object.entries(effective.gpuVisibility).map(([name, value]) => `${name}=${value}`).join(' ')})`)
+        : ''));
+  }
   
   // CPU Info
   console.log(chalk.cyan('\n💻 CPU:'));
@@ -243,17 +1448,33 @@ function displayHardwareAnalysis(analysis) {
   console.log(`   Usage: ${chalk.white(hardwareSpecs.memory.usagePercentage + '%')}`);
   
   // GPU Info
-  console.log(chalk.magenta('\n🎮 Graphics:'));
-  console.log(`   Model: ${chalk.white(hardwareSpecs.gpu.model)}`);
-  console.log(`   Brand: ${chalk.white(hardwareSpecs.gpu.brand)}`);
-  console.log(`   Type: ${chalk.white(hardwareSpecs.gpu.type)}`);
-  console.log(`   VRAM: ${chalk.white(hardwareSpecs.gpu.vramGB + ' GB')}`);
-  if (hardwareSpecs.gpu.driver && hardwareSpecs.gpu.driver !== 'Unknown') {
-    console.log(`   Driver: ${chalk.white(hardwareSpecs.gpu.driver)}`);
-  }
-  if (hardwareSpecs.gpu.temperature > 0) {
-    console.log(`   Temperature: ${chalk.white(hardwareSpecs.gpu.temperature + '°C')}`);
+  const gpus = hardwareSpecs.gpus && hardwareSpecs.gpus.length > 0 ? hardwareSpecs.gpus : [hardwareSpecs.gpu];
+  const summary = hardwareSpecs.gpuSummary;
+  console.log(chalk.magenta(gpus.length > 1 ? `\n🎮 Graphics (${gpus.length} GPUs):` : '\n🎮 Graphics:'));
+  if (gpus.length > 1 && summary) {
+    console.log(`   Usable VRAM: ${chalk.white(summary.usableVramGB + ' GB')} across ${summary.usableCount} GPU(s)${summary.backend ? chalk.gray(' (' + summary.backend + ')') : ''}, ${summary.totalVramGB} GB total`);
   }
+  gpus.forEach(gpu => {
+    const indent = gpus.length > 1 ? '     ' : '   ';
+    if (gpus.length > 1) {
+      const note = gpu.visible === false ? ' (hidden by *_VISIBLE_DEVICES)' : gpu.usable ? '' : ' (not used by Ollama)';
+      console.log(`   ${gpu.index}. ${chalk.white(gpu.model)}${chalk.gray(note)}`);
+    } else {
+      console.log(`${indent}Model: ${chalk.white(gpu.model)}`);
+    }
+    console.log(`${indent}Brand: ${chalk.white(gpu.brand)}`);
+    console.log(`${indent}Type: ${chalk.white(gpu.type)}`);
+    const vramSource = gpu.vramSource && gpu.vramSource !== 'unknown'
+      ? chalk.gray(` (${gpu.vramSource}${gpu.vramSourceDetail ? ': ' + gpu.vramSourceDetail : ''})`)
+      : '';
+    console.log(`${indent}VRAM: ${chalk.white(gpu.vramGB + ' GB')}${vramSource}`);
+    if (gpu.driver && gpu.driver !== 'Unknown') {
+      console.log(`${indent}Driver: ${chalk.white(gpu.driver)}`);
+    }
+    if (gpu.temperature > 0) {
+      console.log(`${indent}Temperature: ${chalk.white(gpu.temperature + '°C')}`);
+    }
+  });
   
   // Storage Info
   console.log(chalk.yellow('\n💾 Storage:'));
@@ -290,11 +1511,103 @@ function displayHardwareAnalysis(analysis) {
   console.log(`   Memory: ${chalk.white(performanceScores.memoryScore + '/100')}`);
   console.log(`   GPU: ${chalk.white(performanceScores.gpuScore + '/100')}`);
   console.log(`   Storage: ${chalk.white(performanceScores.storageScore + '/100')}`);
+  if (analysis.inferencePerformance) {
+    console.log(`   Inference: ${chalk.white(performanceScores.inferenceScore + '/100')} (${chalk.white(analysis.inferenceTier)})`);
+    displayInferencePerformance(analysis.inferencePerformance);
+  }
   
   console.log(chalk.green(`\n✅ Hardware fingerprint: ${analysis.hardwareFingerprint}`));
   console.log(chalk.gray(`🕒 Analysis completed at: ${new Date(analysis.analysisTimestamp).toLocaleString()}`));
 }
 
+// Predicted generation speed for the reference models, one row per size and one column per quantization
+function displayInferencePerformance(inference) {
+  console.log(chalk.blue('\n🚀 Inference Estimate:'));
+  console.log(`   Memory Bandwidth: ${chalk.white(inference.memoryBandwidthGBs + ' GB/s')} ${chalk.gray('(' + inference.memoryBandwidthDetail + ')')}`);
+  if (inference.gpuBandwidthGBs) {
+    console.log(`   GPU Bandwidth: ${chalk.white(inference.gpuBandwidthGBs + ' GB/s')} ${chalk.gray('(' + inference.backend + ')')}`);
+  }
+  const { calibration } = inference;
+  console.log(`   Calibration: ${calibration.samples > 0
+    ? chalk.white('×' + calibration.factor) + chalk.gray(` from ${calibration.samples} benchmark run(s) of ${calibration.models.join(', ')}`)
+    : chalk.gray('none yet; run `benchmark` to calibrate against measured speeds')}`);
+  inference.assumptions.forEach(assumption => console.log(chalk.gray(`   ⚠️  ${assumption}`)));
+  
+  const quantizations = [...new Set(inference.predictions.map(prediction => prediction.quantization))];
+  const sizes = [...new Set(inference.predictions.map(prediction => prediction.parameterSize))];
+  const placementMarks = { gpu: '', partial: '*', cpu: ' cpu' };
+  console.log(chalk.gray(`   ${'Predicted tok/s'.padEnd(18)}${quantizations.map(quantization => quantization.padStart(12)).join('')}`));
+  sizes.forEach(size => {
+    const cells = quantizations.map(quantization => {
+      const prediction = inference.predictions.find(entry => entry.parameterSize === size && entry.quantization === quantization);
+      const text = prediction.tokensPerSecond === null ? '--' : `${prediction.tokensPerSecond}${placementMarks[prediction.placement]}`;
+      return text.padStart(12);
+    });
+    console.log(`   ${chalk.white(size.padEnd(18))}${cells.join('')}`);
+  });
+  console.log(chalk.gray('   * partly offloaded to CPU, cpu: CPU only, --: does not fit in memory'));
+}
+
+function describeEnvironment(environment) {
+  const parts = [];
+  if (environment.container) parts.push(`${environment.container} container`);
+  if (environment.wsl) parts.push(environment.wslVersion ? `WSL ${environment.wslVersion}` : 'WSL');
+  if (environment.virtualization && !environment.wsl) {
+    parts.push(environment.virtualization === 'unknown' ? 'virtual machine' : `${environment.virtualization} virtual machine`);
+  }
+  const description = parts.length > 0 ? parts.join(' on ') : 'bare metal';
+  return environment.cgroupVersion ? `${description}, cgroup v${environment.cgroupVersion}` : description;
+}
+
+// [0, 1, 2, 3, 8] becomes "0-3,8"
+function formatCpuList(cpus) {
+  const ranges = [];
+  cpus.forEach(cpu => {
+    const last = ranges[ranges.length - 1];
+    if (last && cpu === last[1] + 1) last[1] = cpu;
+    else ranges.push([cpu, cpu]);
+  });
+  return ranges.map(([start, end]) => (start === end ? String(start) : `${start}-${end}`)).join(',');
+}
+
+function displayHardwareDiff(diff) {
+  const describe = snapshot => `${snapshot.source} (${snapshot.hostname || 'unknown host'}, ${snapshot.analysisTimestamp ? new Date(snapshot.analysisTimestamp).toLocaleString() : 'unknown time'})`;
+  
+  console.log(chalk.yellow('\n🔍 Hardware Changes:'));
+  console.log(chalk.gray('═'.repeat(70)));
+  console.log(`   From: ${chalk.white(describe(diff.from))}`);
+  console.log(`   To:   ${chalk.white(describe(diff.to))}`);
+  if (!diff.sameHost) {
+    console.log(chalk.yellow('   ⚠️  The snapshots come from different machines'));
+  }
+  
+  if (diff.identical) {
+    console.log(chalk.green('\n✅ No changes in CPU, memory, GPU, drives, environment or performance scores'));
+    return;
+  }
+  
+  const format = value => value === null ? '--' : String(value);
+  const sections = { cpu: '💻 CPU', memory: '🧠 Memory', gpu: '🎮 GPU', storage: '💾 Storage', system: '🖥️  System', environment: '📦 Environment', performance: '📊 Performance' };
+  Object.entries(sections).forEach(([section, title]) => {
+    const changes = diff.changes.filter(change => change.section === section);
+    const memoryModules = section === 'memory' ? diff.memoryModules : [];
+    const emptyList = { added: [], removed: [] };
+    const devices = section === 'storage' ? diff.drives : section === 'gpu' ? diff.gpus : emptyList;
+    if (changes.length + memoryModules.length + devices.added.length + devices.removed.length === 0) return;
+    
+    console.log(chalk.cyan(`\n${title}:`));
+    changes.forEach(change => {
+      const delta = change.delta !== undefined ? (change.delta > 0 ? chalk.green(` (+${change.delta})`) : chalk.red(` (${change.delta})`)) : '';
+      console.log(`   ${change.field}: ${chalk.red(format(change.from))} → ${chalk.green(format(change.to))}${delta}`);
+    });
+    memoryModules.forEach(module => {
+      console.log(`   ${module.slot}: ${chalk.red(module.from || 'empty')} → ${chalk.green(module.to || 'empty')}`);
+    });
+    devices.removed.forEach(device => console.log(chalk.red(`   - ${device}`)));
+    devices.added.forEach(device => console.log(chalk.green(`   + ${device}`)));
+  });
+}
+
 function displayOllamaStatus(status) {
   console.log(chalk.yellow('\n🦙 Ollama Status:'));
   console.log(chalk.gray('═'.repeat(60)));
@@ -326,6 +1639,353 @@ function displayOllamaStatus(status) {
   }
 }
 
+function displayBenchmark(result) {
+  const { parameters, summary } = result;
+  
+  console.log(chalk.yellow('\n⏱️  Benchmark Results:'));
+  console.log(chalk.gray('═'.repeat(70)));
+  console.log(`   Model: ${chalk.white(result.model)}`);
+  console.log(`   Runs: ${chalk.white(parameters.iterations)} measured, ${chalk.white(parameters.warmup)} warmup`);
+  console.log(`   num_ctx: ${chalk.white(parameters.numCtx)}  num_predict: ${chalk.white(parameters.numPredict)}`);
+  console.log(`   Cold Load: ${chalk.white(result.coldLoadMs + ' ms')}`);
+  
+  const rows = [
+    ['Prompt processing', summary.promptTokensPerSecond, 'tok/s'],
+    ['Generation', summary.generationTokensPerSecond, 'tok/s'],
+    ['Time to first token', summary.timeToFirstTokenMs, 'ms'],
+    ['Model load', summary.loadDurationMs, 'ms']
+  ];
+  
+  const format = value => (value === null ? '--' : String(value)).padStart(10);
+  console.log(chalk.cyan(`\n   ${'Metric'.padEnd(22)}${'mean'.padStart(10)}${'median'.padStart(10)}${'p95'.padStart(10)}`));
+  rows.forEach(([label, stats, unit]) => {
+    console.log(`   ${label.padEnd(22)}${chalk.white(format(stats.mean) + format(stats.median) + format(stats.p95))} ${chalk.gray(unit)}`);
+  });
+}
+
+function displayHistory(records) {
+  console.log(chalk.yellow('\n📚 Benchmark History:'));
+  console.log(chalk.gray('═'.repeat(70)));
+  
+  if (records.length === 0) {
+    console.log(chalk.gray('   No benchmark runs saved yet. Run: ollama-compass benchmark <model>'));
+    return;
+  }
+  
+  records.forEach(record => {
+    const generation = record.summary?.generationTokensPerSecond?.median;
+    const ttft = record.summary?.timeToFirstTokenMs?.median;
+    console.log(`   ${chalk.cyan(record.id)}  ${chalk.white(record.model)}  ${chalk.gray(new Date(record.savedAt).toLocaleString())}`);
+    console.log(`     Ollama ${chalk.white(record.ollamaVersion)}  ` +
+      `gen ${chalk.white(generation ?? '--')} tok/s  ` +
+      `TTFT ${chalk.white(ttft ?? '--')} ms  ` +
+      chalk.gray(`hw ${record.hardwareFingerprint}`));
+  });
+}
+
+function displayComparison(comparison) {
+  const { baseline, candidate, metrics } = comparison;
+  
+  console.log(chalk.yellow('\n📈 Benchmark Comparison:'));
+  console.log(chalk.gray('═'.repeat(70)));
+  console.log(`   Baseline:  ${chalk.white(baseline.label)} ${chalk.gray(`(${baseline.model}, Ollama ${baseline.ollamaVersion})`)}`);
+  console.log(`   Candidate: ${chalk.white(candidate.label)} ${chalk.gray(`(${candidate.model}, Ollama ${candidate.ollamaVersion})`)}`);
+  
+  comparison.warnings.forEach(warning => {
+    console.log(chalk.yellow(`   ⚠️  ${warning}`));
+  });
+  
+  const statusLabels = {
+    regression: chalk.red('▼ regression'),
+    improvement: chalk.green('▲ improvement'),
+    unchanged: chalk.gray('= unchanged'),
+    unknown: chalk.gray('? no data')
+  };
+  
+  console.log('');
+  metrics.forEach(metric => {
+    const change = metric.changePercent === null ? '--' : `${metric.changePercent > 0 ? '+' : ''}${metric.changePercent}%`;
+    console.log(`   ${metric.label.padEnd(26)}${String(metric.baseline ?? '--').padStart(10)} → ${String(metric.candidate ?? '--').padEnd(10)}` +
+      `${change.padStart(8)}  ${statusLabels[metric.status]}`);
+  });
+  
+  if (comparison.regressions > 0) {
+    console.log(chalk.red(`\n❌ ${comparison.regressions} regression(s) beyond ${comparison.thresholdPercent}%`));
+  } else {
+    console.log(chalk.green(`\n✅ No regressions beyond ${comparison.thresholdPercent}%`));
+  }
+}
+
+function displayModelComparison(comparison) {
+  const { results } = comparison;
+  const column = 20;
+  const gb = bytes => (bytes === null || bytes === undefined ? '--' : `${(bytes / (1024 ** 3)).toFixed(1)} GB`);
+  const withDelta = (peak, baseline) => (peak === null || peak === undefined ? '--'
+    : `${gb(peak)}${baseline !== null && baseline !== undefined ? ` (+${((Math.max(0, peak - baseline)) / (1024 ** 3)).toFixed(1)})` : ''}`);
+  const value = (result, read) => (result.success ? String(read(result) ?? '--') : '--');
+  
+  console.log(chalk.yellow('\n⚖️  Model Comparison:'));
+  console.log(chalk.gray('═'.repeat(70)));
+  console.log(`   Prompts: ${chalk.white(comparison.prompts.length)}  num_ctx: ${chalk.white(comparison.parameters.numCtx)}  num_predict: ${chalk.white(comparison.parameters.numPredict)}`);
+  
+  const rows = [
+    ['Load time (ms)', result => result.loadDurationMs],
+    ['TTFT median (ms)', result => result.timeToFirstTokenMs.median],
+    ['Generation (tok/s)', result => result.generationTokensPerSecond.median],
+    ['Prompt eval (tok/s)', result => result.promptTokensPerSecond.median],
+    ['Peak RAM', result => withDelta(result.memory?.peakMemoryBytes, result.memory?.baselineMemoryBytes)],
+    ['Peak VRAM', result => withDelta(result.memory?.peakVramBytes, result.memory?.baselineVramBytes)],
+    ['Ollama size', result => (result.ollama ? gb(result.ollama.sizeBytes) : null)],
+    ['Processor', result => result.ollama?.processor]
+  ];
+  
+  console.log(chalk.cyan(`\n   ${''.padEnd(22)}${results.map(result => result.model.slice(0, column - 2).padEnd(column)).join('')}`));
+  rows.forEach(([label, read]) => {
+    console.log(`   ${label.padEnd(22)}${chalk.white(results.map(result => value(result, read).padEnd(column)).join(''))}`);
+  });
+  console.log(chalk.gray('   Peak memory is host-wide; the increase over the reading before the model loaded is in brackets.'));
+  
+  results.filter(result => !result.success).forEach(result => {
+    console.log(chalk.red(`\n   ❌ ${result.model}: ${result.error}`));
+  });
+  
+  comparison.prompts.forEach((prompt, index) => {
+    console.log(chalk.yellow(`\n💬 Prompt ${index + 1}:`), chalk.gray(prompt.split('\n').join('\n   ')));
+    results.filter(result => result.success).forEach(result => {
+      console.log(chalk.cyan(`\n   ${result.model}:`));
+      console.log(result.responses[index].trim().split('\n').map(line => `   ${line}`).join('\n'));
+    });
+  });
+}
+
+function displayEvalReport(report, promptEval) {
+  report.models.forEach(({ model, summary }) => {
+    console.log(chalk.cyan.bold(`\n🧪 ${report.suite} on ${model}`));
+    report.results.filter(result => result.model === model).forEach(result => {
+      if (result.status === 'error') {
+        console.log(`   ${chalk.red('✖')} ${result.case} ${chalk.red(`error: ${result.error}`)}`);
+        return;
+      }
+      const mark = result.status === 'passed' ? chalk.green('✔') : chalk.red('✖');
+      const load = result.loadDurationMs > 0 ? ` + ${result.loadDurationMs} ms load` : '';
+      const speed = result.evalTokensPerSecond !== null ? `, ${result.evalTokensPerSecond} tok/s` : '';
+      console.log(`   ${mark} ${result.case} ${chalk.gray(`(${result.latencyMs} ms${load}${speed})`)}`);
+      result.assertions.filter(assertion => !assertion.passed).forEach(assertion => {
+        console.log(`      ${chalk.red(`${promptEval.describeAssertion(assertion)}: ${assertion.message}`)}`);
+      });
+      if (result.status === 'failed') {
+        console.log(`      ${chalk.gray(`Response: ${promptEval.previewResponse(result.response) || '(empty)'}`)}`);
+      }
+    });
+    const errors = summary.errors > 0 ? `, ${chalk.red(`${summary.errors} error(s)`)}` : '';
+    console.log(`   ${chalk.green(`${summary.passed} passed`)}, ${summary.failed > 0 ? chalk.red(`${summary.failed} failed`) : `${summary.failed} failed`}${errors}`);
+  });
+
+  const { total, passed, failed, errors } = report.summary;
+  console.log(chalk.cyan.bold('\n📋 Summary'));
+  console.log(`   Cases: ${chalk.white(total)}, passed: ${chalk.green(passed)}, failed: ${failed > 0 ? chalk.red(failed) : chalk.white(failed)}, errors: ${errors > 0 ? chalk.red(errors) : chalk.white(errors)}`);
+  console.log(`   Duration: ${chalk.white((report.durationMs / 1000).toFixed(1))} s`);
+}
+
+function displayRecommendations(result) {
+  const { resources, recommendations } = result;
+  
+  console.log(chalk.yellow('\n🧭 Model Recommendations:'));
+  console.log(chalk.gray('═'.repeat(70)));
+  console.log(`   GPU: ${chalk.white(resources.gpuModel)} (${chalk.gray(resources.gpuType)})${resources.gpuCount > 1 ? chalk.white(` + ${resources.gpuCount - 1} more`) : ''}`);
+  console.log(`   GPU Memory Usable: ${chalk.white(resources.gpuMemoryGB + ' GB')}`);
+  console.log(`   System Memory Available: ${chalk.white(resources.systemMemoryGB + ' GB')}`);
+  console.log(`   Free Storage: ${chalk.white(resources.freeStorageGB + ' GB')}`);
+  
+  if (recommendations.length === 0) {
+    console.log(chalk.gray('\n   No models installed. Pass model names, e.g. recommend llama3:8b llama3:70b'));
+    return;
+  }
+  
+  const fitLabels = {
+    gpu: chalk.green('✅ Full GPU'),
+    partial: chalk.yellow('⚠️ Partial offload'),
+    cpu: chalk.yellow('🐢 CPU only'),
+    none: chalk.red('❌ Will not run'),
+    unknown: chalk.gray('❓ Unknown')
+  };
+  
+  console.log('');
+  recommendations.forEach(rec => {
+    const details = [rec.parameterSize, rec.quantization, rec.sizeGB ? rec.sizeGB + ' GB' : null]
+      .filter(Boolean)
+      .join(', ');
+    const installed = rec.installed ? '' : chalk.gray(' [not installed]');
+    console.log(`   • ${chalk.white(rec.model)}${installed} ${chalk.gray('(' + details + ')')}`);
+    console.log(`     ${fitLabels[rec.fit]} - ${chalk.gray(rec.reason)}`);
+  });
+}
+
+function displayRunningModels(running, memory) {
+  console.log(chalk.yellow('\n🧠 Loaded Models:'));
+  console.log(chalk.gray('═'.repeat(70)));
+  
+  if (running.models.length === 0) {
+    console.log(chalk.gray('   No models loaded. Ollama loads a model on its first request.'));
+  } else {
+    console.log(chalk.cyan(`   ${'Name'.padEnd(28)}${'Size'.padEnd(10)}${'VRAM'.padEnd(10)}${'Processor'.padEnd(18)}Unloads in`));
+    running.models.forEach(model => {
+      const expires = model.neverExpires ? 'never' : formatDuration(model.expiresInSeconds);
+      console.log(`   ${chalk.white(model.name.padEnd(28))}${formatBytes(model.sizeBytes).padEnd(10)}` +
+        `${formatBytes(model.vramBytes).padEnd(10)}${model.processor.padEnd(18)}${expires}`);
+    });
+  }
+  
+  if (memory && memory.gpuMemoryUsedBytes !== null) {
+    console.log(chalk.cyan('\n🎮 GPU Memory:'));
+    console.log(`   In use: ${chalk.white(formatBytes(memory.gpuMemoryUsedBytes))} of ${chalk.white(formatBytes(memory.gpuMemoryTotalBytes))}`);
+    console.log(`   Loaded models: ${chalk.white(formatBytes(memory.vramBytes))}  Other processes: ${chalk.white(formatBytes(memory.otherGpuMemoryBytes))}`);
+  }
+}
+
+function displayModelDetails(details) {
+  const value = v => chalk.white(v ?? '--');
+  const billions = (details.parameterCount / 1e9).toFixed(2);
+  
+  console.log(chalk.yellow(`\n📄 ${details.model}:`));
+  console.log(chalk.gray('═'.repeat(70)));
+  console.log(`   Name: ${value(details.name)}`);
+  console.log(`   Architecture: ${value(details.architecture)}  Parameters: ${chalk.white(billions + 'B')}  File type: ${value(details.fileType)}`);
+  console.log(`   Context length: ${value(details.contextLength)}  Embedding: ${value(details.embeddingLength)}  Layers: ${value(details.blockCount)}`);
+  console.log(`   Attention heads: ${value(details.headCount)} (${value(details.headCountKv)} KV)` +
+    (details.expertCount ? `  Experts: ${details.expertUsedCount}/${details.expertCount} active` : ''));
+  console.log(`   Tokenizer: ${value(details.tokenizer.model)}${details.tokenizer.pre ? ' / ' + details.tokenizer.pre : ''}  Vocabulary: ${value(details.tokenizer.vocabSize)}`);
+  
+  const licenseLine = details.license.text ? details.license.text.trim().split('\n')[0].slice(0, 60) : null;
+  console.log(`   License: ${value(details.license.name || licenseLine)}`);
+  if (details.hasProjector) {
+    console.log(`   Vision: ${chalk.white('yes (projector layer)')}`);
+  }
+  
+  console.log(chalk.cyan('\n💾 Memory:'));
+  console.log(`   Weights: ${chalk.white(formatBytes(details.memory.weightsBytes))}`);
+  if (details.memory.kvCacheBytesPerToken) {
+    console.log(`   KV cache (f16): ${chalk.white(formatBytes(details.memory.kvCacheBytesPerToken))} per token, ` +
+      `${chalk.white(formatBytes(details.memory.kvCacheBytesAtContextLength))} at ${details.contextLength} tokens`);
+  }
+  
+  console.log(chalk.cyan(`\n🧱 Tensor Groups:`));
+  console.log(chalk.cyan(`   ${'Group'.padEnd(22)}${'Tensors'.padEnd(9)}${'Size'.padEnd(11)}Types`));
+  details.tensorGroups.forEach(group => {
+    const types = Object.entries(group.types).map(([type, count]) => `${type}×${count}`).join(' ');
+    console.log(`   ${chalk.white(group.group.padEnd(22))}${String(group.tensorCount).padEnd(9)}${formatBytes(group.bytes).padEnd(11)}${chalk.gray(types)}`);
+  });
+}
+
+function displayStorage(report) {
+  const { totals, filesystem } = report;
+  
+  console.log(chalk.yellow('\n💽 Model Storage:'));
+  console.log(chalk.gray('═'.repeat(70)));
+  console.log(`   Directory: ${chalk.white(report.modelsDir)}`);
+  if (filesystem) {
+    console.log(`   Filesystem: ${chalk.white(filesystem.fs)} (${filesystem.type}) mounted at ${chalk.white(filesystem.mount)}`);
+    console.log(`   Free space: ${chalk.white(formatBytes(filesystem.availableBytes))} of ${formatBytes(filesystem.sizeBytes)} (${filesystem.usePercent}% used)`);
+  }
+  
+  if (report.models.length > 0) {
+    console.log(chalk.cyan(`\n   ${'Model'.padEnd(32)}${'Size'.padEnd(11)}${'Unique'.padEnd(11)}Shared`));
+    report.models.forEach(model => {
+      const missing = model.missingBlobs.length > 0 ? chalk.red(`  ${model.missingBlobs.length} blob(s) missing`) : '';
+      console.log(`   ${chalk.white(model.model.padEnd(32))}${formatBytes(model.totalBytes).padEnd(11)}` +
+        `${formatBytes(model.uniqueBytes).padEnd(11)}${chalk.gray(formatBytes(model.sharedBytes))}${missing}`);
+    });
+  }
+  
+  console.log(`\n   On disk: ${chalk.white(formatBytes(totals.diskBytes))}` +
+    chalk.gray(` (per-model sizes add up to ${formatBytes(totals.listedBytes)}; shared layers save ${formatBytes(totals.sharedSavingsBytes)})`));
+  if (report.sharedBlobs.length > 0) {
+    console.log(chalk.cyan('\n🔗 Shared Layers:'));
+    report.sharedBlobs.forEach(blob => {
+      console.log(`   ${chalk.gray(blob.digest.replace('sha256:', '').substring(0, 12))}  ${formatBytes(blob.sizeBytes).padEnd(10)} ${blob.models.join(', ')}`);
+    });
+  }
+  
+  if (totals.reclaimableBytes > 0) {
+    console.log(chalk.yellow(`\n🧹 Reclaimable: ${formatBytes(totals.reclaimableBytes)}`) +
+      chalk.gray(` (${report.orphanedBlobs.length} orphaned blob(s), ${report.partialDownloads.length} partial download(s)). Run: ollama-compass prune --dry-run`));
+  }
+  report.unreadableManifests.forEach(entry => {
+    console.log(chalk.red(`   Unreadable manifest for ${entry.model}: ${entry.error}`));
+  });
+}
+
+function displayPrune(result) {
+  console.log(chalk.yellow(`\n🧹 ${result.dryRun ? 'Would delete' : 'Deleted'}:`));
+  console.log(chalk.gray('═'.repeat(70)));
+  
+  if (result.removed.length === 0) {
+    console.log(chalk.gray('   Nothing to prune.'));
+  }
+  result.removed.forEach(file => {
+    const kind = file.partial ? 'partial download' : 'orphaned blob';
+    console.log(`   ${chalk.white(file.file.substring(0, 19) + '…')}  ${formatBytes(file.sizeBytes).padEnd(10)} ${chalk.gray(kind)}`);
+  });
+  result.skipped.forEach(file => {
+    console.log(`   ${chalk.gray(file.file.substring(0, 19) + '…')}  ${chalk.yellow('skipped')} ${chalk.gray(file.reason)}`);
+  });
+}
+
+function displayModelDiff(diff) {
+  const [modelA, modelB] = diff.models;
+  const format = value => JSON.stringify(value);
+  
+  console.log(chalk.yellow(`\n🔀 ${modelA} → ${modelB}:`));
+  console.log(chalk.gray('═'.repeat(70)));
+  
+  const layerLabel = layers => [layers.from, ...layers.adapters].map(digest => digest?.replace('sha256:', '').substring(0, 12)).join(' + ');
+  if (diff.layers.same) {
+    console.log(`   Base layers: ${chalk.gray('same (' + layerLabel(diff.layers.from) + ')')}`);
+  } else {
+    console.log(`   Base layers: ${chalk.red(layerLabel(diff.layers.from))} → ${chalk.green(layerLabel(diff.layers.to))}`);
+  }
+  Object.entries(diff.details).forEach(([key, change]) => {
+    console.log(`   ${key}: ${chalk.red(change.from ?? '--')} → ${chalk.green(change.to ?? '--')}`);
+  });
+  
+  const { added, removed, changed } = diff.parameters;
+  if (Object.keys(added).length + Object.keys(removed).length + Object.keys(changed).length > 0) {
+    console.log(chalk.cyan('\n⚙️  Parameters:'));
+    Object.entries(removed).forEach(([key, value]) => console.log(chalk.red(`   - ${key} ${format(value)}`)));
+    Object.entries(added).forEach(([key, value]) => console.log(chalk.green(`   + ${key} ${format(value)}`)));
+    Object.entries(changed).forEach(([key, change]) => {
+      console.log(`   ~ ${key} ${chalk.red(format(change.from))} → ${chalk.green(format(change.to))}`);
+    });
+  }
+  
+  [['System prompt', diff.system], ['Template', diff.template]].forEach(([label, text]) => {
+    if (text.same) return;
+    console.log(chalk.cyan(`\n📝 ${label}:`));
+    text.lines.forEach(({ type, line }) => {
+      if (type === 'added') console.log(chalk.green(`   + ${line}`));
+      else if (type === 'removed') console.log(chalk.red(`   - ${line}`));
+      else console.log(chalk.gray(`     ${line}`));
+    });
+  });
+}
+
+function displayOllamaHosts(result) {
+  console.log(chalk.yellow('\n🦙 Ollama Hosts:'));
+  console.log(chalk.gray('═'.repeat(70)));
+  console.log(chalk.cyan(`   ${'Host'.padEnd(16)}${'Status'.padEnd(14)}${'Version'.padEnd(12)}${'Models'.padEnd(8)}${'Latency'.padEnd(10)}URL`));
+  
+  result.hosts.forEach(status => {
+    const state = status.isReachable ? chalk.green('✅ reachable'.padEnd(14)) : chalk.red('❌ down'.padEnd(14));
+    const version = status.isReachable ? status.version : '--';
+    const models = status.isReachable ? String(status.modelsCount) : '--';
+    const latency = status.isReachable ? `${status.latencyMs} ms` : '--';
+    console.log(`   ${chalk.white(status.name.padEnd(16))}${state}${version.padEnd(12)}${models.padEnd(8)}${latency.padEnd(10)}${chalk.gray(status.host)}`);
+    if (!status.isReachable && status.error) {
+      console.log(chalk.gray(`     ${status.error.message}`));
+    }
+  });
+}
+
 // Show banner and help if no command provided
 if (process.argv.length === 2) {
   console.log(banner);
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfigDir } = require('./paths');
+
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+// Every setting, its type and default. Env vars are OLLAMA_COMPASS_<SNAKE_CASE_KEY> plus any listed aliases.
+const SCHEMA = {
+  port: {
+    type: 'integer', min: 1, max: 65535, default: 7171, envAliases: ['CLI_PORT'],
+    description: 'Port the API server listens on'
+  },
+  corsOrigins: {
+    type: 'list',
+    default: [
+      'http://localhost:3000',
+      'http://localhost:5173',
+      'https://ollamalyzer.com',
+      'https://www.ollamalyzer.com'
+    ],
+    description: 'Origins allowed to call the API server (comma-separated)'
+  },
+  ollamaHost: {
+    type: 'url', default: 'http://localhost:11434', defaultPort: 11434, envAliases: ['OLLAMA_HOST'],
+    description: 'Default Ollama server URL'
+  },
+  ollamaModelsDir: {
+    type: 'string', default: null, envAliases: ['OLLAMA_MODELS'],
+    description: 'Ollama models directory read by `show`, `storage` and `prune` (default: auto-detect)'
+  },
+  realtimeIntervalMs: {
+    type: 'integer', min: 250, max: 60000, default: 2000,
+    description: 'Interval between realtime stats samples'
+  },
+  historyRetentionMinutes: {
+    type: 'integer', min: 1, max: 1440, default: 60,
+    description: 'How much realtime stats history the API server keeps in memory'
+  },
+  ollamaTimeoutMs: {
+    type: 'integer', min: 100, max: 120000, default: 5000,
+    description: 'Timeout for Ollama status and metadata requests'
+  },
+  generateTimeoutMs: {
+    type: 'integer', min: 1000, max: 3600000, default: 30000,
+    description: 'Timeout for test generations'
+  },
+  loadTimeoutMs: {
+    type: 'integer', min: 0, max: 3600000, default: 600000,
+    description: 'Timeout for loading a model into memory; 0 waits as long as Ollama takes'
+  },
+  keepAlive: {
+    type: 'string', pattern: /^-?(\d+|(\d+(\.\d+)?(ms|s|m|h))+)$/, patternHint: 'a duration such as 5m, 1h30m, 0 or -1',
+    default: '5m',
+    description: 'How long `load` keeps a model in memory (seconds or a duration; -1 keeps it loaded)'
+  },
+  pullIdleTimeoutMs: {
+    type: 'integer', min: 1000, max: 3600000, default: 60000,
+    description: 'Abort a streaming Ollama request after this long without data'
+  },
+  maxConcurrentPulls: {
+    type: 'integer', min: 1, max: 8, default: 1,
+    description: 'Model pulls the API server runs at once; further pulls wait in a queue'
+  },
+  realtimeGpuStats: {
+    type: 'boolean', default: true,
+    description: 'Include GPU utilization and temperature in realtime stats'
+  },
+  persistHistory: {
+    type: 'boolean', default: false,
+    description: 'Save the realtime stats history to disk'
+  },
+  alertWebhooks: {
+    type: 'list', default: [],
+    description: 'URLs that receive firing and resolved alerts as JSON POST requests (comma-separated)'
+  },
+  alertDesktopNotifications: {
+    type: 'boolean', default: false,
+    description: 'Show firing and resolved alerts as desktop notifications on the machine running the server'
+  },
+  authRequired: {
+    type: 'enum', values: ['none', 'mutating', 'all'], default: 'mutating',
+    description: 'Which API requests need a token: none, mutating (POST/PUT/DELETE) or all'
+  },
+  logLevel: {
+    type: 'enum', values: LOG_LEVELS, default: 'info',
+    description: 'Log verbosity: silent, error, warn, info or debug'
+  }
+};
+
+function getConfigPath() {
+  return process.env.OLLAMA_COMPASS_CONFIG || path.join(getConfigDir(), 'config.json');
+}
+
+function toEnvName(key) {
+  return 'OLLAMA_COMPASS_' + key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+class Config {
+  constructor(options = {}) {
+    this.filePath = options.filePath || getConfigPath();
+    this.env = options.env || process.env;
+    // Lenient configs keep going past bad keys and values, collecting them in `problems`, so the
+    // `config` commands can still show and repair a broken file
+    this.lenient = Boolean(options.lenient);
+    this.problems = [];
+    this.backupPath = null;
+    this.overrides = {};
+    this.load();
+  }
+
+  load() {
+    this.values = {};
+    this.sources = {};
+    this.problems = [];
+    Object.keys(SCHEMA).forEach(key => {
+      this.values[key] = SCHEMA[key].default;
+      this.sources[key] = 'default';
+    });
+
+    let fileValues = {};
+    try {
+      fileValues = this.readFile();
+    } catch (error) {
+      this.report(error.message);
+    }
+    Object.keys(fileValues).forEach(key => {
+      if (!SCHEMA[key]) {
+        this.report(`Unknown config key "${key}" in ${this.filePath}. Known keys: ${Object.keys(SCHEMA).join(', ')}`);
+        return;
+      }
+      this.assign(key, fileValues[key], `file (${this.filePath})`);
+    });
+
+    Object.keys(SCHEMA).forEach(key => {
+      const envNames = [toEnvName(key), ...(SCHEMA[key].envAliases || [])];
+      const envName = envNames.find(name => this.env[name] !== undefined && this.env[name] !== '');
+      if (envName) {
+        this.assign(key, this.parse(key, this.env[envName]), `env (${envName})`);
+      }
+    });
+
+    Object.keys(this.overrides).forEach(key => {
+      this.assign(key, this.overrides[key], 'flag');
+    });
+  }
+
+  assign(key, value, source) {
+    try {
+      this.values[key] = this.validate(key, value);
+    } catch (error) {
+      this.report(`${error.message} (from ${source})`);
+      return;
+    }
+    this.sources[key] = source;
+  }
+
+  report(message) {
+    if (!this.lenient) throw new Error(message);
+    this.problems.push(message);
+  }
+
+  readFile() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Could not read config file ${this.filePath}: ${error.message}`);
+    }
+
+    try {
+      const parsed = JSON.parse(content);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('expected a JSON object');
+      }
+      return parsed;
+    } catch (error) {
+      throw new Error(`Could not parse config file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // A lenient set/unset starts over from an empty file when the old one cannot be parsed,
+  // keeping a copy of it next to the new one
+  readFileForUpdate() {
+    try {
+      return this.readFile();
+    } catch (error) {
+      if (!this.lenient || !fs.existsSync(this.filePath)) throw error;
+      this.backupPath = `${this.filePath}.bak`;
+      fs.copyFileSync(this.filePath, this.backupPath);
+      return {};
+    }
+  }
+
+  writeFile(values) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(values, null, 2) + '\n');
+  }
+
+  getDefinition(key) {
+    const definition = SCHEMA[key];
+    if (!definition) {
+      throw new Error(`Unknown config key "${key}". Known keys: ${Object.keys(SCHEMA).join(', ')}`);
+    }
+    return definition;
+  }
+
+  // Converts a string from the environment, a flag or `config set` into the key's type
+  parse(key, raw) {
+    const definition = this.getDefinition(key);
+    if (typeof raw !== 'string') return raw;
+
+    switch (definition.type) {
+      case 'integer':
+        return /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+      case 'boolean':
+        if (['true', '1', 'yes', 'on'].includes(raw.toLowerCase())) return true;
+        if (['false', '0', 'no', 'off'].includes(raw.toLowerCase())) return false;
+        return raw;
+      case 'list':
+        return raw.split(',').map(item => item.trim()).filter(Boolean);
+      case 'url':
+        return this.parseUrl(raw.trim(), definition.defaultPort);
+      default:
+        return raw.trim();
+    }
+  }
+
+  // OLLAMA_HOST is often just "127.0.0.1" or "0.0.0.0:11434", as accepted by `ollama serve`
+  parseUrl(raw, defaultPort) {
+    const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `http://${raw}`;
+    try {
+      const url = new URL(withScheme);
+      if (!url.port && defaultPort && !/^[a-z][a-z0-9+.-]*:\/\//i.test(raw)) {
+        url.port = String(defaultPort);
+      }
+      return url.toString();
+    } catch (error) {
+      return raw;
+    }
+  }
+
+  validate(key, value) {
+    const definition = this.getDefinition(key);
+    const fail = (expected) => {
+      throw new Error(`Invalid value for ${key}: expected ${expected}, got ${JSON.stringify(value)}`);
+    };
+
+    switch (definition.type) {
+      case 'integer':
+        if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+          fail(`an integer between ${definition.min} and ${definition.max}`);
+        }
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') fail('true or false');
+        break;
+      case 'enum':
+        if (!definition.values.includes(value)) fail(`one of ${definition.values.join(', ')}`);
+        break;
+      case 'url':
+        if (typeof value !== 'string' || !/^https?:\/\/[^\s/]+/.test(value)) fail('an http(s) URL such as http://localhost:11434');
+        return value.replace(/\/+$/, '');
+      case 'string':
+        if (typeof value !== 'string' || (definition.pattern && !definition.pattern.test(value))) {
+          fail(definition.patternHint || 'a string');
+        }
+        break;
+      case 'list':
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+          fail('a list of non-empty strings');
+        }
+        break;
+    }
+    return value;
+  }
+
+  get(key) {
+    this.getDefinition(key);
+    return this.values[key];
+  }
+
+  list() {
+    return Object.keys(SCHEMA).map(key => ({
+      key,
+      value: this.values[key],
+      source: this.sources[key],
+      default: SCHEMA[key].default,
+      description: SCHEMA[key].description
+    }));
+  }
+
+  // Highest-precedence layer, used for command line flags
+  applyOverrides(overrides) {
+    Object.keys(overrides).forEach(key => {
+      if (overrides[key] === undefined) return;
+      this.overrides[key] = this.validate(key, this.parse(key, overrides[key]));
+    });
+    this.load();
+  }
+
+  set(key, raw) {
+    const value = this.validate(key, this.parse(key, raw));
+    const fileValues = this.readFileForUpdate();
+    fileValues[key] = value;
+    this.writeFile(fileValues);
+    this.load();
+    return value;
+  }
+
+  // Keys the schema does not know can still be removed, which is how a typo in the file gets fixed
+  unset(key) {
+    const fileValues = this.readFileForUpdate();
+    if (!Object.prototype.hasOwnProperty.call(fileValues, key)) {
+      this.getDefinition(key);
+    }
+    delete fileValues[key];
+    this.writeFile(fileValues);
+    this.load();
+  }
+}
+
+let sharedConfig = null;
+
+// The process-wide configuration every component reads unless handed its own
+function getConfig() {
+  if (!sharedConfig) {
+    sharedConfig = new Config();
+  }
+  return sharedConfig;
+}
+
+module.exports = {
+  Config,
+  getConfig,
+  getConfigPath,
+  LOG_LEVELS
+};
@@ -0,0 +1,219 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const WebSocket = require('ws');
+const HardwareDetector = require('./hardware-detector');
+const OllamaMonitor = require('./ollama-monitor');
+const ModelBenchmark = require('./model-benchmark');
+const BenchmarkStore = require('./benchmark-store');
+const JobManager = require('./job-manager');
+const { getConfig } = require('./config');
+
+const RECONNECT_DELAY_MS = 2000;
+
+// Both sources emit the same events, so `top` does not care where its data comes from:
+// 'stats' (a realtime sample), 'running' (loaded models), 'jobs' (every job), 'job' (one job changed),
+// 'connection' ({ connected, error }) and 'notice' (a message for the status line).
+
+// Samples this machine directly and runs benchmarks in-process
+class LocalDashboardSource extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.hardwareDetector = options.hardwareDetector || new HardwareDetector();
+    this.ollamaMonitor = options.ollamaMonitor || new OllamaMonitor();
+    this.modelBenchmark = new ModelBenchmark(this.ollamaMonitor);
+    this.benchmarkStore = new BenchmarkStore();
+    this.jobs = new JobManager({ concurrency: { benchmark: 1 } });
+    this.jobs.on('update', job => this.emit('job', job));
+    this.intervalMs = options.intervalMs || getConfig().get('realtimeIntervalMs');
+    this.description = `local, Ollama at ${this.ollamaMonitor.ollamaHost}`;
+    this.timer = null;
+    this.isSampling = false;
+    this.stopped = false;
+  }
+
+  start() {
+    this.emit('connection', { connected: true, error: null });
+    this.sample();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.jobs.list().filter(job => !JobManager.FINISHED_STATUSES.includes(job.status)).forEach(job => this.jobs.cancel(job.id));
+  }
+
+  // The next sample is scheduled once the current one finishes so slow sensors never pile up
+  async sample() {
+    if (this.isSampling || this.stopped) return;
+    clearTimeout(this.timer);
+    this.isSampling = true;
+
+    try {
+      const [stats, running] = await Promise.all([
+        this.hardwareDetector.getRealtimeStats(),
+        this.ollamaMonitor.getRunningModels()
+      ]);
+      if (stats) {
+        stats.ollama = running.success ? this.ollamaMonitor.correlateGpuMemory(running, stats) : null;
+        this.emit('stats', stats);
+      }
+      this.emit('running', running);
+    } catch (error) {
+      // Nothing awaits sample(), so a throw here (including from a render listener) would be unhandled
+      this.emit('notice', `Sampling failed: ${error.message}`);
+    } finally {
+      this.isSampling = false;
+      if (!this.stopped) this.timer = setTimeout(() => this.sample(), this.intervalMs);
+    }
+  }
+
+  setIntervalMs(intervalMs) {
+    this.intervalMs = intervalMs;
+    if (!this.isSampling && !this.stopped) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.sample(), this.intervalMs);
+    }
+  }
+
+  refresh() {
+    this.sample();
+  }
+
+  async unloadModel(modelName) {
+    return this.ollamaMonitor.unloadModel(modelName);
+  }
+
+  // Saved to the benchmark history like `benchmark <model>`
+  async startBenchmark(modelName) {
+    const job = this.jobs.create('benchmark', { model: modelName }, async ({ signal, updateProgress }) => {
+      const result = await this.modelBenchmark.run(modelName, { signal }, updateProgress);
+      if (!result.success) throw new Error(result.error);
+
+      const record = await this.benchmarkStore.saveResult(result, this.hardwareDetector, this.ollamaMonitor);
+      result.id = record.id;
+      return result;
+    });
+    return { success: true, data: job };
+  }
+}
+
+// Follows a running `start` server over its WebSocket; actions go through the REST API
+class RemoteDashboardSource extends EventEmitter {
+  constructor(serverUrl, options = {}) {
+    super();
+    this.serverUrl = serverUrl.replace(/\/+$/, '');
+    this.token = options.token || null;
+    this.config = options.config || getConfig();
+    this.description = `attached to ${this.serverUrl}`;
+    this.ws = null;
+    this.reconnectTimer = null;
+    this.lastError = null;
+    this.stopped = false;
+  }
+
+  getWebSocketUrl() {
+    const url = new URL('/ws', this.serverUrl);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    if (this.token) url.searchParams.set('token', this.token);
+    return url.toString();
+  }
+
+  start() {
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.ws) this.ws.terminate();
+  }
+
+  // Reconnects until stopped, so restarting the server does not end the dashboard
+  connect() {
+    const ws = new WebSocket(this.getWebSocketUrl());
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.lastError = null;
+      this.emit('connection', { connected: true, error: null });
+      ws.send(JSON.stringify({ type: 'start_realtime' }));
+    });
+
+    ws.on('message', raw => {
+      try {
+        this.handleMessage(JSON.parse(raw));
+      } catch (error) {
+        this.emit('notice', `Invalid message from server: ${error.message}`);
+      }
+    });
+
+    ws.on('error', error => {
+      this.lastError = error.message;
+    });
+
+    ws.on('close', () => {
+      this.emit('connection', { connected: false, error: this.lastError });
+      if (!this.stopped) {
+        this.reconnectTimer = setTimeout(() => this.connect(), RECONNECT_DELAY_MS);
+      }
+    });
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'realtime_stats':
+        this.emit('stats', message.data);
+        break;
+      case 'running_models':
+        this.emit('running', message.data);
+        break;
+      case 'jobs':
+        this.emit('jobs', message.data);
+        break;
+      case 'job_update':
+        this.emit('job', message.data);
+        break;
+      case 'error':
+        this.emit('notice', message.message);
+        break;
+    }
+  }
+
+  // New samples arrive at the server's realtimeIntervalMs; the refresh rate only limits redraws
+  setIntervalMs() {}
+
+  refresh() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'get_running_models' }));
+    }
+  }
+
+  async request(method, urlPath, data) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.serverUrl}${urlPath}`,
+        data,
+        timeout: this.config.get('generateTimeoutMs'),
+        headers: this.token ? { Authorization: `Bearer ${this.token}` } : {}
+      });
+      return response.data;
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message
+      };
+    }
+  }
+
+  async unloadModel(modelName) {
+    return this.request('post', `/api/ollama/models/${encodeURIComponent(modelName)}/unload`);
+  }
+
+  // The server answers 202 with the job; its progress arrives as job_update events
+  async startBenchmark(modelName) {
+    return this.request('post', '/api/ollama/benchmark', { modelName });
+  }
+}
+
+module.exports = { LocalDashboardSource, RemoteDashboardSource };
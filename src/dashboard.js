@@ -0,0 +1,456 @@
+const readline = require('readline');
+const chalk = require('chalk');
+
+const REFRESH_STEPS_MS = [500, 1000, 2000, 5000, 10000];
+const MAX_ACTIVITY = 50;
+const VISIBLE_ACTIVITY = 6;
+const VISIBLE_JOBS = 4;
+const NOTICE_MS = 8000;
+// Keep-alive expiries are recomputed by Ollama on every request; smaller moves are clock noise
+const KEEP_ALIVE_RENEWAL_MS = 1000;
+
+const ENTER_SCREEN = '\x1b[?1049h\x1b[?25l';
+const LEAVE_SCREEN = '\x1b[?25h\x1b[?1049l';
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+// Full-screen view for `top`. Data comes from a LocalDashboardSource or RemoteDashboardSource;
+// the dashboard only keeps the latest state, draws it and turns key presses into source calls.
+class Dashboard {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.refreshMs = this.closestRefreshStep(options.refreshMs || 2000);
+    this.stats = null;
+    this.running = null;
+    this.jobs = new Map();
+    this.activity = [];
+    this.selectedModel = null;
+    this.connection = { connected: false, error: null };
+    this.notice = null;
+    this.lastRender = 0;
+    this.renderTimer = null;
+  }
+
+  closestRefreshStep(intervalMs) {
+    return REFRESH_STEPS_MS.reduce((best, step) => (Math.abs(step - intervalMs) < Math.abs(best - intervalMs) ? step : best));
+  }
+
+  // Resolves once the user quits
+  run() {
+    return new Promise(resolve => {
+      this.resolveRun = resolve;
+
+      this.source.on('stats', stats => {
+        this.stats = stats;
+        this.requestRender();
+      });
+      this.source.on('running', running => {
+        this.trackActivity(running);
+        this.running = running;
+        this.keepSelection();
+        this.requestRender();
+      });
+      this.source.on('jobs', jobs => {
+        this.jobs = new Map(jobs.map(job => [job.id, job]));
+        this.requestRender();
+      });
+      this.source.on('job', job => this.handleJob(job));
+      this.source.on('connection', connection => {
+        this.connection = connection;
+        this.render();
+      });
+      this.source.on('notice', message => this.showNotice(message, 'yellow'));
+
+      this.onKeypress = (text, key) => this.handleKey(text, key || {});
+      this.onResize = () => this.render();
+      readline.emitKeypressEvents(this.input);
+      this.input.setRawMode(true);
+      this.input.on('keypress', this.onKeypress);
+      this.input.resume();
+      this.output.on('resize', this.onResize);
+
+      this.output.write(ENTER_SCREEN);
+      this.source.setIntervalMs(this.refreshMs);
+      this.source.start();
+      this.render();
+    });
+  }
+
+  quit() {
+    clearTimeout(this.renderTimer);
+    this.source.stop();
+    this.input.removeListener('keypress', this.onKeypress);
+    this.output.removeListener('resize', this.onResize);
+    this.input.setRawMode(false);
+    this.input.pause();
+    this.output.write(LEAVE_SCREEN);
+    this.resolveRun();
+  }
+
+  handleKey(text, key) {
+    if ((key.ctrl && key.name === 'c') || key.name === 'q' || key.name === 'escape') {
+      this.quit();
+      return;
+    }
+
+    switch (key.name || text) {
+      case 'up':
+      case 'k':
+        this.moveSelection(-1);
+        break;
+      case 'down':
+      case 'j':
+        this.moveSelection(1);
+        break;
+      case 'u':
+        this.unloadSelected();
+        break;
+      case 'b':
+        this.benchmarkSelected();
+        break;
+      case 'r':
+        this.source.refresh();
+        break;
+      case '+':
+      case '=':
+        this.changeRefreshRate(-1);
+        break;
+      case '-':
+      case '_':
+        this.changeRefreshRate(1);
+        break;
+      default:
+        return;
+    }
+    this.render();
+  }
+
+  // step -1 refreshes more often, +1 less often
+  changeRefreshRate(step) {
+    const index = REFRESH_STEPS_MS.indexOf(this.refreshMs);
+    this.refreshMs = REFRESH_STEPS_MS[Math.max(0, Math.min(REFRESH_STEPS_MS.length - 1, index + step))];
+    this.source.setIntervalMs(this.refreshMs);
+    this.showNotice(`Refreshing every ${this.formatInterval(this.refreshMs)}`, 'gray');
+  }
+
+  moveSelection(step) {
+    const models = this.running?.models || [];
+    if (models.length === 0) return;
+
+    const index = models.findIndex(model => model.name === this.selectedModel);
+    const next = Math.max(0, Math.min(models.length - 1, index + step));
+    this.selectedModel = models[next].name;
+  }
+
+  // The selection follows the model by name; it falls back to the first model when that one is gone
+  keepSelection() {
+    const models = this.running?.models || [];
+    if (!models.some(model => model.name === this.selectedModel)) {
+      this.selectedModel = models.length > 0 ? models[0].name : null;
+    }
+  }
+
+  async unloadSelected() {
+    const model = this.selectedModel;
+    if (!model) {
+      this.showNotice('No model selected', 'yellow');
+      return;
+    }
+
+    this.showNotice(`Unloading ${model}...`, 'gray');
+    const result = await this.source.unloadModel(model);
+    if (result.success) {
+      this.showNotice(`Unloaded ${model}`, 'green');
+      this.source.refresh();
+    } else {
+      this.showNotice(`Could not unload ${model}: ${result.error}`, 'red');
+    }
+  }
+
+  async benchmarkSelected() {
+    const model = this.selectedModel;
+    if (!model) {
+      this.showNotice('No model selected', 'yellow');
+      return;
+    }
+
+    const result = await this.source.startBenchmark(model);
+    if (result.success) {
+      this.handleJob(result.data);
+      this.showNotice(`Benchmark of ${model} started`, 'green');
+    } else {
+      this.showNotice(`Could not start a benchmark of ${model}: ${result.error}`, 'red');
+    }
+  }
+
+  handleJob(job) {
+    const previous = this.jobs.get(job.id);
+    this.jobs.set(job.id, job);
+
+    if (job.type === 'benchmark' && job.status !== previous?.status) {
+      if (job.status === 'completed') {
+        const median = job.result?.summary?.generationTokensPerSecond?.median;
+        this.showNotice(`Benchmark of ${job.params.model} completed: ${median ?? '--'} tok/s median generation`, 'green');
+      } else if (job.status === 'failed') {
+        this.showNotice(`Benchmark of ${job.params.model} failed: ${job.error}`, 'red');
+      }
+    }
+    this.requestRender();
+  }
+
+  // Ollama has no request log; a request shows up as its model's keep-alive expiry moving forward
+  trackActivity(running) {
+    if (!running.success || !this.running?.success) return;
+
+    const now = new Date();
+    const before = new Map(this.running.models.map(model => [model.name, model]));
+    running.models.forEach(model => {
+      const previous = before.get(model.name);
+      if (!previous) {
+        this.addActivity(now, model.name, `loaded (${model.processor})`);
+      } else if (model.expiresAt && previous.expiresAt &&
+        Date.parse(model.expiresAt) - Date.parse(previous.expiresAt) > KEEP_ALIVE_RENEWAL_MS) {
+        this.addActivity(now, model.name, 'request');
+      }
+      before.delete(model.name);
+    });
+    before.forEach(model => this.addActivity(now, model.name, 'unloaded'));
+  }
+
+  addActivity(time, model, event) {
+    this.activity.unshift({ time, model, event });
+    this.activity.length = Math.min(this.activity.length, MAX_ACTIVITY);
+  }
+
+  showNotice(message, color) {
+    this.notice = { message, color, expiresAt: Date.now() + NOTICE_MS };
+    this.render();
+  }
+
+  // Data events redraw at most once per refresh interval; key presses redraw straight away
+  requestRender() {
+    if (this.renderTimer) return;
+
+    const wait = Math.max(0, this.lastRender + this.refreshMs - Date.now());
+    if (wait === 0) {
+      this.render();
+    } else {
+      this.renderTimer = setTimeout(() => this.render(), wait);
+    }
+  }
+
+  render() {
+    clearTimeout(this.renderTimer);
+    this.renderTimer = null;
+    this.lastRender = Date.now();
+
+    const width = this.output.columns || 100;
+    const height = this.output.rows || 40;
+    const footer = this.renderFooter();
+    const body = [
+      ...this.renderHeader(),
+      ...this.renderCpu(width),
+      ...this.renderMemory(),
+      ...this.renderGpus(),
+      ...this.renderModels(),
+      ...this.renderActivity(),
+      ...this.renderJobs()
+    ];
+
+    // Sections lower down are cut first when the terminal is short
+    const lines = [...body.slice(0, Math.max(0, height - footer.length)), ...footer];
+    this.output.write('\x1b[H' + lines.map(line => this.fit(line, width) + '\x1b[K').join('\n') + '\x1b[J');
+  }
+
+  renderHeader() {
+    const connection = this.connection.connected
+      ? chalk.green('connected')
+      : chalk.red(`disconnected${this.connection.error ? `: ${this.connection.error}` : ''}`);
+    return [
+      `${chalk.bold.green('ollama-compass top')}  ${chalk.gray(this.source.description)}  ${connection}  ` +
+        `${chalk.gray(`${this.formatTime(new Date())}  refresh ${this.formatInterval(this.refreshMs)}`)}`,
+      ''
+    ];
+  }
+
+  renderCpu(width) {
+    const cpu = this.stats?.cpu;
+    if (!cpu) return [chalk.cyan('CPU'), chalk.gray('  Waiting for the first sample...'), ''];
+
+    const temperature = cpu.temperature ? `  ${cpu.temperature}°C` : '';
+    const lines = [`${chalk.cyan('CPU'.padEnd(5))}${this.bar(cpu.usage, 30)} ${this.percent(cpu.usage)}${temperature}`];
+
+    // " 12 [██████████] 100%" plus two spaces between cells
+    const cellWidth = 21;
+    const perRow = Math.max(1, Math.floor((width - 2) / cellWidth));
+    for (let start = 0; start < cpu.cores.length; start += perRow) {
+      lines.push('  ' + cpu.cores.slice(start, start + perRow)
+        .map((load, offset) => `${String(start + offset).padStart(3)} ${this.bar(load, 10)} ${this.percent(load)}`)
+        .join('  '));
+    }
+    lines.push('');
+    return lines;
+  }
+
+  renderMemory() {
+    const memory = this.stats?.memory;
+    if (!memory) return [];
+
+    const limit = memory.limitBytes ? chalk.gray('  (container limit)') : '';
+    return [
+      `${chalk.cyan('Mem'.padEnd(5))}${this.bar(memory.usagePercentage, 30)} ${this.percent(memory.usagePercentage)}  ` +
+        `${this.formatBytes(memory.usedBytes)} / ${this.formatBytes(memory.totalBytes)}${limit}`,
+      ''
+    ];
+  }
+
+  renderGpus() {
+    const gpus = this.stats?.gpu;
+    if (!gpus) return [];
+    if (gpus.length === 0) return [chalk.cyan('GPU'), chalk.gray('  No GPUs reported'), ''];
+
+    const lines = [chalk.cyan('GPU')];
+    gpus.forEach((gpu, index) => {
+      const hasMemory = gpu.memoryUsedMB !== null && gpu.memoryUsedMB !== undefined && gpu.memoryTotalMB;
+      const vramPercent = hasMemory ? Math.round((gpu.memoryUsedMB / gpu.memoryTotalMB) * 100) : 0;
+      const vram = hasMemory
+        ? `${this.bar(vramPercent, 10)} ${this.formatBytes(gpu.memoryUsedMB * 1024 * 1024)} / ${this.formatBytes(gpu.memoryTotalMB * 1024 * 1024)}`
+        : chalk.gray('--');
+      const temperature = gpu.temperature ? `${gpu.temperature}°C` : '--';
+      lines.push(`  ${String(index).padStart(2)} ${(gpu.model || 'Unknown').slice(0, 28).padEnd(28)} ` +
+        `util ${this.bar(gpu.utilizationGpu, 10)} ${this.percent(gpu.utilizationGpu)}  vram ${vram}  ${temperature}`);
+    });
+
+    const ollama = this.stats.ollama;
+    if (ollama && ollama.gpuMemoryUsedBytes !== null) {
+      lines.push(chalk.gray(`     GPU memory: ${this.formatBytes(ollama.vramBytes)} loaded models, ` +
+        `${this.formatBytes(ollama.otherGpuMemoryBytes)} other processes`));
+    }
+    lines.push('');
+    return lines;
+  }
+
+  renderModels() {
+    const lines = [chalk.cyan('Loaded models')];
+    if (!this.running) {
+      lines.push(chalk.gray('  Checking Ollama...'));
+    } else if (!this.running.success) {
+      lines.push(chalk.red(`  Ollama unreachable: ${this.running.error}`));
+    } else if (this.running.models.length === 0) {
+      lines.push(chalk.gray('  No models loaded'));
+    } else {
+      lines.push(chalk.gray(`  ${'Name'.padEnd(30)}${'Size'.padEnd(10)}${'VRAM'.padEnd(10)}${'RAM'.padEnd(10)}${'Processor'.padEnd(18)}Unloads in`));
+      this.running.models.forEach(model => {
+        // Counted down from expiresAt, since an attached server only resends models when they change
+        const expires = model.neverExpires ? 'never'
+          : model.expiresAt ? this.formatDuration(Math.max(0, Math.round((Date.parse(model.expiresAt) - Date.now()) / 1000))) : '--';
+        const row = `${model.name.padEnd(30)}${this.formatBytes(model.sizeBytes).padEnd(10)}${this.formatBytes(model.vramBytes).padEnd(10)}` +
+          `${this.formatBytes(model.ramBytes).padEnd(10)}${model.processor.padEnd(18)}${expires}`;
+        lines.push(model.name === this.selectedModel ? chalk.inverse(`> ${row}`) : `  ${row}`);
+      });
+    }
+    lines.push('');
+    return lines;
+  }
+
+  renderActivity() {
+    const lines = [chalk.cyan('Recent requests')];
+    if (this.activity.length === 0) {
+      lines.push(chalk.gray('  None seen yet'));
+    }
+    this.activity.slice(0, VISIBLE_ACTIVITY).forEach(entry => {
+      lines.push(`  ${chalk.gray(this.formatTime(entry.time))}  ${entry.model.padEnd(30)}${entry.event}`);
+    });
+    lines.push('');
+    return lines;
+  }
+
+  renderJobs() {
+    const jobs = Array.from(this.jobs.values())
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+      .slice(0, VISIBLE_JOBS);
+    if (jobs.length === 0) return [];
+
+    const colors = { queued: 'gray', running: 'yellow', completed: 'green', failed: 'red', cancelled: 'gray' };
+    return [chalk.cyan('Jobs'), ...jobs.map(job => {
+      let detail = '';
+      if (job.status === 'running' && job.progress?.totalRuns) {
+        detail = `run ${job.progress.run}/${job.progress.totalRuns}${job.progress.warmup ? ' (warmup)' : ''}`;
+      } else if (job.status === 'running' && job.progress?.percent !== undefined) {
+        detail = `${job.progress.percent}%`;
+      } else if (job.status === 'failed') {
+        detail = job.error;
+      }
+      return `  ${job.type.padEnd(10)}${(job.params?.model || job.params?.name || '').padEnd(30)}` +
+        `${chalk[colors[job.status] || 'white'](job.status.padEnd(11))}${chalk.gray(detail || '')}`;
+    })];
+  }
+
+  renderFooter() {
+    const notice = this.notice && this.notice.expiresAt > Date.now()
+      ? chalk[this.notice.color](this.notice.message)
+      : '';
+    return [
+      notice,
+      chalk.gray('↑/↓ select  u unload  b benchmark  +/- refresh rate  r refresh  q quit')
+    ];
+  }
+
+  // Cuts a line to the terminal width without counting or breaking color codes
+  fit(line, width) {
+    if (line.replace(ANSI_PATTERN, '').length <= width) return line;
+
+    let visible = 0;
+    let result = '';
+    for (let index = 0; index < line.length; index++) {
+      if (line[index] === '\x1b') {
+        const end = line.indexOf('m', index);
+        result += line.slice(index, end + 1);
+        index = end;
+      } else if (visible < width) {
+        result += line[index];
+        visible++;
+      }
+    }
+    return result;
+  }
+
+  bar(percent, width) {
+    const value = Math.max(0, Math.min(100, percent || 0));
+    const filled = Math.round((value / 100) * width);
+    const color = value >= 90 ? 'red' : value >= 70 ? 'yellow' : 'green';
+    return chalk[color]('█'.repeat(filled)) + chalk.gray('░'.repeat(width - filled));
+  }
+
+  percent(value) {
+    return `${String(Math.round(value || 0)).padStart(3)}%`;
+  }
+
+  formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+  }
+
+  formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return '--';
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+  }
+
+  formatInterval(intervalMs) {
+    return intervalMs < 1000 ? `${intervalMs}ms` : `${intervalMs / 1000}s`;
+  }
+
+  formatTime(date) {
+    return date.toTimeString().slice(0, 8);
+  }
+}
+
+Dashboard.REFRESH_STEPS_MS = REFRESH_STEPS_MS;
+
+module.exports = Dashboard;
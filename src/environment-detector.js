@@ -0,0 +1,272 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CGROUP_ROOT = '/sys/fs/cgroup';
+// cgroup v1 reports "no limit" as the largest page-aligned 64-bit value rather than a keyword
+const UNLIMITED_BYTES = 2 ** 60;
+
+// NVIDIA_VISIBLE_DEVICES selects devices for the container runtime, in host (PCI bus) order;
+// CUDA_VISIBLE_DEVICES then indexes what is left. The ROCm pair works the same way for AMD.
+const GPU_VISIBILITY = [
+  { brand: 'NVIDIA', variables: ['NVIDIA_VISIBLE_DEVICES', 'CUDA_VISIBLE_DEVICES'] },
+  { brand: 'AMD', variables: ['ROCR_VISIBLE_DEVICES', 'HIP_VISIBLE_DEVICES'] }
+];
+
+// Where compass runs (container, VM, WSL) and which cgroup limits apply to it. si.mem() and
+// si.cpu() read /proc, which shows the host's resources even inside a limited container.
+class EnvironmentDetector {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || '/';
+    this.env = options.env || process.env;
+    this.platform = options.platform || process.platform;
+  }
+
+  resolve(filePath) {
+    return path.join(this.rootDir, filePath);
+  }
+
+  async readOptional(filePath) {
+    return fs.promises.readFile(this.resolve(filePath), 'utf8').catch(() => null);
+  }
+
+  // "0::/user.slice" on cgroup v2; "4:memory:/docker/abc" lines on v1 (controllers may be combined, e.g. "cpu,cpuacct")
+  parseProcCgroup(text) {
+    const controllers = {};
+    let unifiedPath = null;
+    (text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const match = line.match(/^\d+:([^:]*):(.*)$/);
+      if (!match) return;
+      if (match[1] === '') {
+        unifiedPath = match[2];
+      } else {
+        match[1].split(',').forEach(controller => { controllers[controller] = match[2]; });
+      }
+    });
+
+    if (Object.keys(controllers).some(controller => !controller.startsWith('name='))) {
+      return { version: 1, controllers };
+    }
+    return unifiedPath !== null ? { version: 2, path: unifiedPath } : null;
+  }
+
+  // memory.max ("max") on v2, memory.limit_in_bytes on v1
+  parseMemoryLimit(text) {
+    const value = (text || '').trim();
+    if (!value || value === 'max') return null;
+    const bytes = Number(value);
+    return Number.isFinite(bytes) && bytes > 0 && bytes < UNLIMITED_BYTES ? bytes : null;
+  }
+
+  // "max 100000" or "150000 100000" (quota and period in microseconds); returns CPUs, e.g. 1.5
+  parseCpuMax(text) {
+    const [quota, period] = (text || '').trim().split(/\s+/);
+    return this.quotaToCpus(quota === 'max' ? -1 : Number(quota), Number(period || 100000));
+  }
+
+  quotaToCpus(quota, period) {
+    if (!Number.isFinite(quota) || !Number.isFinite(period) || quota <= 0 || period <= 0) return null;
+    return Math.round((quota / period) * 100) / 100;
+  }
+
+  // "0-3,8,10-11" becomes [0, 1, 2, 3, 8, 10, 11]
+  parseCpuList(text) {
+    const cpus = [];
+    (text || '').trim().split(',').filter(Boolean).forEach(range => {
+      const [start, end] = range.split('-').map(Number);
+      if (!Number.isInteger(start)) return;
+      for (let cpu = start; cpu <= (Number.isInteger(end) ? end : start); cpu++) cpus.push(cpu);
+    });
+    return cpus.length > 0 ? cpus : null;
+  }
+
+  // Flat "key value" files such as memory.stat
+  parseKeyValues(text) {
+    const values = {};
+    (text || '').split('\n').forEach(line => {
+      const [key, value] = line.trim().split(/\s+/);
+      if (key && value !== undefined && Number.isFinite(Number(value))) values[key] = Number(value);
+    });
+    return values;
+  }
+
+  // Directories from the process's own cgroup up to the mount point. Limits set on a parent apply
+  // too, so the smallest one wins. With a private cgroup namespace (the Docker default on v2) the
+  // path is "/" and the container's own limits sit directly in the mount point.
+  cgroupDirectories(mountDir, cgroupPath) {
+    const directories = [];
+    let current = cgroupPath || '/';
+    while (current && current !== '/' && current !== '.') {
+      directories.push(path.posix.join(mountDir, current));
+      current = path.posix.dirname(current);
+    }
+    directories.push(mountDir);
+    return directories;
+  }
+
+  async readSmallest(directories, fileName, parse) {
+    const values = await Promise.all(directories.map(async directory => parse(await this.readOptional(path.posix.join(directory, fileName)))));
+    const limits = values.filter(value => value !== null);
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  // The first directory that exists; on v1 with the host's cgroup namespace the container's own
+  // group is usually bind-mounted over the controller's root rather than at its full path
+  async firstExisting(directories) {
+    for (const directory of directories) {
+      if (fs.existsSync(this.resolve(directory))) return directory;
+    }
+    return null;
+  }
+
+  async detectCgroup() {
+    if (this.platform !== 'linux') return null;
+
+    const membership = this.parseProcCgroup(await this.readOptional('/proc/self/cgroup'));
+    if (!membership) return null;
+
+    if (membership.version === 2) {
+      const directories = this.cgroupDirectories(CGROUP_ROOT, membership.path);
+      const leaf = await this.firstExisting(directories) || CGROUP_ROOT;
+      const [memoryLimitBytes, cpuQuota, memoryCurrent, memoryStat, cpuset] = await Promise.all([
+        this.readSmallest(directories, 'memory.max', text => this.parseMemoryLimit(text)),
+        this.readSmallest(directories, 'cpu.max', text => this.parseCpuMax(text)),
+        this.readOptional(path.posix.join(leaf, 'memory.current')),
+        this.readOptional(path.posix.join(leaf, 'memory.stat')),
+        this.readOptional(path.posix.join(leaf, 'cpuset.cpus.effective'))
+      ]);
+      return this.buildCgroupInfo(2, memoryLimitBytes, cpuQuota, memoryCurrent, this.parseKeyValues(memoryStat).inactive_file, cpuset);
+    }
+
+    const controllerDirectories = async (names) => {
+      const mount = await this.firstExisting(names.map(name => path.posix.join(CGROUP_ROOT, name)));
+      const controllerPath = names.map(name => membership.controllers[name]).find(value => value !== undefined);
+      return mount ? this.cgroupDirectories(mount, controllerPath) : [];
+    };
+    const [memoryDirectories, cpuDirectories, cpusetDirectories] = await Promise.all([
+      controllerDirectories(['memory']),
+      controllerDirectories(['cpu,cpuacct', 'cpu']),
+      controllerDirectories(['cpuset'])
+    ]);
+    const memoryLeaf = await this.firstExisting(memoryDirectories);
+    const cpuLeaf = await this.firstExisting(cpuDirectories);
+    const cpusetLeaf = await this.firstExisting(cpusetDirectories);
+
+    const [memoryLimitBytes, memoryUsage, memoryStat, quota, period, cpuset] = await Promise.all([
+      this.readSmallest(memoryDirectories, 'memory.limit_in_bytes', text => this.parseMemoryLimit(text)),
+      memoryLeaf ? this.readOptional(path.posix.join(memoryLeaf, 'memory.usage_in_bytes')) : null,
+      memoryLeaf ? this.readOptional(path.posix.join(memoryLeaf, 'memory.stat')) : null,
+      cpuLeaf ? this.readOptional(path.posix.join(cpuLeaf, 'cpu.cfs_quota_us')) : null,
+      cpuLeaf ? this.readOptional(path.posix.join(cpuLeaf, 'cpu.cfs_period_us')) : null,
+      cpusetLeaf ? this.readOptional(path.posix.join(cpusetLeaf, 'cpuset.cpus')) : null
+    ]);
+    const cpuQuota = quota !== null ? this.quotaToCpus(Number(quota), Number(period || 100000)) : null;
+    return this.buildCgroupInfo(1, memoryLimitBytes, cpuQuota, memoryUsage, this.parseKeyValues(memoryStat).total_inactive_file, cpuset);
+  }
+
+  // The working set is what `docker stats` reports: usage minus page cache the kernel can drop
+  buildCgroupInfo(version, memoryLimitBytes, cpuQuota, memoryUsage, inactiveFile, cpuset) {
+    const usage = memoryUsage !== null && memoryUsage !== undefined ? Number(memoryUsage) : NaN;
+    return {
+      version,
+      memoryLimitBytes,
+      memoryWorkingSetBytes: Number.isFinite(usage) ? Math.max(0, usage - (inactiveFile || 0)) : null,
+      cpuQuota,
+      cpuset: this.parseCpuList(cpuset)
+    };
+  }
+
+  // Docker, Podman and Kubernetes leave markers in the filesystem or the environment
+  async detectContainer() {
+    if (this.platform !== 'linux') return null;
+
+    if (this.env.KUBERNETES_SERVICE_HOST) return 'kubernetes';
+    if (fs.existsSync(this.resolve('/run/.containerenv'))) return 'podman';
+    if (fs.existsSync(this.resolve('/.dockerenv'))) return 'docker';
+    if (this.env.container) return this.env.container;
+
+    const cgroup = await this.readOptional('/proc/1/cgroup');
+    const match = (cgroup || '').match(/\b(docker|kubepods|containerd|lxc|libpod)\b/);
+    if (!match) return null;
+    return { kubepods: 'kubernetes', libpod: 'podman' }[match[1]] || match[1];
+  }
+
+  // WSL kernels carry "microsoft" in their release; WSL 2 ones are "-microsoft-standard"
+  detectWSL(kernelRelease = os.release()) {
+    if (this.platform !== 'linux') return null;
+    const release = kernelRelease.toLowerCase();
+    if (!release.includes('microsoft') && !this.env.WSL_DISTRO_NAME) return null;
+    return /microsoft-standard|wsl2/.test(release) ? 2 : (release.includes('microsoft') ? 1 : null);
+  }
+
+  // systeminformation checks DMI and systemd-detect-virt; the cpuinfo hypervisor flag covers the rest
+  async detectVirtualization(system = {}) {
+    if (system.virtual) return system.virtualHost || 'unknown';
+    if (this.platform !== 'linux') return null;
+
+    const cpuinfo = await this.readOptional('/proc/cpuinfo');
+    return /^flags\s*:.*\bhypervisor\b/m.test(cpuinfo || '') ? 'unknown' : null;
+  }
+
+  async detect(system) {
+    const [container, virtualization, cgroup] = await Promise.all([
+      this.detectContainer(),
+      this.detectVirtualization(system),
+      this.detectCgroup()
+    ]);
+    const wslVersion = this.detectWSL();
+
+    let type = 'bare-metal';
+    if (virtualization) type = 'vm';
+    if (wslVersion) type = 'wsl';
+    if (container) type = 'container';
+
+    return {
+      type,
+      container,
+      virtualization,
+      wsl: wslVersion !== null,
+      wslVersion,
+      cgroupVersion: cgroup ? cgroup.version : null,
+      cgroup
+    };
+  }
+
+  // undefined and "all" mean every device; "", "none", "void" and "-1" mean none.
+  // CUDA stops at the first invalid index, so "0,-1,1" selects only device 0.
+  parseVisibleDevices(value) {
+    if (value === undefined || value === null) return null;
+    const trimmed = String(value).trim().toLowerCase();
+    if (trimmed === 'all') return null;
+    if (['', 'none', 'void'].includes(trimmed)) return [];
+
+    const items = trimmed.split(',').map(item => item.trim()).filter(Boolean);
+    const end = items.indexOf('-1');
+    return end === -1 ? items : items.slice(0, end);
+  }
+
+  // Returns the hardwareSpecs.gpus indices hidden by the *_VISIBLE_DEVICES variables and the
+  // variables that were applied. Devices are selected by index or by (a prefix of) their UUID.
+  applyGPUVisibility(gpus) {
+    const hidden = new Set();
+    const variables = {};
+    GPU_VISIBILITY.forEach(({ brand, variables: names }) => {
+      const ofBrand = gpus
+        .filter(gpu => gpu.brand === brand)
+        .sort((a, b) => String(a.busAddress || '').localeCompare(String(b.busAddress || '')));
+      let visible = ofBrand;
+      names.forEach(name => {
+        const selector = this.parseVisibleDevices(this.env[name]);
+        if (selector === null) return;
+        variables[name] = this.env[name];
+        visible = visible.filter((gpu, position) => selector.some(item =>
+          item === String(position) || (gpu.uuid && /^(gpu|mig)-/.test(item) && gpu.uuid.toLowerCase().startsWith(item))
+        ));
+      });
+      ofBrand.filter(gpu => !visible.includes(gpu)).forEach(gpu => hidden.add(gpu.index));
+    });
+    return { hidden, variables };
+  }
+}
+
+module.exports = EnvironmentDetector;
@@ -0,0 +1,276 @@
+const fs = require('fs');
+
+// "GGUF" read as a little-endian uint32
+const GGUF_MAGIC = 0x46554747;
+
+const VALUE_TYPES = {
+  UINT8: 0,
+  INT8: 1,
+  UINT16: 2,
+  INT16: 3,
+  UINT32: 4,
+  INT32: 5,
+  FLOAT32: 6,
+  BOOL: 7,
+  STRING: 8,
+  ARRAY: 9,
+  UINT64: 10,
+  INT64: 11,
+  FLOAT64: 12
+};
+
+const FIXED_VALUE_SIZES = {
+  [VALUE_TYPES.UINT8]: 1,
+  [VALUE_TYPES.INT8]: 1,
+  [VALUE_TYPES.UINT16]: 2,
+  [VALUE_TYPES.INT16]: 2,
+  [VALUE_TYPES.UINT32]: 4,
+  [VALUE_TYPES.INT32]: 4,
+  [VALUE_TYPES.FLOAT32]: 4,
+  [VALUE_TYPES.BOOL]: 1,
+  [VALUE_TYPES.UINT64]: 8,
+  [VALUE_TYPES.INT64]: 8,
+  [VALUE_TYPES.FLOAT64]: 8
+};
+
+// ggml tensor types: name, elements per block and bytes per block
+const GGML_TYPES = {
+  0: ['F32', 1, 4],
+  1: ['F16', 1, 2],
+  2: ['Q4_0', 32, 18],
+  3: ['Q4_1', 32, 20],
+  6: ['Q5_0', 32, 22],
+  7: ['Q5_1', 32, 24],
+  8: ['Q8_0', 32, 34],
+  9: ['Q8_1', 32, 36],
+  10: ['Q2_K', 256, 84],
+  11: ['Q3_K', 256, 110],
+  12: ['Q4_K', 256, 144],
+  13: ['Q5_K', 256, 176],
+  14: ['Q6_K', 256, 210],
+  15: ['Q8_K', 256, 292],
+  16: ['IQ2_XXS', 256, 66],
+  17: ['IQ2_XS', 256, 74],
+  18: ['IQ3_XXS', 256, 98],
+  19: ['IQ1_S', 256, 50],
+  20: ['IQ4_NL', 32, 18],
+  21: ['IQ3_S', 256, 110],
+  22: ['IQ2_S', 256, 82],
+  23: ['IQ4_XS', 256, 136],
+  24: ['I8', 1, 1],
+  25: ['I16', 1, 2],
+  26: ['I32', 1, 4],
+  27: ['I64', 1, 8],
+  28: ['F64', 1, 8],
+  29: ['IQ1_M', 256, 56],
+  30: ['BF16', 1, 2],
+  34: ['TQ1_0', 256, 54],
+  35: ['TQ2_0', 256, 66]
+};
+
+// llama.cpp's general.file_type values, i.e. the quantization the file was produced with
+const FILE_TYPES = {
+  0: 'F32',
+  1: 'F16',
+  2: 'Q4_0',
+  3: 'Q4_1',
+  7: 'Q8_0',
+  8: 'Q5_0',
+  9: 'Q5_1',
+  10: 'Q2_K',
+  11: 'Q3_K_S',
+  12: 'Q3_K_M',
+  13: 'Q3_K_L',
+  14: 'Q4_K_S',
+  15: 'Q4_K_M',
+  16: 'Q5_K_S',
+  17: 'Q5_K_M',
+  18: 'Q6_K',
+  19: 'IQ2_XXS',
+  20: 'IQ2_XS',
+  21: 'Q2_K_S',
+  22: 'IQ3_XS',
+  23: 'IQ3_XXS',
+  24: 'IQ1_S',
+  25: 'IQ4_NL',
+  26: 'IQ3_S',
+  27: 'IQ3_M',
+  28: 'IQ2_S',
+  29: 'IQ2_M',
+  30: 'IQ4_XS',
+  31: 'IQ1_M',
+  32: 'BF16'
+};
+
+// Token lists and merges run to hundreds of thousands of entries; only their length is kept
+const MAX_ARRAY_VALUES = 64;
+const CHUNK_SIZE = 1024 * 1024;
+// No metadata string comes close to this; a larger length means a corrupt or truncated header
+const MAX_STRING_BYTES = 64 * 1024 * 1024;
+
+// Reads the GGUF header (metadata and tensor descriptors) without touching the weights
+class GGUFReader {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async read() {
+    this.handle = await fs.promises.open(this.filePath, 'r');
+    this.fileSize = (await this.handle.stat()).size;
+    this.buffer = Buffer.alloc(0);
+    this.offset = 0;
+    this.position = 0;
+
+    try {
+      const magic = await this.readUInt32();
+      if (magic !== GGUF_MAGIC) {
+        throw new Error(`${this.filePath} is not a GGUF file`);
+      }
+
+      // Version 1 used 32-bit counts and predates every model Ollama can still run
+      const version = await this.readUInt32();
+      if (version < 2 || version > 3) {
+        throw new Error(`Unsupported GGUF version ${version} in ${this.filePath}`);
+      }
+
+      const tensorCount = await this.readUInt64();
+      const metadataCount = await this.readUInt64();
+
+      const metadata = {};
+      for (let i = 0; i < metadataCount; i++) {
+        const key = await this.readString();
+        const type = await this.readUInt32();
+        metadata[key] = await this.readValue(type);
+      }
+
+      const tensors = [];
+      for (let i = 0; i < tensorCount; i++) {
+        tensors.push(await this.readTensorInfo());
+      }
+
+      return { version, tensorCount, metadata, tensors };
+    } finally {
+      await this.handle.close();
+    }
+  }
+
+  async readTensorInfo() {
+    const name = await this.readString();
+    const dimensionCount = await this.readUInt32();
+    const dimensions = [];
+    for (let i = 0; i < dimensionCount; i++) {
+      dimensions.push(await this.readUInt64());
+    }
+    const typeId = await this.readUInt32();
+    this.skip(8); // data offset
+
+    const elements = dimensions.reduce((product, size) => product * size, 1);
+    const [type, blockSize, blockBytes] = GGML_TYPES[typeId] || [`TYPE_${typeId}`, null, null];
+    return {
+      name,
+      dimensions,
+      type,
+      elements,
+      bytes: blockSize ? Math.ceil(elements / blockSize) * blockBytes : null
+    };
+  }
+
+  async readValue(type) {
+    switch (type) {
+      case VALUE_TYPES.UINT8: return (await this.take(1)).readUInt8(0);
+      case VALUE_TYPES.INT8: return (await this.take(1)).readInt8(0);
+      case VALUE_TYPES.UINT16: return (await this.take(2)).readUInt16LE(0);
+      case VALUE_TYPES.INT16: return (await this.take(2)).readInt16LE(0);
+      case VALUE_TYPES.UINT32: return this.readUInt32();
+      case VALUE_TYPES.INT32: return (await this.take(4)).readInt32LE(0);
+      case VALUE_TYPES.FLOAT32: return (await this.take(4)).readFloatLE(0);
+      case VALUE_TYPES.BOOL: return (await this.take(1)).readUInt8(0) !== 0;
+      case VALUE_TYPES.STRING: return this.readString();
+      case VALUE_TYPES.UINT64: return this.readUInt64();
+      case VALUE_TYPES.INT64: return Number((await this.take(8)).readBigInt64LE(0));
+      case VALUE_TYPES.FLOAT64: return (await this.take(8)).readDoubleLE(0);
+      case VALUE_TYPES.ARRAY: return this.readArray();
+      default:
+        throw new Error(`Unknown GGUF value type ${type} in ${this.filePath}`);
+    }
+  }
+
+  // Long arrays come back as { length, truncated } so callers can still read .length
+  async readArray() {
+    const itemType = await this.readUInt32();
+    const length = await this.readUInt64();
+
+    if (length > MAX_ARRAY_VALUES && FIXED_VALUE_SIZES[itemType]) {
+      const bytes = length * FIXED_VALUE_SIZES[itemType];
+      if (bytes > this.remaining()) this.unexpectedEnd();
+      this.skip(bytes);
+      return { length, truncated: true };
+    }
+
+    const values = [];
+    for (let i = 0; i < length; i++) {
+      const value = await this.readValue(itemType);
+      if (i < MAX_ARRAY_VALUES) values.push(value);
+    }
+    return length > MAX_ARRAY_VALUES ? { length, truncated: true } : values;
+  }
+
+  async readString() {
+    const length = await this.readUInt64();
+    if (length > MAX_STRING_BYTES) this.unexpectedEnd();
+    return (await this.take(length)).toString('utf8');
+  }
+
+  async readUInt32() {
+    return (await this.take(4)).readUInt32LE(0);
+  }
+
+  async readUInt64() {
+    return Number((await this.take(8)).readBigUInt64LE(0));
+  }
+
+  async take(length) {
+    await this.fill(length);
+    const slice = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  skip(length) {
+    const buffered = this.buffer.length - this.offset;
+    if (length <= buffered) {
+      this.offset += length;
+      return;
+    }
+    this.position += length - buffered;
+    this.buffer = Buffer.alloc(0);
+    this.offset = 0;
+  }
+
+  // Bytes left to read, buffered or still in the file
+  remaining() {
+    return this.buffer.length - this.offset + Math.max(0, this.fileSize - this.position);
+  }
+
+  unexpectedEnd() {
+    throw new Error(`Unexpected end of GGUF header in ${this.filePath}`);
+  }
+
+  async fill(length) {
+    if (this.buffer.length - this.offset >= length) return;
+    // Lengths come from the file itself; check them before allocating, or a corrupt one could ask for gigabytes
+    if (length > this.remaining()) this.unexpectedEnd();
+
+    const chunk = Buffer.alloc(Math.max(CHUNK_SIZE, length));
+    const { bytesRead } = await this.handle.read(chunk, 0, chunk.length, this.position);
+    this.position += bytesRead;
+    this.buffer = Buffer.concat([this.buffer.subarray(this.offset), chunk.subarray(0, bytesRead)]);
+    this.offset = 0;
+
+    if (this.buffer.length < length) this.unexpectedEnd();
+  }
+}
+
+GGUFReader.FILE_TYPES = FILE_TYPES;
+
+module.exports = GGUFReader;
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./paths');
+const logger = require('./logger');
+
+const SCHEMA_VERSION = 1;
+const BUNDLED_PATH = path.join(__dirname, 'data', 'gpu-database.json');
+const USER_FILE = 'gpu-database.json';
+
+// Known VRAM sizes (and memory bandwidth, optional) by PCI device ID and model name. Entries in ~/.ollama-compass/gpu-database.json
+// (same format) are checked before the bundled ones, so cards can be added or corrected locally.
+// Several AMD and Intel SKUs share a device ID (744c covers the RX 7900 XTX, XT and GRE), so those match by name only.
+class GPUDatabase {
+  constructor(paths = [path.join(getDataDir(), USER_FILE), BUNDLED_PATH]) {
+    this.paths = paths;
+    this.entries = null;
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+
+    this.entries = [];
+    this.paths.forEach(filePath => {
+      if (!fs.existsSync(filePath)) return;
+      try {
+        this.entries.push(...this.readFile(filePath));
+      } catch (error) {
+        logger.warn(`Skipping GPU database ${filePath}: ${error.message}`);
+      }
+    });
+    return this.entries;
+  }
+
+  readFile(filePath) {
+    const database = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (database.schemaVersion !== SCHEMA_VERSION) {
+      throw new Error(`unsupported schemaVersion ${JSON.stringify(database.schemaVersion)}, expected ${SCHEMA_VERSION}`);
+    }
+    if (!Array.isArray(database.gpus)) {
+      throw new Error('expected a "gpus" array');
+    }
+
+    return database.gpus.map((entry, index) => {
+      if (!entry.name || typeof entry.vramGB !== 'number') {
+        throw new Error(`gpus[${index}] needs a name and a numeric vramGB`);
+      }
+      if (entry.memoryBandwidthGBs !== undefined && typeof entry.memoryBandwidthGBs !== 'number') {
+        throw new Error(`gpus[${index}] memoryBandwidthGBs must be a number`);
+      }
+      return {
+        ...entry,
+        pciIds: (entry.pciIds || []).map(id => id.toLowerCase()),
+        models: (entry.models || []).map(model => this.normalizeModel(model)),
+        file: filePath
+      };
+    });
+  }
+
+  // "GA102 [GeForce RTX 3080 Ti]" and "NVIDIA A100-SXM4-80GB" become "ga102 geforce rtx 3080 ti" and "nvidia a100 sxm4 80gb"
+  normalizeModel(model) {
+    return String(model || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  // "0x10DE" and "10de" both become "10de"
+  normalizeId(id) {
+    if (id === undefined || id === null || id === '') return null;
+    return String(id).toLowerCase().replace(/^0x/, '').padStart(4, '0');
+  }
+
+  // A PCI ID match is exact; otherwise the longest model name found in the string wins, so
+  // "RTX 3060 Ti" is not taken for an "RTX 3060" and "RTX 3060 Mobile" not for the desktop card
+  match({ vendorId, deviceId, model } = {}) {
+    const entries = this.load();
+
+    const [vendor, device] = [this.normalizeId(vendorId), this.normalizeId(deviceId)];
+    if (vendor && device) {
+      const pciId = `${vendor}:${device}`;
+      const entry = entries.find(candidate => candidate.pciIds.includes(pciId));
+      if (entry) return { entry, matchedBy: 'pciId', detail: pciId };
+    }
+
+    const normalized = ` ${this.normalizeModel(model)} `;
+    let best = null;
+    entries.forEach(entry => {
+      entry.models.forEach(pattern => {
+        if (normalized.includes(` ${pattern} `) && (!best || pattern.length > best.detail.length)) {
+          best = { entry, matchedBy: 'model', detail: pattern };
+        }
+      });
+    });
+    return best;
+  }
+}
+
+module.exports = GPUDatabase;
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const logger = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+const PROBE_TIMEOUT_MS = 5000;
+const SYSFS_DRM_DIR = '/sys/class/drm';
+
+const NVIDIA_SMI_ARGS = ['--query-gpu=index,name,pci.bus_id,memory.total,driver_version,uuid', '--format=csv,noheader,nounits'];
+const ROCM_SMI_ARGS = ['--showproductname', '--showmeminfo', 'vram', '--showbus', '--showdriverversion', '--json'];
+
+const PCI_VENDORS = { '10de': 'NVIDIA', '1002': 'AMD', '8086': 'Intel' };
+
+// Reads VRAM from the GPU drivers on Linux, where systeminformation only sees the PCI BAR size.
+class GPUProbes {
+  constructor(options = {}) {
+    this.sysfsDir = options.sysfsDir || SYSFS_DRM_DIR;
+    this.platform = options.platform || process.platform;
+  }
+
+  // nvidia-smi prints PCI domains with 8 digits ("00000000:01:00.0"), sysfs and rocm-smi with 4 and lspci none
+  normalizeBusAddress(address) {
+    const match = String(address || '').toLowerCase().match(/([0-9a-f]{2}:[0-9a-f]{2}\.[0-7])$/);
+    return match ? match[1] : null;
+  }
+
+  // index, name, pci.bus_id, memory.total (MiB), driver_version, uuid; names may themselves contain commas.
+  // Fields a GPU cannot report come back as "[N/A]" or "[Not Supported]".
+  parseNvidiaSmi(stdout) {
+    return stdout.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+      const parts = line.split(',').map(part => part.trim()).map(part => (/^\[.*\]$/.test(part) ? '' : part));
+      if (parts.length < 6) return null;
+
+      const memoryMiB = parseInt(parts[parts.length - 3], 10);
+      return {
+        busAddress: this.normalizeBusAddress(parts[parts.length - 4]),
+        vendorId: '10de',
+        name: parts.slice(1, -4).join(', '),
+        vramBytes: Number.isNaN(memoryMiB) ? null : memoryMiB * 1024 * 1024,
+        driverVersion: parts[parts.length - 2] || null,
+        uuid: parts[parts.length - 1] || null,
+        probe: 'nvidia-smi'
+      };
+    }).filter(Boolean);
+  }
+
+  // Key names changed between ROCm releases ("Card series"/"Card Series", "Device Name"), so they are matched loosely
+  parseRocmSmi(stdout) {
+    const data = JSON.parse(stdout);
+    const findValue = (card, pattern, exclude) => {
+      const key = Object.keys(card).find(name => pattern.test(name) && !(exclude && exclude.test(name)));
+      return key ? card[key] : null;
+    };
+    const driverVersion = data.system ? findValue(data.system, /driver version/i) : null;
+
+    return Object.keys(data).filter(key => /^card\d+$/i.test(key)).map(key => {
+      const card = data[key];
+      const vramBytes = Number(findValue(card, /vram total memory/i, /used/i));
+      return {
+        busAddress: this.normalizeBusAddress(findValue(card, /pci bus/i)),
+        vendorId: '1002',
+        name: findValue(card, /card series|device name/i),
+        vramBytes: Number.isFinite(vramBytes) && vramBytes > 0 ? vramBytes : null,
+        driverVersion,
+        probe: 'rocm-smi'
+      };
+    });
+  }
+
+  // Contents of /sys/class/drm/cardN/device/{vendor,device,mem_info_vram_total}; only amdgpu reports VRAM there
+  parseSysfsCard({ busAddress, vendor, device, vramTotal }) {
+    if (!vendor || !device) return null;
+
+    const vramBytes = vramTotal ? Number(vramTotal.trim()) : null;
+    return {
+      busAddress: this.normalizeBusAddress(busAddress),
+      vendorId: vendor.trim().toLowerCase().replace(/^0x/, ''),
+      deviceId: device.trim().toLowerCase().replace(/^0x/, ''),
+      name: null,
+      vramBytes: Number.isFinite(vramBytes) && vramBytes > 0 ? vramBytes : null,
+      driverVersion: null,
+      probe: 'sysfs'
+    };
+  }
+
+  // Live amdgpu counters from cardN/device: gpu_busy_percent, mem_busy_percent, mem_info_vram_used/total
+  // and hwmon temp1_input in millidegrees
+  parseSysfsUsage({ busAddress, busyPercent, memoryBusyPercent, vramUsed, vramTotal, temperature }) {
+    const toNumber = value => {
+      const number = value === null || value === undefined ? NaN : Number(String(value).trim());
+      return Number.isFinite(number) ? number : null;
+    };
+    const usage = {
+      busAddress: this.normalizeBusAddress(busAddress),
+      utilizationGpu: toNumber(busyPercent),
+      utilizationMemory: toNumber(memoryBusyPercent),
+      memoryUsedBytes: toNumber(vramUsed),
+      memoryTotalBytes: toNumber(vramTotal),
+      temperature: toNumber(temperature) !== null ? Math.round(toNumber(temperature) / 1000) : null
+    };
+    return usage.utilizationGpu === null && usage.memoryUsedBytes === null ? null : usage;
+  }
+
+  async runNvidiaSmi() {
+    const { stdout } = await execFileAsync('nvidia-smi', NVIDIA_SMI_ARGS, { timeout: PROBE_TIMEOUT_MS });
+    return this.parseNvidiaSmi(stdout);
+  }
+
+  async runRocmSmi() {
+    const { stdout } = await execFileAsync('rocm-smi', ROCM_SMI_ARGS, { timeout: PROBE_TIMEOUT_MS });
+    return this.parseRocmSmi(stdout);
+  }
+
+  async readSysfs() {
+    const readOptional = filePath => fs.promises.readFile(filePath, 'utf8').catch(() => null);
+    const cards = (await fs.promises.readdir(this.sysfsDir)).filter(name => /^card\d+$/.test(name));
+
+    const results = await Promise.all(cards.map(async (card) => {
+      const deviceDir = path.join(this.sysfsDir, card, 'device');
+      const [vendor, device, vramTotal, realDeviceDir] = await Promise.all([
+        readOptional(path.join(deviceDir, 'vendor')),
+        readOptional(path.join(deviceDir, 'device')),
+        readOptional(path.join(deviceDir, 'mem_info_vram_total')),
+        fs.promises.realpath(deviceDir).catch(() => '')
+      ]);
+      return this.parseSysfsCard({ busAddress: path.basename(realDeviceDir), vendor, device, vramTotal });
+    }));
+    return results.filter(Boolean);
+  }
+
+  // systeminformation only reports utilization and memory use for NVIDIA cards (through nvidia-smi)
+  async readSysfsUsage() {
+    if (this.platform !== 'linux') return [];
+
+    const readOptional = filePath => fs.promises.readFile(filePath, 'utf8').catch(() => null);
+    const cards = (await fs.promises.readdir(this.sysfsDir)).filter(name => /^card\d+$/.test(name));
+
+    const results = await Promise.all(cards.map(async (card) => {
+      const deviceDir = path.join(this.sysfsDir, card, 'device');
+      const hwmon = (await fs.promises.readdir(path.join(deviceDir, 'hwmon')).catch(() => []))[0];
+      const [busyPercent, memoryBusyPercent, vramUsed, vramTotal, temperature, realDeviceDir] = await Promise.all([
+        readOptional(path.join(deviceDir, 'gpu_busy_percent')),
+        readOptional(path.join(deviceDir, 'mem_busy_percent')),
+        readOptional(path.join(deviceDir, 'mem_info_vram_used')),
+        readOptional(path.join(deviceDir, 'mem_info_vram_total')),
+        hwmon ? readOptional(path.join(deviceDir, 'hwmon', hwmon, 'temp1_input')) : null,
+        fs.promises.realpath(deviceDir).catch(() => '')
+      ]);
+      return this.parseSysfsUsage({ busAddress: path.basename(realDeviceDir), busyPercent, memoryBusyPercent, vramUsed, vramTotal, temperature });
+    }));
+    return results.filter(Boolean);
+  }
+
+  // One entry per PCI device. sysfs supplies the device IDs; the vendor tools supply names, drivers
+  // and VRAM, and win over sysfs where both report it. Missing tools are simply skipped.
+  async probe() {
+    if (this.platform !== 'linux') return [];
+
+    const probes = [['sysfs', () => this.readSysfs()], ['rocm-smi', () => this.runRocmSmi()], ['nvidia-smi', () => this.runNvidiaSmi()]];
+    const results = await Promise.all(probes.map(([name, run]) => run().catch(error => {
+      if (error.code !== 'ENOENT') {
+        logger.debug(`GPU probe ${name} failed: ${error.message}`);
+      }
+      return [];
+    })));
+
+    const devices = new Map();
+    results.flat().forEach((result, index) => {
+      const key = result.busAddress || `unknown-${index}`;
+      const merged = { ...devices.get(key) };
+      Object.entries(result).forEach(([field, value]) => {
+        if (value !== null && value !== undefined) merged[field] = value;
+      });
+      if (result.vramBytes) merged.vramProbe = result.probe;
+      delete merged.probe;
+      devices.set(key, merged);
+    });
+    return Array.from(devices.values());
+  }
+}
+
+GPUProbes.PCI_VENDORS = PCI_VENDORS;
+
+module.exports = GPUProbes;
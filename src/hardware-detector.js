@@ -1,14 +1,29 @@
 const si = require('systeminformation');
+const fs = require('fs');
 const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+const HardwareSnapshots = require('./hardware-snapshots');
+const GPUDatabase = require('./gpu-database');
+const GPUProbes = require('./gpu-probes');
+const EnvironmentDetector = require('./environment-detector');
+const InferenceEstimator = require('./inference-estimator');
+const { getConfig } = require('./config');
 
 class HardwareDetector {
-  constructor() {
+  constructor(config = getConfig(), snapshots = new HardwareSnapshots()) {
+    this.config = config;
+    this.snapshots = snapshots;
+    this.gpuDatabase = new GPUDatabase();
+    this.gpuProbes = new GPUProbes();
+    this.environmentDetector = new EnvironmentDetector();
+    this.inferenceEstimator = new InferenceEstimator(this.gpuDatabase);
     this.lastAnalysis = null;
     this.analysisTimestamp = null;
   }
 
   async detectHardware() {
-    console.log('🔍 Starting comprehensive hardware analysis...');
+    logger.info('🔍 Starting comprehensive hardware analysis...');
     
     try {
       const [
@@ -19,7 +34,8 @@ class HardwareDetector {
         system,
         diskLayout,
         networkInterfaces,
-        battery
+        battery,
+        gpuProbes
       ] = await Promise.all([
         si.cpu(),
         si.mem(),
@@ -28,12 +44,14 @@ class HardwareDetector {
         si.system(),
         si.diskLayout(),
         si.networkInterfaces(),
-        si.battery()
+        si.battery(),
+        this.gpuProbes.probe()
       ]);
 
       // Get real-time CPU usage
       const currentLoad = await si.currentLoad();
       const cpuTemp = await si.cpuTemperature();
+      const environment = await this.environmentDetector.detect(system);
       
       // Process CPU information
       const cpuInfo = {
@@ -60,27 +78,51 @@ class HardwareDetector {
         memoryType: this.detectMemoryType(memLayout),
         memorySpeedMHz: this.detectMemorySpeed(memLayout),
         usagePercentage: Math.round((memory.used / memory.total) * 100),
-        modules: memLayout.length
+        modules: memLayout.length,
+        moduleDetails: memLayout.map(module => ({
+          bank: module.bank || null,
+          sizeGB: Math.round((module.size || 0) / (1024 * 1024 * 1024)),
+          type: module.type || null,
+          speedMHz: module.clockSpeed || null,
+          manufacturer: module.manufacturer || null,
+          partNumber: module.partNum ? module.partNum.trim() : null
+        }))
       };
 
       // Process GPU information - prioritize dedicated GPUs
-      const allGPUs = graphics.controllers.map(gpu => ({
+      const allGPUs = this.mergeGPUProbes(graphics.controllers, gpuProbes).map(({ controller: gpu, probe }) => ({
         brand: this.extractGPUBrand(gpu.vendor || gpu.model),
         model: gpu.model || 'Unknown GPU',
-        vramGB: this.getGPUVRAM(gpu),
+        ...this.resolveGPUVRAM(gpu, probe),
         type: this.determineGPUType(gpu.model, gpu.vendor),
-        driver: gpu.driverVersion || 'Unknown',
+        driver: gpu.driverVersion || probe?.driverVersion || 'Unknown',
         temperature: gpu.temperatureGpu || 0,
         vendor: gpu.vendor,
-        rawModel: gpu.model
-      }));
+        rawModel: gpu.model,
+        busAddress: this.gpuProbes.normalizeBusAddress(gpu.busAddress || gpu.pciBus || probe?.busAddress),
+        uuid: probe?.uuid || null,
+        memoryBandwidthGBs: this.inferenceEstimator.gpuBandwidth({
+          vendorId: probe?.vendorId || gpu.vendorId,
+          deviceId: probe?.deviceId || gpu.deviceId,
+          model: gpu.model
+        })
+      })).map(gpu => ({ ...gpu, backend: this.getGPUBackend(gpu) }));
       
       // Sort GPUs: dedicated first, then by VRAM
-      const gpuInfo = allGPUs.sort((a, b) => {
+      const sortedGPUs = allGPUs.sort((a, b) => {
         if (a.type === 'dedicated' && b.type !== 'dedicated') return -1;
         if (b.type === 'dedicated' && a.type !== 'dedicated') return 1;
         return b.vramGB - a.vramGB;
       });
+      const gpuSummary = this.summarizeGPUs(sortedGPUs);
+      const gpuVisibility = this.environmentDetector.applyGPUVisibility(sortedGPUs.map((gpu, index) => ({ ...gpu, index })));
+      const gpuInfo = sortedGPUs.map((gpu, index) => ({
+        index,
+        ...gpu,
+        usable: gpuSummary.backend !== null && gpu.backend === gpuSummary.backend,
+        visible: !gpuVisibility.hidden.has(index)
+      }));
+      const effective = this.calculateEffectiveResources(cpuInfo, memoryInfo, memory, environment.cgroup, gpuInfo, gpuVisibility.variables);
 
       // Process Storage information
       const storageInfo = diskLayout.map(disk => ({
@@ -101,11 +143,13 @@ class HardwareDetector {
         model: system.model
       };
 
-      // Calculate performance scores
+      // Calculate performance scores from what compass can actually use; a model split across
+      // several GPUs can use all of their VRAM
+      const primaryGPU = gpuInfo.find(gpu => gpu.visible);
       const performanceScores = this.calculatePerformanceScores(
-        cpuInfo, 
-        memoryInfo, 
-        gpuInfo[0] || {}, 
+        { ...cpuInfo, logicalCores: effective.cpuCores }, 
+        { ...memoryInfo, totalMemoryGB: effective.totalMemoryGB }, 
+        primaryGPU ? { ...primaryGPU, vramGB: Math.max(primaryGPU.vramGB, effective.usableVramGB) } : {}, 
         storageInfo[0] || {}
       );
 
@@ -116,6 +160,13 @@ class HardwareDetector {
       const fingerprintData = `${cpuInfo.logicalCores}-${memoryInfo.totalMemoryGB}-${gpuInfo[0]?.model || 'integrated'}-${systemInfo.os}`;
       const hardwareFingerprint = Buffer.from(fingerprintData).toString('base64').substring(0, 16);
 
+      // LLM generation is bound by memory bandwidth rather than cores and clock speed
+      const inference = await this.inferenceEstimator.estimate({
+        hardwareFingerprint,
+        hardwareSpecs: { cpu: cpuInfo, memory: memoryInfo, gpus: gpuInfo, effective }
+      });
+      performanceScores.inferenceScore = inference.inferenceScore;
+
       const analysis = {
         hardwareFingerprint,
         hardwareSpecs: {
@@ -125,8 +176,13 @@ class HardwareDetector {
             brand: 'Unknown',
             model: 'Integrated Graphics',
             vramGB: 0,
+            vramSource: 'unknown',
+            vramSourceDetail: null,
             type: 'integrated'
           },
+          gpus: gpuInfo,
+          gpuSummary,
+          effective,
           storage: {
             totalSpaceGB: storageInfo.reduce((sum, disk) => sum + disk.sizeGB, 0),
             availableSpaceGB: await this.getAvailableStorage(),
@@ -137,7 +193,10 @@ class HardwareDetector {
         },
         performanceScores,
         hardwareTier,
+        inferenceTier: this.calculateHardwareTier(inference.inferenceScore),
+        inferencePerformance: inference.details,
         analysisTimestamp: new Date().toISOString(),
+        environment,
         networkInterfaces: networkInterfaces.filter(iface => !iface.internal).map(iface => ({
           name: iface.iface,
           type: iface.type,
@@ -152,67 +211,187 @@ class HardwareDetector {
 
       this.lastAnalysis = analysis;
       this.analysisTimestamp = new Date().toISOString();
+      await this.persistLastAnalysis(analysis);
 
-      console.log('✅ Hardware analysis completed successfully');
+      logger.info('✅ Hardware analysis completed successfully');
       return analysis;
 
     } catch (error) {
-      console.error('❌ Error during hardware detection:', error);
+      logger.error('❌ Error during hardware detection:', error);
       throw new Error(`Hardware detection failed: ${error.message}`);
     }
   }
 
+  // Kept on disk so the API server can serve /api/hardware/info right after a restart
+  async persistLastAnalysis(analysis) {
+    try {
+      await this.snapshots.saveLast(analysis);
+    } catch (error) {
+      logger.warn(`Could not save the hardware analysis to ${this.snapshots.lastAnalysisPath}: ${error.message}`);
+    }
+  }
+
+  async restoreLastAnalysis() {
+    if (this.lastAnalysis) return this.lastAnalysis;
+
+    try {
+      const analysis = await this.snapshots.loadLast();
+      if (analysis) {
+        this.lastAnalysis = analysis;
+        this.analysisTimestamp = analysis.analysisTimestamp || null;
+      }
+      return analysis;
+    } catch (error) {
+      logger.warn(`Could not restore the last hardware analysis: ${error.message}`);
+      return null;
+    }
+  }
+
   extractGPUBrand(vendor) {
     if (!vendor) return 'Unknown';
     const vendorLower = vendor.toLowerCase();
     if (vendorLower.includes('nvidia') || vendorLower.includes('geforce')) return 'NVIDIA';
-    if (vendorLower.includes('amd') || vendorLower.includes('ati') || vendorLower.includes('radeon')) return 'AMD';
+    if (vendorLower.includes('amd') || /\bati\b/.test(vendorLower) || vendorLower.includes('radeon')) return 'AMD';
     if (vendorLower.includes('intel') && !vendorLower.includes('nvidia')) return 'Intel';
     if (vendorLower.includes('apple')) return 'Apple';
     return vendor;
   }
 
-  getGPUVRAM(gpu) {
-    // systeminformation often reports incorrect VRAM, especially for dedicated GPUs
-    // Use model-based detection first for accuracy
-    const model = (gpu.model || '').toLowerCase();
-    const vendor = (gpu.vendor || '').toLowerCase();
-    
-    // NVIDIA RTX series - prioritize model detection
-    if (model.includes('ga107m') || model.includes('3050 ti')) return 4;
-    if (model.includes('3060')) return 6;
-    if (model.includes('3070')) return 8;
-    if (model.includes('3080')) return 10;
-    if (model.includes('4060')) return 8;
-    if (model.includes('4070')) return 12;
-    if (model.includes('4080')) return 16;
-    
-    // AMD estimates
-    if (model.includes('rx 6600')) return 8;
-    if (model.includes('rx 6700')) return 12;
-    if (model.includes('rx 6800')) return 16;
-    
-    // Intel Arc
-    if (model.includes('arc')) return 6;
-    
-    // More NVIDIA patterns
-    if (vendor.includes('nvidia') && model.includes('mobile')) return 4;
-    if (vendor.includes('nvidia') && model.includes('geforce')) return 4; // Default for unknown GeForce
-    
-    // Try system reported VRAM only if reasonable (> 512 MB)
-    if (gpu.vram && gpu.vram > 512) {
-      return Math.round(gpu.vram / 1024); // Convert MB to GB
+  // Pairs each systeminformation controller with the probed PCI device at the same bus address, or
+  // without one, with the only probed device of its vendor. Probed GPUs systeminformation missed
+  // (e.g. in containers without lspci) are added when identifiable.
+  mergeGPUProbes(controllers, probes) {
+    const unmatched = [...probes];
+    const take = (predicate) => {
+      const index = unmatched.findIndex(predicate);
+      return index === -1 ? null : unmatched.splice(index, 1)[0];
+    };
+
+    const merged = controllers.map(controller => {
+      const busAddress = this.gpuProbes.normalizeBusAddress(controller.busAddress || controller.pciBus);
+      const brand = this.extractGPUBrand(controller.vendor || controller.model);
+      const sameVendor = probes.filter(candidate => GPUProbes.PCI_VENDORS[candidate.vendorId] === brand);
+      const probe = busAddress
+        ? take(candidate => candidate.busAddress === busAddress)
+        : sameVendor.length === 1 ? take(candidate => candidate === sameVendor[0]) : null;
+      return { controller, probe };
+    });
+
+    unmatched.forEach(probe => {
+      const known = this.gpuDatabase.match(probe);
+      if (!probe.name && !known) return;
+      merged.push({
+        controller: {
+          vendor: GPUProbes.PCI_VENDORS[probe.vendorId] || probe.vendorId,
+          model: probe.name || known.entry.name,
+          busAddress: probe.busAddress
+        },
+        probe
+      });
+    });
+    return merged;
+  }
+
+  // The library Ollama would drive the GPU with; integrated and Intel GPUs are not used by default
+  getGPUBackend(gpu) {
+    if (gpu.type === 'apple_unified') return 'metal';
+    if (gpu.type !== 'dedicated') return null;
+    if (gpu.brand === 'NVIDIA') return 'cuda';
+    if (gpu.brand === 'AMD') return 'rocm';
+    return null;
+  }
+
+  // Ollama splits a model's layers only across GPUs driven by the same library, so the usable
+  // VRAM is that of the backend with the most of it
+  summarizeGPUs(gpus) {
+    const vramByBackend = {};
+    gpus.filter(gpu => gpu.backend).forEach(gpu => {
+      vramByBackend[gpu.backend] = (vramByBackend[gpu.backend] || 0) + gpu.vramGB;
+    });
+    const backend = Object.keys(vramByBackend).sort((a, b) => vramByBackend[b] - vramByBackend[a])[0] || null;
+
+    return {
+      count: gpus.length,
+      usableCount: gpus.filter(gpu => backend !== null && gpu.backend === backend).length,
+      backend,
+      totalVramGB: gpus.reduce((sum, gpu) => sum + gpu.vramGB, 0),
+      usableVramGB: backend ? vramByBackend[backend] : 0
+    };
+  }
+
+  // What compass may actually use once cgroup limits, cpusets and *_VISIBLE_DEVICES are applied.
+  // limitedBy names the restrictions that made a value smaller than the host's.
+  calculateEffectiveResources(cpuInfo, memoryInfo, memory, cgroup, gpus, gpuVariables = {}) {
+    const toGB = bytes => Math.round((bytes / (1024 * 1024 * 1024)) * 10) / 10;
+    const limitedBy = [];
+
+    let cpuCores = cpuInfo.logicalCores;
+    if (cgroup?.cpuset && cgroup.cpuset.length < cpuCores) {
+      cpuCores = cgroup.cpuset.length;
+      limitedBy.push('cpuset');
+    }
+    if (cgroup?.cpuQuota && cgroup.cpuQuota < cpuCores) {
+      cpuCores = cgroup.cpuQuota;
+      limitedBy.push('cpu-quota');
+    }
+
+    // Limits are often a few GB, so limited figures keep one decimal where the host's are whole GB
+    let { totalMemoryGB, availableMemoryGB } = memoryInfo;
+    if (cgroup?.memoryLimitBytes && cgroup.memoryLimitBytes < memory.total) {
+      const headroom = cgroup.memoryWorkingSetBytes !== null ? cgroup.memoryLimitBytes - cgroup.memoryWorkingSetBytes : cgroup.memoryLimitBytes;
+      totalMemoryGB = toGB(cgroup.memoryLimitBytes);
+      availableMemoryGB = toGB(Math.max(0, Math.min(memory.available, headroom)));
+      limitedBy.push('memory-limit');
+    }
+
+    const visibleGPUs = gpus.filter(gpu => gpu.visible);
+    if (visibleGPUs.length < gpus.length) limitedBy.push('gpu-visibility');
+    const gpuSummary = this.summarizeGPUs(visibleGPUs);
+
+    return {
+      cpuCores,
+      cpuQuota: cgroup?.cpuQuota ?? null,
+      cpuset: cgroup?.cpuset ?? null,
+      totalMemoryGB,
+      availableMemoryGB,
+      memoryLimitGB: cgroup?.memoryLimitBytes ? toGB(cgroup.memoryLimitBytes) : null,
+      gpuCount: visibleGPUs.length,
+      usableGpuCount: gpuSummary.usableCount,
+      usableVramGB: gpuSummary.usableVramGB,
+      gpuBackend: gpuSummary.backend,
+      gpuVisibility: gpuVariables,
+      limitedBy
+    };
+  }
+
+  // Most reliable first: the driver's own figure, systeminformation's nvidia-smi reading, the GPU
+  // database, then systeminformation's generic VRAM, which on Linux is often just the PCI BAR size
+  resolveGPUVRAM(gpu, probe) {
+    if (probe?.vramBytes) {
+      return { vramGB: Math.round(probe.vramBytes / (1024 * 1024 * 1024)), vramSource: 'probe', vramSourceDetail: probe.vramProbe };
     }
-    
-    // Try memory field
     if (gpu.memoryTotal && gpu.memoryTotal > 512) {
-      return Math.round(gpu.memoryTotal / 1024); // Convert MB to GB
+      return { vramGB: Math.round(gpu.memoryTotal / 1024), vramSource: 'systeminformation', vramSourceDetail: 'memoryTotal' };
     }
-    
-    // Intel integrated fallback
-    if (vendor.includes('intel')) return 0; // Shared memory
-    
-    return 0;
+
+    const known = this.gpuDatabase.match({
+      vendorId: probe?.vendorId || gpu.vendorId,
+      deviceId: probe?.deviceId || gpu.deviceId,
+      model: gpu.model
+    });
+    if (known) {
+      return {
+        vramGB: known.entry.vramGB,
+        vramSource: 'database',
+        vramSourceDetail: known.matchedBy === 'pciId' ? `PCI ID ${known.detail}` : `model "${known.detail}"`
+      };
+    }
+
+    if (gpu.vram && gpu.vram > 512) {
+      return { vramGB: Math.round(gpu.vram / 1024), vramSource: 'systeminformation', vramSourceDetail: 'vram' };
+    }
+    // Integrated GPUs share system memory
+    return { vramGB: 0, vramSource: 'unknown', vramSourceDetail: null };
   }
 
   detectMemoryType(memLayout) {
@@ -323,19 +502,66 @@ class HardwareDetector {
       }
       return 0;
     } catch (error) {
-      console.error('Error getting storage info:', error);
+      logger.error('Error getting storage info:', error);
       return 0;
     }
   }
 
+  // The mounted filesystem holding a path, i.e. the longest mount point that contains it
+  async getFilesystemFor(targetPath) {
+    try {
+      const normalize = p => (process.platform === 'win32' ? p.toLowerCase() : p);
+      const withSeparator = p => (p.endsWith(path.sep) ? p : p + path.sep);
+      const resolved = normalize(withSeparator(await fs.promises.realpath(targetPath).catch(() => path.resolve(targetPath))));
+
+      const filesystems = await si.fsSize();
+      const match = filesystems
+        .filter(filesystem => resolved.startsWith(normalize(withSeparator(filesystem.mount))))
+        .sort((a, b) => b.mount.length - a.mount.length)[0];
+      if (!match) return null;
+
+      return {
+        fs: match.fs,
+        type: match.type,
+        mount: match.mount,
+        sizeBytes: match.size,
+        usedBytes: match.used,
+        availableBytes: match.available,
+        usePercent: match.use
+      };
+    } catch (error) {
+      logger.error('Error getting filesystem info:', error);
+      return null;
+    }
+  }
+
+  // Inside a memory-limited cgroup the limit and the cgroup's working set replace the host's figures
+  applyMemoryLimit(memory, cgroup) {
+    if (!cgroup?.memoryLimitBytes || cgroup.memoryLimitBytes >= memory.total || cgroup.memoryWorkingSetBytes === null) {
+      return memory;
+    }
+    const used = Math.min(cgroup.memoryWorkingSetBytes, cgroup.memoryLimitBytes);
+    return {
+      total: cgroup.memoryLimitBytes,
+      used,
+      available: Math.min(memory.available, cgroup.memoryLimitBytes - used)
+    };
+  }
+
   async getRealtimeStats() {
     try {
-      const [currentLoad, memory, cpuTemp, gpu] = await Promise.all([
+      // si.graphics() shells out to vendor tools and can be slow, so it can be switched off for sampling
+      const gpuStats = this.config.get('realtimeGpuStats');
+      const [currentLoad, hostMemory, cpuTemp, gpu, gpuUsage, cgroup] = await Promise.all([
         si.currentLoad(),
         si.mem(),
         si.cpuTemperature(),
-        si.graphics()
+        gpuStats ? si.graphics() : { controllers: [] },
+        gpuStats ? this.gpuProbes.readSysfsUsage().catch(() => []) : [],
+        this.environmentDetector.detectCgroup().catch(() => null)
       ]);
+      const memory = this.applyMemoryLimit(hostMemory, cgroup);
+      const toMB = bytes => (bytes === null || bytes === undefined ? null : Math.round(bytes / (1024 * 1024)));
 
       return {
         timestamp: new Date().toISOString(),
@@ -347,17 +573,29 @@ class HardwareDetector {
         memory: {
           usagePercentage: Math.round((memory.used / memory.total) * 100),
           usedGB: Math.round(memory.used / (1024 * 1024 * 1024)),
-          availableGB: Math.round(memory.available / (1024 * 1024 * 1024))
+          availableGB: Math.round(memory.available / (1024 * 1024 * 1024)),
+          usedBytes: memory.used,
+          availableBytes: memory.available,
+          totalBytes: memory.total,
+          limitBytes: cgroup?.memoryLimitBytes ?? null
         },
-        gpu: gpu.controllers.map(controller => ({
-          model: controller.model,
-          temperature: controller.temperatureGpu || 0,
-          utilizationGpu: controller.utilizationGpu || 0,
-          utilizationMemory: controller.utilizationMemory || 0
-        }))
+        // One entry per controller; busAddress matches hardwareSpecs.gpus[].busAddress
+        gpu: gpu.controllers.map(controller => {
+          const busAddress = this.gpuProbes.normalizeBusAddress(controller.busAddress || controller.pciBus);
+          const usage = busAddress ? gpuUsage.find(entry => entry.busAddress === busAddress) : null;
+          return {
+            model: controller.model,
+            busAddress,
+            temperature: controller.temperatureGpu || usage?.temperature || 0,
+            utilizationGpu: controller.utilizationGpu || usage?.utilizationGpu || 0,
+            utilizationMemory: controller.utilizationMemory || usage?.utilizationMemory || 0,
+            memoryUsedMB: controller.memoryUsed ?? toMB(usage?.memoryUsedBytes),
+            memoryTotalMB: controller.memoryTotal ?? toMB(usage?.memoryTotalBytes) ?? controller.vram ?? null
+          };
+        })
       };
     } catch (error) {
-      console.error('Error getting realtime stats:', error);
+      logger.error('Error getting realtime stats:', error);
       return null;
     }
   }
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./paths');
+
+const LAST_ANALYSIS_FILE = 'last-analysis.json';
+
+// Fields compared between snapshots. Usage, temperatures, free space and uptime change from minute to minute and are left out.
+const COMPARED_FIELDS = [
+  { section: 'cpu', path: ['hardwareSpecs', 'cpu'], fields: ['brand', 'model', 'architecture', 'physicalCores', 'logicalCores', 'baseFrequencyGHz', 'maxFrequencyGHz', 'cacheSizeMB'] },
+  { section: 'memory', path: ['hardwareSpecs', 'memory'], fields: ['totalMemoryGB', 'memoryType', 'memorySpeedMHz', 'modules'] },
+  { section: 'gpu', path: ['hardwareSpecs', 'gpu'], fields: ['brand', 'model', 'type', 'vramGB', 'driver'] },
+  { section: 'gpu', path: ['hardwareSpecs', 'gpuSummary'], fields: ['count', 'usableVramGB'] },
+  { section: 'storage', path: ['hardwareSpecs', 'storage'], fields: ['totalSpaceGB', 'storageType'] },
+  { section: 'system', path: ['hardwareSpecs', 'system'], fields: ['os', 'osVersion', 'platform', 'hostname', 'manufacturer', 'model'] },
+  { section: 'environment', path: ['environment'], fields: ['type', 'container', 'virtualization', 'wslVersion'] },
+  { section: 'environment', path: ['hardwareSpecs', 'effective'], fields: ['cpuCores', 'totalMemoryGB', 'gpuCount', 'usableVramGB'] },
+  { section: 'performance', path: ['performanceScores'], fields: ['overallScore', 'cpuScore', 'memoryScore', 'gpuScore', 'storageScore', 'inferenceScore'] },
+  { section: 'performance', path: [], fields: ['hardwareTier', 'inferenceTier'] },
+  { section: 'performance', path: ['inferencePerformance'], fields: ['memoryBandwidthGBs', 'gpuBandwidthGBs'] }
+];
+
+// Hardware analyses saved with `analyze --save` or kept automatically as the last analysis
+class HardwareSnapshots {
+  constructor(dataDir = getDataDir()) {
+    this.dataDir = dataDir;
+    this.lastAnalysisPath = path.join(dataDir, LAST_ANALYSIS_FILE);
+  }
+
+  async save(analysis, filePath) {
+    // Write to a temp file first so an interrupted save never leaves half a snapshot
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(analysis, null, 2) + '\n');
+    await fs.promises.rename(tempPath, filePath);
+    return filePath;
+  }
+
+  // Accepts files from `analyze --save`, `analyze --json` and saved /api/hardware/* responses
+  async read(filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read snapshot ${filePath}: ${error.message}`);
+    }
+
+    const analysis = parsed && parsed.success !== undefined && parsed.data ? parsed.data : parsed;
+    if (!analysis || !analysis.hardwareSpecs) {
+      throw new Error(`${filePath} is not a hardware analysis (no hardwareSpecs)`);
+    }
+    return analysis;
+  }
+
+  async saveLast(analysis) {
+    return this.save(analysis, this.lastAnalysisPath);
+  }
+
+  // Returns null when no analysis has been saved yet
+  async loadLast() {
+    try {
+      return await this.read(this.lastAnalysisPath);
+    } catch (error) {
+      if (!fs.existsSync(this.lastAnalysisPath)) return null;
+      throw error;
+    }
+  }
+
+  describeSnapshot(analysis, source) {
+    return {
+      source,
+      analysisTimestamp: analysis.analysisTimestamp || null,
+      hostname: analysis.hardwareSpecs.system?.hostname || null,
+      hardwareFingerprint: analysis.hardwareFingerprint || null
+    };
+  }
+
+  diff(before, after, sources = {}) {
+    const changes = [];
+    COMPARED_FIELDS.forEach(({ section, path: keys, fields }) => {
+      const objectA = keys.reduce((value, key) => value?.[key], before) || {};
+      const objectB = keys.reduce((value, key) => value?.[key], after) || {};
+      fields.forEach(field => {
+        const [from, to] = [objectA[field] ?? null, objectB[field] ?? null];
+        if (from === to) return;
+
+        const change = { section, field, from, to };
+        if (typeof from === 'number' && typeof to === 'number') {
+          change.delta = Math.round((to - from) * 100) / 100;
+        }
+        changes.push(change);
+      });
+    });
+
+    const memoryModules = this.diffMemoryModules(before.hardwareSpecs.memory?.moduleDetails, after.hardwareSpecs.memory?.moduleDetails);
+    const drives = this.diffDrives(before.hardwareSpecs.storage?.drives || [], after.hardwareSpecs.storage?.drives || []);
+    const gpus = this.diffGPUs(before.hardwareSpecs.gpus, after.hardwareSpecs.gpus);
+    const from = this.describeSnapshot(before, sources.from || null);
+    const to = this.describeSnapshot(after, sources.to || null);
+
+    return {
+      from,
+      to,
+      sameHost: from.hostname === to.hostname,
+      changes,
+      memoryModules,
+      drives,
+      gpus,
+      identical: changes.length === 0 && memoryModules.length === 0 &&
+        [drives, gpus].every(list => list.added.length === 0 && list.removed.length === 0)
+    };
+  }
+
+  describeModule(module) {
+    if (!module || !module.sizeGB) return null;
+    return [`${module.sizeGB} GB`, module.type, module.speedMHz ? `${module.speedMHz} MHz` : null, module.manufacturer, module.partNumber]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  // Compared slot by slot so a swapped or added DIMM shows where it went. Snapshots saved before
+  // per-module details were recorded only have the module count, which the memory fields cover.
+  diffMemoryModules(modulesA, modulesB) {
+    if (!Array.isArray(modulesA) || !Array.isArray(modulesB)) return [];
+
+    const bySlot = modules => new Map(modules.map((module, index) => [module.bank || `Slot ${index}`, this.describeModule(module)]));
+    const slotsA = bySlot(modulesA);
+    const slotsB = bySlot(modulesB);
+
+    const changes = [];
+    new Set([...slotsA.keys(), ...slotsB.keys()]).forEach(slot => {
+      const [from, to] = [slotsA.get(slot) ?? null, slotsB.get(slot) ?? null];
+      if (from !== to) changes.push({ slot, from, to });
+    });
+    return changes;
+  }
+
+  // Drives have no stable slot, so they are matched by model and size
+  diffDrives(drivesA, drivesB) {
+    const describe = drive => `${drive.model || 'Unknown drive'} (${drive.sizeGB} GB ${drive.type}${drive.interface ? `, ${drive.interface}` : ''})`;
+    return this.diffLists(drivesA.map(describe), drivesB.map(describe));
+  }
+
+  // Every GPU, not only the primary one; snapshots saved before `gpus` existed are skipped
+  diffGPUs(gpusA, gpusB) {
+    if (!Array.isArray(gpusA) || !Array.isArray(gpusB)) return { added: [], removed: [] };
+
+    const describe = gpu => `${gpu.model} (${gpu.vramGB} GB${gpu.driver && gpu.driver !== 'Unknown' ? `, driver ${gpu.driver}` : ''})`;
+    return this.diffLists(gpusA.map(describe), gpusB.map(describe));
+  }
+
+  diffLists(itemsA, itemsB) {
+    const added = [...itemsB];
+    const removed = [];
+    itemsA.forEach(item => {
+      const index = added.indexOf(item);
+      if (index === -1) {
+        removed.push(item);
+      } else {
+        added.splice(index, 1);
+      }
+    });
+    return { added, removed };
+  }
+}
+
+module.exports = HardwareSnapshots;
@@ -3,9 +3,8 @@ const ApiServer = require('./api-server');
 async function main() {
   console.log('🚀 Starting Ollama Compass CLI Server...');
   
-  const server = new ApiServer(7171);
-  
   try {
+    const server = new ApiServer();
     await server.start();
     
     // Handle graceful shutdown
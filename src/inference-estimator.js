@@ -0,0 +1,261 @@
+const GPUDatabase = require('./gpu-database');
+const BenchmarkStore = require('./benchmark-store');
+const ModelRecommender = require('./model-recommender');
+const OllamaMonitor = require('./ollama-monitor');
+const logger = require('./logger');
+
+const { VRAM_HEADROOM, APPLE_GPU_MEMORY_SHARE, BYTES_PER_GB } = ModelRecommender;
+
+// Reference models predictions are made for: common parameter counts at the quantizations Ollama ships
+const REFERENCE_PARAMETERS = [3e9, 8e9, 14e9, 32e9, 70e9];
+const REFERENCE_QUANTIZATIONS = ['Q4_K_M', 'Q8_0', 'F16'];
+const SCORE_MODEL = { parameterCount: 8e9, quantization: 'Q4_K_M' };
+
+// Default transfer rates (MT/s) when the memory layout does not report a speed
+const DEFAULT_MEMORY_SPEED = { DDR3: 1600, DDR4: 3200, DDR5: 5600, LPDDR4: 3200, LPDDR4X: 4266, LPDDR5: 6400, LPDDR5X: 7500 };
+
+// Unified memory bandwidth of Apple silicon in GB/s; binned Max chips are slower, the full chip is assumed
+const APPLE_SILICON_BANDWIDTH = [
+  ['m1 ultra', 800], ['m1 max', 400], ['m1 pro', 200], ['m1', 68],
+  ['m2 ultra', 800], ['m2 max', 400], ['m2 pro', 200], ['m2', 100],
+  ['m3 ultra', 819], ['m3 max', 400], ['m3 pro', 150], ['m3', 100],
+  ['m4 max', 546], ['m4 pro', 273], ['m4', 120]
+];
+
+// Share of peak bandwidth llama.cpp sustains while generating; the rest goes to compute and sync
+const GPU_EFFICIENCY = 0.7;
+const CPU_EFFICIENCY = 0.6;
+// One core can only pull so much; a container limited to two cores cannot use 8 channels of DDR5
+const CPU_BANDWIDTH_PER_CORE_GBS = 10;
+// Assumed for dedicated GPUs missing from the GPU database
+const FALLBACK_GPU_BANDWIDTH_GBS = 300;
+
+// Generating a token reads every weight once, so generation speed is roughly memory bandwidth
+// divided by model size. Predictions are scaled by how fast this machine actually ran past
+// benchmarks (see calibrate()).
+class InferenceEstimator {
+  constructor(gpuDatabase = new GPUDatabase(), benchmarkStore = new BenchmarkStore()) {
+    this.gpuDatabase = gpuDatabase;
+    this.benchmarkStore = benchmarkStore;
+    this.recommender = new ModelRecommender(null);
+  }
+
+  gpuBandwidth({ vendorId, deviceId, model }) {
+    const known = this.gpuDatabase.match({ vendorId, deviceId, model });
+    return known?.entry.memoryBandwidthGBs ?? null;
+  }
+
+  // Desktop boards have two channels however many DIMMs are fitted; workstation and server CPUs more
+  estimateChannels(cpu, memory) {
+    if (/^LPDDR/.test(memory.memoryType)) return { channels: 2, assumed: false };
+
+    const platformChannels = /epyc/i.test(cpu.brand) ? 12 : /xeon|threadripper/i.test(cpu.brand) ? 8 : 2;
+    if (!memory.modules) return { channels: 2, assumed: true };
+    return { channels: Math.min(memory.modules, platformChannels), assumed: false };
+  }
+
+  // 64-bit channels: transfers per second × 8 bytes × channels
+  estimateMemoryBandwidth(cpu, memory, unified = false) {
+    const apple = unified ? this.appleBandwidth(cpu) : null;
+    if (apple) return apple;
+
+    const assumptions = [];
+    const type = memory.memoryType && memory.memoryType !== 'Unknown' ? memory.memoryType : 'DDR4';
+    let speed = memory.memorySpeedMHz;
+    if (!speed) {
+      speed = DEFAULT_MEMORY_SPEED[type] || DEFAULT_MEMORY_SPEED.DDR4;
+      assumptions.push(`memory speed not reported; ${type}-${speed} assumed`);
+    }
+    const { channels, assumed } = this.estimateChannels(cpu, memory);
+    if (assumed) assumptions.push(`memory layout not reported; ${channels} channels assumed`);
+
+    return {
+      bandwidthGBs: Math.round((speed * 8 * channels) / 100) / 10,
+      detail: `${type}-${speed} × ${channels} channel${channels === 1 ? '' : 's'}`,
+      assumptions
+    };
+  }
+
+  appleBandwidth(cpu) {
+    const name = ` ${String(cpu.brand || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+    const match = APPLE_SILICON_BANDWIDTH.find(([chip]) => name.includes(` ${chip} `));
+    return match ? { bandwidthGBs: match[1], detail: `Apple ${match[0].toUpperCase()} unified memory`, assumptions: [] } : null;
+  }
+
+  // Ollama runs the layers on each GPU in turn, so the time per token is the sum over the GPUs of
+  // their share of the weights (split by VRAM) divided by their bandwidth
+  combinedGPUBandwidth(gpus, assumptions) {
+    const totalVram = gpus.reduce((sum, gpu) => sum + gpu.vramGB, 0);
+    if (totalVram === 0) return null;
+
+    const seconds = gpus.reduce((sum, gpu) => {
+      if (!gpu.memoryBandwidthGBs) {
+        assumptions.push(`${gpu.model} bandwidth unknown; ${FALLBACK_GPU_BANDWIDTH_GBS} GB/s assumed`);
+      }
+      return sum + gpu.vramGB / (gpu.memoryBandwidthGBs || FALLBACK_GPU_BANDWIDTH_GBS);
+    }, 0);
+    return Math.round(totalVram / seconds);
+  }
+
+  // Capacity and bandwidth of the devices a model can be placed on, after container limits
+  describeDevices(analysis) {
+    const { cpu, memory, gpus = [], effective } = analysis.hardwareSpecs;
+    const unified = gpus.find(gpu => gpu.type === 'apple_unified' && gpu.visible !== false);
+    const memoryBandwidth = this.estimateMemoryBandwidth(cpu, memory, Boolean(unified));
+    const assumptions = [...memoryBandwidth.assumptions];
+    const totalMemoryGB = effective ? effective.totalMemoryGB : memory.totalMemoryGB;
+    const cpuCores = Math.min(effective ? effective.cpuCores : cpu.logicalCores, cpu.physicalCores || Infinity);
+
+    const devices = {
+      memoryBandwidthGBs: memoryBandwidth.bandwidthGBs,
+      memoryBandwidthDetail: memoryBandwidth.detail,
+      cpuBandwidthGBs: Math.min(memoryBandwidth.bandwidthGBs, cpuCores * CPU_BANDWIDTH_PER_CORE_GBS),
+      systemCapacityGB: totalMemoryGB * VRAM_HEADROOM,
+      gpuBandwidthGBs: null,
+      gpuCapacityGB: 0,
+      backend: 'cpu',
+      assumptions
+    };
+
+    if (unified) {
+      return {
+        ...devices,
+        gpuBandwidthGBs: memoryBandwidth.bandwidthGBs,
+        gpuCapacityGB: totalMemoryGB * APPLE_GPU_MEMORY_SHARE,
+        backend: 'metal'
+      };
+    }
+
+    const usable = gpus.filter(gpu => gpu.usable && gpu.visible !== false && gpu.vramGB > 0);
+    const gpuBandwidthGBs = this.combinedGPUBandwidth(usable, assumptions);
+    if (!gpuBandwidthGBs) return devices;
+    return {
+      ...devices,
+      gpuBandwidthGBs,
+      gpuCapacityGB: usable.reduce((sum, gpu) => sum + gpu.vramGB, 0) * VRAM_HEADROOM,
+      backend: usable[0].backend
+    };
+  }
+
+  // Same placement rules as `recommend`, but against total rather than currently free memory
+  predict(sizeGB, devices, factor = 1) {
+    const required = this.recommender.estimateRequiredMemoryGB(sizeGB);
+    const unified = devices.backend === 'metal';
+
+    let placement;
+    let gpuShare = 0;
+    if (devices.gpuCapacityGB > 0 && required <= devices.gpuCapacityGB) {
+      placement = 'gpu';
+      gpuShare = 1;
+    } else if (!unified && devices.gpuCapacityGB > 0 && required <= devices.gpuCapacityGB + devices.systemCapacityGB) {
+      placement = 'partial';
+      gpuShare = devices.gpuCapacityGB / required;
+    } else if (required <= devices.systemCapacityGB) {
+      placement = 'cpu';
+    } else {
+      return { placement: 'none', gpuOffloadPercent: 0, tokensPerSecond: null };
+    }
+
+    const sizeGBs = sizeGB * (BYTES_PER_GB / 1e9);
+    const seconds = (gpuShare > 0 ? (sizeGBs * gpuShare) / (devices.gpuBandwidthGBs * GPU_EFFICIENCY) : 0) +
+      (gpuShare < 1 ? (sizeGBs * (1 - gpuShare)) / (devices.cpuBandwidthGBs * CPU_EFFICIENCY) : 0);
+    return {
+      placement,
+      gpuOffloadPercent: Math.floor(gpuShare * 100),
+      tokensPerSecond: Math.round((factor / seconds) * 10) / 10
+    };
+  }
+
+  // Measured ÷ predicted generation speed for runs benchmarked on this machine against a local
+  // Ollama; the median keeps one odd run from skewing every prediction. Runs saved before
+  // benchmarks recorded the model size cannot be predicted and are skipped.
+  async calibrate(analysis, devices) {
+    let records = [];
+    try {
+      records = await this.benchmarkStore.list({ fingerprint: analysis.hardwareFingerprint });
+    } catch (error) {
+      logger.warn(`Could not read benchmark history for calibration: ${error.message}`);
+    }
+
+    const ratios = [];
+    const models = new Set();
+    records.forEach(record => {
+      const measured = record.summary?.generationTokensPerSecond?.median;
+      if (!measured || !record.modelSizeBytes || !this.isLocalRecord(record)) return;
+
+      const predicted = this.predict(record.modelSizeBytes / BYTES_PER_GB, devices);
+      if (!predicted.tokensPerSecond) return;
+      ratios.push(measured / predicted.tokensPerSecond);
+      models.add(record.model);
+    });
+
+    if (ratios.length === 0) return { factor: 1, samples: 0, models: [] };
+    const sorted = [...ratios].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return { factor: Math.round(median * 100) / 100, samples: ratios.length, models: Array.from(models) };
+  }
+
+  isLocalRecord(record) {
+    if (!record.ollamaHost) return true;
+    try {
+      return OllamaMonitor.LOCAL_HOSTNAMES.includes(new URL(record.ollamaHost).hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // 0-100: generation speed of an 8B Q4_K_M model on a log scale (5 tok/s ≈ 33, 50 ≈ 74, 150+ ≈ 95)
+  // weighted 70/30 with the largest reference model that fits at Q4_K_M
+  calculateInferenceScore(predictions) {
+    const scoreModel = predictions.find(prediction =>
+      prediction.parameterCount === SCORE_MODEL.parameterCount && prediction.quantization === SCORE_MODEL.quantization
+    );
+    const tokensPerSecond = scoreModel?.tokensPerSecond || 0;
+    const speedScore = Math.min(100, (Math.log2(1 + tokensPerSecond) / Math.log2(1 + 200)) * 100);
+
+    const fitting = predictions.filter(prediction => prediction.quantization === SCORE_MODEL.quantization && prediction.placement !== 'none');
+    const largestIndex = REFERENCE_PARAMETERS.indexOf(Math.max(0, ...fitting.map(prediction => prediction.parameterCount)));
+    const capacityScore = ((largestIndex + 1) / REFERENCE_PARAMETERS.length) * 100;
+
+    return Math.round(speedScore * 0.7 + capacityScore * 0.3);
+  }
+
+  async estimate(analysis) {
+    const devices = this.describeDevices(analysis);
+    const calibration = await this.calibrate(analysis, devices);
+
+    const predictions = [];
+    REFERENCE_PARAMETERS.forEach(parameterCount => {
+      REFERENCE_QUANTIZATIONS.forEach(quantization => {
+        const sizeGB = this.recommender.estimateWeightsGB(parameterCount, quantization);
+        predictions.push({
+          parameterCount,
+          parameterSize: `${parameterCount / 1e9}B`,
+          quantization,
+          sizeGB: Number(sizeGB.toFixed(2)),
+          ...this.predict(sizeGB, devices, calibration.factor)
+        });
+      });
+    });
+
+    return {
+      inferenceScore: this.calculateInferenceScore(predictions),
+      details: {
+        backend: devices.backend,
+        memoryBandwidthGBs: devices.memoryBandwidthGBs,
+        memoryBandwidthDetail: devices.memoryBandwidthDetail,
+        cpuBandwidthGBs: devices.cpuBandwidthGBs,
+        gpuBandwidthGBs: devices.gpuBandwidthGBs,
+        assumptions: devices.assumptions,
+        calibration,
+        predictions
+      }
+    };
+  }
+}
+
+InferenceEstimator.REFERENCE_PARAMETERS = REFERENCE_PARAMETERS;
+InferenceEstimator.REFERENCE_QUANTIZATIONS = REFERENCE_QUANTIZATIONS;
+
+module.exports = InferenceEstimator;
@@ -0,0 +1,157 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const AbortController = require('./abort-controller');
+const logger = require('./logger');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAX_FINISHED_JOBS = 100;
+
+class JobManager extends EventEmitter {
+  // concurrency maps a job type to how many may run at once; unlisted types are unlimited.
+  // groups maps job types to a shared queue, whose limit is then concurrency[group].
+  constructor(options = {}) {
+    super();
+    this.concurrency = options.concurrency || {};
+    this.groups = options.groups || {};
+    this.progressIntervalMs = options.progressIntervalMs || 250;
+    this.jobs = new Map();
+    this.queues = new Map();
+    this.running = new Map();
+  }
+
+  create(type, params, runner) {
+    const job = {
+      id: `${type}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      type,
+      params,
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    // Internal state stays off the job object so it can be serialized as-is
+    Object.defineProperty(job, 'internal', {
+      enumerable: false,
+      value: { runner, controller: new AbortController(), lastProgressEmit: 0, waiters: [] }
+    });
+
+    const queueKey = this.queueKey(type);
+    this.jobs.set(job.id, job);
+    if (!this.queues.has(queueKey)) this.queues.set(queueKey, []);
+    this.queues.get(queueKey).push(job);
+
+    logger.info(`🗂️ Job ${job.id} queued`);
+    this.emitUpdate(job);
+    this.processQueue(queueKey);
+    return job;
+  }
+
+  queueKey(type) {
+    return this.groups[type] || type;
+  }
+
+  processQueue(queueKey) {
+    const queue = this.queues.get(queueKey) || [];
+    const limit = this.concurrency[queueKey] || Infinity;
+
+    while (queue.length > 0 && (this.running.get(queueKey) || 0) < limit) {
+      this.execute(queue.shift());
+    }
+  }
+
+  async execute(job) {
+    const { runner, controller } = job.internal;
+    const queueKey = this.queueKey(job.type);
+    this.running.set(queueKey, (this.running.get(queueKey) || 0) + 1);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emitUpdate(job);
+
+    try {
+      job.result = await runner({
+        signal: controller.signal,
+        updateProgress: (progress) => this.updateProgress(job, progress)
+      });
+      job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+      job.error = controller.signal.aborted ? 'Cancelled' : error.message;
+    }
+
+    this.running.set(queueKey, this.running.get(queueKey) - 1);
+    this.finish(job);
+    this.processQueue(queueKey);
+  }
+
+  updateProgress(job, progress) {
+    job.progress = progress;
+
+    const now = Date.now();
+    if (now - job.internal.lastProgressEmit >= this.progressIntervalMs) {
+      job.internal.lastProgressEmit = now;
+      this.emitUpdate(job);
+    }
+  }
+
+  finish(job) {
+    job.finishedAt = new Date().toISOString();
+    logger.info(`🗂️ Job ${job.id} ${job.status}`);
+    this.emitUpdate(job);
+
+    job.internal.waiters.forEach(resolve => resolve(job));
+    job.internal.waiters.length = 0;
+    this.pruneFinished();
+  }
+
+  pruneFinished() {
+    const finished = Array.from(this.jobs.values()).filter(job => FINISHED_STATUSES.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this.jobs.delete(job.id));
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) return job;
+
+    if (job.status === 'queued') {
+      const queue = this.queues.get(this.queueKey(job.type));
+      queue.splice(queue.indexOf(job), 1);
+      job.status = 'cancelled';
+      job.error = 'Cancelled';
+      this.finish(job);
+    } else {
+      // The runner sees the aborted signal, its Ollama request fails and execute() records the cancellation
+      job.internal.controller.abort();
+    }
+    return job;
+  }
+
+  wait(id) {
+    const job = this.jobs.get(id);
+    if (!job) return Promise.resolve(null);
+    if (FINISHED_STATUSES.includes(job.status)) return Promise.resolve(job);
+    return new Promise(resolve => job.internal.waiters.push(resolve));
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list(filters = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!filters.status || job.status === filters.status) && (!filters.type || job.type === filters.type))
+      .reverse();
+  }
+
+  emitUpdate(job) {
+    this.emit('update', job);
+  }
+}
+
+JobManager.FINISHED_STATUSES = FINISHED_STATUSES;
+
+module.exports = JobManager;
@@ -0,0 +1,139 @@
+// The JSON Schema keywords `eval` suites can use. Anything else is rejected when the suite is loaded
+// instead of being silently ignored, so a schema never passes because a keyword was skipped.
+const SUPPORTED_KEYWORDS = [
+  'type', 'enum', 'const',
+  'properties', 'required', 'additionalProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'anyOf', 'oneOf', 'allOf', 'not'
+];
+const ANNOTATIONS = ['$schema', '$id', 'title', 'description', 'default', 'examples', '$comment'];
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+class JsonSchemaValidator {
+  // Throws on keywords or types the validator does not understand
+  checkSchema(schema, location = '#') {
+    if (typeof schema === 'boolean') return;
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new Error(`${location}: a schema must be an object or a boolean`);
+    }
+
+    Object.keys(schema).forEach(keyword => {
+      if (!SUPPORTED_KEYWORDS.includes(keyword) && !ANNOTATIONS.includes(keyword)) {
+        throw new Error(`${location}: unsupported JSON Schema keyword "${keyword}"`);
+      }
+    });
+    [].concat(schema.type || []).forEach(type => {
+      if (!TYPES.includes(type)) throw new Error(`${location}: unknown type "${type}"`);
+    });
+    if (schema.pattern !== undefined) new RegExp(schema.pattern, 'u');
+
+    Object.entries(schema.properties || {}).forEach(([name, child]) => this.checkSchema(child, `${location}/properties/${name}`));
+    ['items', 'additionalProperties', 'not'].forEach(keyword => {
+      if (schema[keyword] !== undefined) this.checkSchema(schema[keyword], `${location}/${keyword}`);
+    });
+    ['anyOf', 'oneOf', 'allOf'].forEach(keyword => {
+      (schema[keyword] || []).forEach((child, index) => this.checkSchema(child, `${location}/${keyword}/${index}`));
+    });
+  }
+
+  // Returns a list of "path: problem" strings; empty when the value matches
+  validate(schema, value, location = '$') {
+    if (schema === true) return [];
+    if (schema === false) return [`${location}: no value is allowed here`];
+
+    const errors = [];
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => this.hasType(value, type))) {
+      return [`${location}: expected ${types.join(' or ')}, got ${this.typeOf(value)}`];
+    }
+    if (schema.enum && !schema.enum.some(option => this.equals(option, value))) {
+      errors.push(`${location}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && !this.equals(schema.const, value)) {
+      errors.push(`${location}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') this.validateString(schema, value, location, errors);
+    if (typeof value === 'number') this.validateNumber(schema, value, location, errors);
+    if (Array.isArray(value)) this.validateArray(schema, value, location, errors);
+    if (this.typeOf(value) === 'object') this.validateObject(schema, value, location, errors);
+
+    if (schema.allOf) {
+      schema.allOf.forEach(child => errors.push(...this.validate(child, value, location)));
+    }
+    if (schema.anyOf && !schema.anyOf.some(child => this.validate(child, value, location).length === 0)) {
+      errors.push(`${location}: does not match any of the anyOf schemas`);
+    }
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(child => this.validate(child, value, location).length === 0).length;
+      if (matches !== 1) errors.push(`${location}: matches ${matches} of the oneOf schemas instead of exactly one`);
+    }
+    if (schema.not !== undefined && this.validate(schema.not, value, location).length === 0) {
+      errors.push(`${location}: must not match the "not" schema`);
+    }
+    return errors;
+  }
+
+  validateString(schema, value, location, errors) {
+    const length = Array.from(value).length;
+    if (schema.minLength !== undefined && length < schema.minLength) errors.push(`${location}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(`${location}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${location}: does not match /${schema.pattern}/`);
+  }
+
+  validateNumber(schema, value, location, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${location}: less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${location}: greater than ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${location}: not greater than ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${location}: not less than ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) errors.push(`${location}: not a multiple of ${schema.multipleOf}`);
+  }
+
+  validateArray(schema, value, location, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${location}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${location}: more than ${schema.maxItems} items`);
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => this.equals(other, item)) !== index)) {
+      errors.push(`${location}: items are not unique`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => errors.push(...this.validate(schema.items, item, `${location}[${index}]`)));
+    }
+  }
+
+  validateObject(schema, value, location, errors) {
+    (schema.required || []).forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) errors.push(`${location}: missing required property "${name}"`);
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([name, child]) => {
+      if (properties[name] !== undefined) {
+        errors.push(...this.validate(properties[name], child, `${location}.${name}`));
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...this.validate(schema.additionalProperties, child, `${location}.${name}`));
+      }
+    });
+  }
+
+  hasType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return this.typeOf(value) === type;
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  equals(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+JsonSchemaValidator.SUPPORTED_KEYWORDS = SUPPORTED_KEYWORDS;
+
+module.exports = JsonSchemaValidator;
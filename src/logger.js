@@ -0,0 +1,13 @@
+const { getConfig, LOG_LEVELS } = require('./config');
+
+// Log calls go through here so the configured logLevel applies to every component
+function isEnabled(level) {
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(getConfig().get('logLevel'));
+}
+
+module.exports = {
+  error: (...args) => isEnabled('error') && console.error(...args),
+  warn: (...args) => isEnabled('warn') && console.warn(...args),
+  info: (...args) => isEnabled('info') && console.log(...args),
+  debug: (...args) => isEnabled('debug') && console.log(...args)
+};
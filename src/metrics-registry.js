@@ -0,0 +1,79 @@
+// Minimal Prometheus text exposition format (version 0.0.4) registry
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+class MetricsRegistry {
+  constructor(prefix = 'ollama_compass_') {
+    this.prefix = prefix;
+    this.families = new Map();
+  }
+
+  define(name, type, help) {
+    const fullName = this.prefix + name;
+    if (!this.families.has(fullName)) {
+      this.families.set(fullName, { name: fullName, type, help, samples: new Map() });
+    }
+    return this;
+  }
+
+  counter(name, help) {
+    return this.define(name, 'counter', help);
+  }
+
+  gauge(name, help) {
+    return this.define(name, 'gauge', help);
+  }
+
+  getFamily(name) {
+    const family = this.families.get(this.prefix + name);
+    if (!family) {
+      throw new Error(`Metric ${this.prefix + name} is not defined`);
+    }
+    return family;
+  }
+
+  inc(name, labels = {}, value = 1) {
+    const family = this.getFamily(name);
+    const key = this.labelKey(labels);
+    const sample = family.samples.get(key);
+    family.samples.set(key, { labels, value: (sample ? sample.value : 0) + value });
+  }
+
+  set(name, labels = {}, value) {
+    if (value === null || value === undefined || Number.isNaN(value)) return;
+    this.getFamily(name).samples.set(this.labelKey(labels), { labels, value });
+  }
+
+  // Gauges keyed by model or device are cleared before each scrape so stale series disappear
+  clear(name) {
+    this.getFamily(name).samples.clear();
+  }
+
+  labelKey(labels) {
+    return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join(',');
+  }
+
+  escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  }
+
+  formatLabels(labels) {
+    const pairs = Object.keys(labels).map(key => `${key}="${this.escapeLabelValue(labels[key])}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  render() {
+    const lines = [];
+    this.families.forEach(family => {
+      lines.push(`# HELP ${family.name} ${family.help}`);
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      family.samples.forEach(sample => {
+        lines.push(`${family.name}${this.formatLabels(sample.labels)} ${sample.value}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = CONTENT_TYPE;
+
+module.exports = MetricsRegistry;
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DEFAULT_OPTIONS = {
+  iterations: 3,
+  warmup: 1,
+  promptLength: 64,
+  numCtx: 2048,
+  numPredict: 128
+};
+
+// ~13 tokens per sentence for common BPE tokenizers
+const FILLER_SENTENCE = 'The quick brown fox jumps over the lazy dog near the river bank. ';
+const TOKENS_PER_FILLER_SENTENCE = 13;
+
+// A run that evaluates less than this share of the expected prompt tokens was served from Ollama's prompt cache
+const MIN_PROMPT_EVAL_RATIO = 0.5;
+
+const NS_PER_MS = 1e6;
+const NS_PER_SECOND = 1e9;
+
+class ModelBenchmark {
+  constructor(ollamaMonitor) {
+    this.ollamaMonitor = ollamaMonitor;
+  }
+
+  normalizeOptions(options = {}) {
+    const normalized = { ...DEFAULT_OPTIONS };
+
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+      if (options[key] === undefined || options[key] === null || options[key] === '') continue;
+
+      const value = Number(options[key]);
+      const minimum = key === 'warmup' ? 0 : 1;
+      if (!Number.isInteger(value) || value < minimum) {
+        throw new Error(`Invalid benchmark option ${key}: expected an integer >= ${minimum}, got "${options[key]}"`);
+      }
+      normalized[key] = value;
+    }
+
+    normalized.prompt = options.prompt || this.buildPrompt(normalized.promptLength);
+    return normalized;
+  }
+
+  buildPrompt(promptLength) {
+    const repeats = Math.max(1, Math.round(promptLength / TOKENS_PER_FILLER_SENTENCE));
+    return `${FILLER_SENTENCE.repeat(repeats)}\nSummarize the text above in a few sentences.`;
+  }
+
+  // Ollama reuses the KV cache for a prompt prefix it has already seen, so repeating the same prompt
+  // would only time a handful of tokens. A unique first line makes every run evaluate the whole prompt.
+  uniquePrompt(prompt) {
+    return `Run ${crypto.randomBytes(4).toString('hex')}.\n${prompt}`;
+  }
+
+  // Throws when Ollama evaluated far fewer prompt tokens than the run sent; expectedTokens is an estimate
+  checkPromptEvaluated(result, expectedTokens) {
+    if (!expectedTokens || result.promptTokens >= expectedTokens * MIN_PROMPT_EVAL_RATIO) return;
+    throw new Error(`Ollama evaluated only ${result.promptTokens} of about ${expectedTokens} prompt tokens; ` +
+      'the prompt was probably truncated or served from cache, so prompt tokens/sec would be wrong');
+  }
+
+  async runIteration(modelName, options, signal) {
+    const startTime = process.hrtime.bigint();
+    let firstTokenTime = null;
+    let response = '';
+
+    const final = await this.ollamaMonitor.streamRequest('/api/generate', {
+      model: modelName,
+      prompt: options.prompt,
+      stream: true,
+      options: {
+        num_ctx: options.numCtx,
+        num_predict: options.numPredict,
+        temperature: 0,
+        seed: 42
+      }
+    }, (event) => {
+      if (firstTokenTime === null && event.response) {
+        firstTokenTime = process.hrtime.bigint();
+      }
+      response += event.response || '';
+    }, { signal });
+
+    if (!final || !final.done) {
+      throw new Error('Ollama closed the stream before the generation finished');
+    }
+
+    const endTime = process.hrtime.bigint();
+
+    return {
+      promptTokens: final.prompt_eval_count || 0,
+      generatedTokens: final.eval_count || 0,
+      promptTokensPerSecond: this.tokensPerSecond(final.prompt_eval_count, final.prompt_eval_duration),
+      generationTokensPerSecond: this.tokensPerSecond(final.eval_count, final.eval_duration),
+      timeToFirstTokenMs: firstTokenTime !== null ? Number(firstTokenTime - startTime) / NS_PER_MS : null,
+      loadDurationMs: (final.load_duration || 0) / NS_PER_MS,
+      totalDurationMs: Number(endTime - startTime) / NS_PER_MS,
+      response
+    };
+  }
+
+  async run(modelName, options = {}, onProgress) {
+    const settings = this.normalizeOptions(options);
+    logger.info(`⏱️ Benchmarking ${modelName} (${settings.warmup} warmup + ${settings.iterations} measured runs)`);
+
+    const startedAt = new Date().toISOString();
+    const totalRuns = settings.warmup + settings.iterations;
+    const warmupRuns = [];
+    const runs = [];
+
+    try {
+      for (let index = 0; index < totalRuns; index++) {
+        const isWarmup = index < settings.warmup;
+        if (onProgress) {
+          onProgress({ model: modelName, run: index + 1, totalRuns, warmup: isWarmup });
+        }
+
+        const result = await this.runIteration(modelName, { ...settings, prompt: this.uniquePrompt(settings.prompt) }, options.signal);
+        // A custom prompt's token count is unknown up front, so later runs are held to the first one
+        const firstRun = warmupRuns[0] || runs[0];
+        const expectedTokens = options.prompt
+          ? firstRun?.promptTokens
+          : Math.min(settings.promptLength, settings.numCtx);
+        this.checkPromptEvaluated(result, expectedTokens);
+        (isWarmup ? warmupRuns : runs).push(result);
+      }
+    } catch (error) {
+      logger.error(`❌ Benchmark failed for ${modelName}:`, error.message);
+      return {
+        success: false,
+        model: modelName,
+        error: error.message
+      };
+    }
+
+    return {
+      success: true,
+      model: modelName,
+      parameters: {
+        iterations: settings.iterations,
+        warmup: settings.warmup,
+        promptLength: settings.promptLength,
+        numCtx: settings.numCtx,
+        numPredict: settings.numPredict,
+        customPrompt: Boolean(options.prompt)
+      },
+      // The first call usually pays the model load; later runs hit a warm model
+      coldLoadMs: this.round((warmupRuns[0] || runs[0]).loadDurationMs),
+      summary: {
+        promptTokensPerSecond: this.summarize(runs.map(run => run.promptTokensPerSecond)),
+        generationTokensPerSecond: this.summarize(runs.map(run => run.generationTokensPerSecond)),
+        timeToFirstTokenMs: this.summarize(runs.map(run => run.timeToFirstTokenMs)),
+        loadDurationMs: this.summarize(runs.map(run => run.loadDurationMs))
+      },
+      // Generated text is only needed by model comparisons; keep it out of the benchmark history
+      runs: runs.map(({ response, ...run }) => this.roundValues(run)),
+      startedAt,
+      completedAt: new Date().toISOString()
+    };
+  }
+
+  tokensPerSecond(count, durationNs) {
+    if (!count || !durationNs) return null;
+    return count / (durationNs / NS_PER_SECOND);
+  }
+
+  summarize(values) {
+    const sorted = values.filter(value => value !== null && !Number.isNaN(value)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+      return { mean: null, median: null, p95: null, min: null, max: null };
+    }
+
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    // Nearest-rank percentile
+    const p95 = sorted[Math.min(sorted.length - 1, Math.ceil(0.95 * sorted.length) - 1)];
+
+    return {
+      mean: this.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      median: this.round(median),
+      p95: this.round(p95),
+      min: this.round(sorted[0]),
+      max: this.round(sorted[sorted.length - 1])
+    };
+  }
+
+  round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+  }
+
+  roundValues(run) {
+    const rounded = {};
+    for (const [key, value] of Object.entries(run)) {
+      rounded[key] = typeof value === 'number' ? this.round(value) : value;
+    }
+    return rounded;
+  }
+}
+
+module.exports = ModelBenchmark;
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const ModelBenchmark = require('./model-benchmark');
+const logger = require('./logger');
+
+const DEFAULT_OPTIONS = {
+  numCtx: 2048,
+  numPredict: 256
+};
+const DEFAULT_PROMPT = 'Explain in a short paragraph why the sky is blue.';
+const SAMPLE_INTERVAL_MS = 1000;
+const UNLOAD_POLL_MS = 250;
+const UNLOAD_TIMEOUT_MS = 15000;
+
+// Runs the same prompts against several models one after the other. Every loaded model is unloaded
+// before the next one starts, so each gets the memory to itself and pays its own cold load.
+class ModelComparison {
+  // hardwareDetector is optional; without it (e.g. for a remote host) peak memory is not sampled
+  constructor(ollamaMonitor, hardwareDetector = null) {
+    this.ollamaMonitor = ollamaMonitor;
+    this.hardwareDetector = hardwareDetector;
+    this.modelBenchmark = new ModelBenchmark(ollamaMonitor);
+  }
+
+  normalizeOptions(options = {}) {
+    const models = options.models;
+    if (!Array.isArray(models) || models.length < 2 || !models.every(model => typeof model === 'string' && model.trim())) {
+      throw new Error('At least two model names are required');
+    }
+    if (new Set(models).size !== models.length) {
+      throw new Error('Each model can only be compared once');
+    }
+
+    const prompts = options.prompts === undefined || options.prompts === null ? [DEFAULT_PROMPT] : options.prompts;
+    if (!Array.isArray(prompts) || prompts.length === 0 || !prompts.every(prompt => typeof prompt === 'string' && prompt.trim())) {
+      throw new Error('Prompts must be a non-empty list of non-empty strings');
+    }
+
+    const normalized = { models, prompts, unload: options.unload !== false };
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+      const value = options[key] === undefined || options[key] === null || options[key] === '' ? DEFAULT_OPTIONS[key] : Number(options[key]);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid comparison option ${key}: expected an integer >= 1, got "${options[key]}"`);
+      }
+      normalized[key] = value;
+    }
+    return normalized;
+  }
+
+  // A JSON array of strings (or { "prompts": [...] }), otherwise blank-line separated text
+  async readPromptFile(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    if (path.extname(filePath).toLowerCase() === '.json') {
+      const parsed = JSON.parse(content);
+      return Array.isArray(parsed) ? parsed : parsed.prompts;
+    }
+    return content.split(/\r?\n\s*\r?\n/).map(prompt => prompt.trim()).filter(Boolean);
+  }
+
+  async run(options, onProgress, signal) {
+    const settings = this.normalizeOptions(options);
+    logger.info(`⚖️ Comparing ${settings.models.join(', ')} on ${settings.prompts.length} prompt(s)`);
+
+    const startedAt = new Date().toISOString();
+    const results = [];
+    for (let index = 0; index < settings.models.length; index++) {
+      if (signal?.aborted) throw new Error('Request cancelled');
+      results.push(await this.runModel(settings.models[index], index, settings, onProgress, signal));
+    }
+
+    return {
+      success: results.some(result => result.success),
+      host: this.ollamaMonitor.name,
+      prompts: settings.prompts,
+      parameters: { numCtx: settings.numCtx, numPredict: settings.numPredict, unloadBetweenModels: settings.unload },
+      results,
+      startedAt,
+      completedAt: new Date().toISOString()
+    };
+  }
+
+  // A model that fails (not installed, out of memory) is reported and the comparison moves on
+  async runModel(model, modelIndex, settings, onProgress, signal) {
+    const sampler = this.createSampler();
+    try {
+      if (settings.unload) await this.unloadEverything();
+      await sampler.start();
+
+      const runs = [];
+      let loaded = null;
+      for (let promptIndex = 0; promptIndex < settings.prompts.length; promptIndex++) {
+        if (onProgress) {
+          onProgress({
+            model,
+            modelIndex: modelIndex + 1,
+            totalModels: settings.models.length,
+            prompt: promptIndex + 1,
+            totalPrompts: settings.prompts.length
+          });
+        }
+
+        runs.push(await this.modelBenchmark.runIteration(model, {
+          prompt: settings.prompts[promptIndex],
+          numCtx: settings.numCtx,
+          numPredict: settings.numPredict
+        }, signal));
+
+        // How Ollama placed the model, read while it is certainly loaded
+        if (!loaded) {
+          const running = await this.ollamaMonitor.getRunningModels();
+          loaded = running.models.find(entry => entry.name === model || entry.name === `${model}:latest`) || null;
+        }
+      }
+
+      const memory = await sampler.stop();
+      const summarize = key => this.modelBenchmark.summarize(runs.map(run => run[key]));
+      return {
+        success: true,
+        model,
+        // The first prompt pays the cold load, later ones hit a warm model
+        loadDurationMs: this.modelBenchmark.round(runs[0].loadDurationMs),
+        timeToFirstTokenMs: summarize('timeToFirstTokenMs'),
+        generationTokensPerSecond: summarize('generationTokensPerSecond'),
+        promptTokensPerSecond: summarize('promptTokensPerSecond'),
+        ollama: loaded ? { sizeBytes: loaded.sizeBytes, vramBytes: loaded.vramBytes, processor: loaded.processor } : null,
+        memory,
+        responses: runs.map(run => run.response),
+        runs: runs.map(({ response, ...run }) => this.modelBenchmark.roundValues(run))
+      };
+    } catch (error) {
+      await sampler.stop();
+      if (signal?.aborted) throw error;
+      logger.error(`❌ Comparison run failed for ${model}:`, error.message);
+      return { success: false, model, error: error.message };
+    }
+  }
+
+  // Ollama unloads asynchronously, so wait until /api/ps is empty before measuring the next model
+  async unloadEverything() {
+    const result = await this.ollamaMonitor.unloadAll();
+    if (result.error) throw new Error(`Could not unload models: ${result.error}`);
+
+    const deadline = Date.now() + UNLOAD_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const running = await this.ollamaMonitor.getRunningModels();
+      if (!running.success || running.models.length === 0) return;
+      await new Promise(resolve => setTimeout(resolve, UNLOAD_POLL_MS));
+    }
+    logger.warn('Models were still loaded after unloading; memory readings may overlap');
+  }
+
+  // Peak host memory and GPU memory while one model runs, next to the readings just before it loaded
+  createSampler() {
+    const detector = this.hardwareDetector;
+    let timer = null;
+    let pending = null;
+    let baseline = null;
+    let peak = null;
+
+    const read = async () => {
+      const stats = await detector.getRealtimeStats();
+      if (!stats) return null;
+      const gpus = (stats.gpu || []).filter(gpu => gpu.memoryUsedMB !== null && gpu.memoryUsedMB !== undefined);
+      return {
+        memoryBytes: stats.memory.usedBytes,
+        vramBytes: gpus.length > 0 ? gpus.reduce((sum, gpu) => sum + gpu.memoryUsedMB * 1024 * 1024, 0) : null
+      };
+    };
+
+    const sample = async () => {
+      const reading = await read();
+      if (!reading) return;
+      peak = peak || { ...reading };
+      peak.memoryBytes = Math.max(peak.memoryBytes, reading.memoryBytes);
+      if (reading.vramBytes !== null) peak.vramBytes = Math.max(peak.vramBytes || 0, reading.vramBytes);
+    };
+
+    return {
+      start: async () => {
+        if (!detector) return;
+        baseline = await read();
+        timer = setInterval(() => {
+          if (!pending) pending = sample().finally(() => { pending = null; });
+        }, SAMPLE_INTERVAL_MS);
+      },
+      stop: async () => {
+        if (!detector) return null;
+        clearInterval(timer);
+        await pending;
+        await sample();
+        if (!baseline || !peak) return null;
+        return {
+          baselineMemoryBytes: baseline.memoryBytes,
+          peakMemoryBytes: peak.memoryBytes,
+          baselineVramBytes: baseline.vramBytes,
+          peakVramBytes: peak.vramBytes
+        };
+      }
+    };
+  }
+
+  toMarkdown(comparison) {
+    const cell = value => (value === null || value === undefined ? '–' : String(value).replace(/\|/g, '\\|'));
+    const gb = bytes => (bytes === null || bytes === undefined ? null : `${(bytes / (1024 ** 3)).toFixed(1)} GB`);
+    const lines = [
+      '# Model comparison',
+      '',
+      `- Date: ${comparison.completedAt}`,
+      `- Ollama host: ${comparison.host}`,
+      `- Prompts: ${comparison.prompts.length}, num_ctx ${comparison.parameters.numCtx}, num_predict ${comparison.parameters.numPredict}`,
+      '',
+      '| Model | Load (ms) | TTFT median (ms) | Generation median (tok/s) | Prompt median (tok/s) | Peak RAM | Peak VRAM | Ollama size | Processor |',
+      '|-------|----------:|-----------------:|--------------------------:|----------------------:|---------:|----------:|------------:|-----------|'
+    ];
+
+    comparison.results.forEach(result => {
+      if (!result.success) {
+        lines.push(`| ${cell(result.model)} | Failed: ${cell(result.error)} | | | | | | | |`);
+        return;
+      }
+      lines.push(`| ${[
+        result.model,
+        result.loadDurationMs,
+        result.timeToFirstTokenMs.median,
+        result.generationTokensPerSecond.median,
+        result.promptTokensPerSecond.median,
+        gb(result.memory?.peakMemoryBytes),
+        gb(result.memory?.peakVramBytes),
+        gb(result.ollama?.sizeBytes),
+        result.ollama?.processor
+      ].map(cell).join(' | ')} |`);
+    });
+
+    comparison.prompts.forEach((prompt, index) => {
+      lines.push('', `## Prompt ${index + 1}`, '', ...prompt.split('\n').map(line => `> ${line}`));
+      comparison.results.filter(result => result.success).forEach(result => {
+        lines.push('', `### ${result.model}`, '', result.responses[index].trim() || '_(empty response)_');
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+ModelComparison.DEFAULT_PROMPT = DEFAULT_PROMPT;
+
+module.exports = ModelComparison;
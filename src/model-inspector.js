@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const GGUFReader = require('./gguf-reader');
+const { getOllamaModelsDir } = require('./paths');
+const { getConfig } = require('./config');
+
+const DEFAULT_REGISTRY = 'registry.ollama.ai';
+const DEFAULT_NAMESPACE = 'library';
+const DEFAULT_TAG = 'latest';
+
+const MEDIA_TYPES = {
+  model: 'application/vnd.ollama.image.model',
+  projector: 'application/vnd.ollama.image.projector',
+  adapter: 'application/vnd.ollama.image.adapter',
+  license: 'application/vnd.ollama.image.license'
+};
+
+// Reads installed models straight from Ollama's models directory, so it works while Ollama is down
+class ModelInspector {
+  constructor(config = getConfig()) {
+    this.modelsDir = config.get('ollamaModelsDir') || getOllamaModelsDir();
+  }
+
+  // "llama3", "user/model:tag" and "hf.co/org/repo:Q4_K_M" all map onto manifests/<registry>/<namespace>/<model>/<tag>
+  parseName(name) {
+    const slash = name.lastIndexOf('/');
+    const colon = name.lastIndexOf(':');
+    const hasTag = colon > slash;
+    const parts = (hasTag ? name.slice(0, colon) : name).split('/');
+    const tag = hasTag ? name.slice(colon + 1) : DEFAULT_TAG;
+
+    // The name ends up in a file path, so keep it inside the models directory
+    if ([...parts, tag].some(part => !part || part === '.' || part === '..' || part.includes('\\'))) {
+      throw new Error(`Invalid model name "${name}"`);
+    }
+
+    const model = parts.pop();
+    const namespace = parts.pop() || DEFAULT_NAMESPACE;
+    return {
+      registry: parts.join('/') || DEFAULT_REGISTRY,
+      namespace,
+      model,
+      tag
+    };
+  }
+
+  // Inverse of parseName, using the short form Ollama prints for the default registry
+  formatName({ registry, namespace, model, tag }) {
+    const prefix = registry === DEFAULT_REGISTRY
+      ? (namespace === DEFAULT_NAMESPACE ? '' : `${namespace}/`)
+      : `${registry}/${namespace}/`;
+    return `${prefix}${model}:${tag}`;
+  }
+
+  getManifestPath(name) {
+    const { registry, namespace, model, tag } = this.parseName(name);
+    return path.join(this.modelsDir, 'manifests', registry, namespace, model, tag);
+  }
+
+  getBlobPath(digest) {
+    return path.join(this.modelsDir, 'blobs', digest.replace(':', '-'));
+  }
+
+  async readManifest(name) {
+    const manifestPath = this.getManifestPath(name);
+    try {
+      return JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read manifest for ${name}: ${error.message}`);
+    }
+  }
+
+  async readLicense(manifest) {
+    const layers = manifest.layers.filter(layer => layer.mediaType === MEDIA_TYPES.license);
+    const texts = await Promise.all(layers.map(layer => fs.promises.readFile(this.getBlobPath(layer.digest), 'utf8')));
+    return texts.length > 0 ? texts.join('\n\n') : null;
+  }
+
+  // Returns null when the model is not installed in this models directory
+  async inspect(name) {
+    const manifest = await this.readManifest(name);
+    if (!manifest) return null;
+
+    const modelLayer = manifest.layers.find(layer => layer.mediaType === MEDIA_TYPES.model);
+    if (!modelLayer) {
+      throw new Error(`The manifest for ${name} has no model layer`);
+    }
+
+    const gguf = await new GGUFReader(this.getBlobPath(modelLayer.digest)).read();
+    const licenseText = await this.readLicense(manifest);
+    return this.describe(name, manifest, modelLayer, gguf, licenseText);
+  }
+
+  describe(name, manifest, modelLayer, gguf, licenseText) {
+    const { metadata, tensors } = gguf;
+    const architecture = metadata['general.architecture'] || null;
+    const archValue = (key) => this.firstValue(metadata[`${architecture}.${key}`]);
+
+    const headCount = archValue('attention.head_count');
+    const headCountKv = archValue('attention.head_count_kv') ?? headCount;
+    const embeddingLength = archValue('embedding_length');
+    const blockCount = archValue('block_count');
+    const keyLength = archValue('attention.key_length') ?? (embeddingLength && headCount ? embeddingLength / headCount : null);
+    const valueLength = archValue('attention.value_length') ?? keyLength;
+    const contextLength = archValue('context_length');
+
+    // Ollama's default cache holds K and V as f16 for every layer
+    const kvCacheBytesPerToken = blockCount && headCountKv && keyLength
+      ? blockCount * headCountKv * (keyLength + valueLength) * 2
+      : null;
+
+    return {
+      model: name,
+      digest: modelLayer.digest,
+      fileBytes: modelLayer.size,
+      ggufVersion: gguf.version,
+      name: metadata['general.name'] || null,
+      architecture,
+      parameterCount: tensors.reduce((sum, tensor) => sum + tensor.elements, 0),
+      fileType: GGUFReader.FILE_TYPES[metadata['general.file_type']] || null,
+      contextLength,
+      embeddingLength,
+      blockCount,
+      headCount,
+      headCountKv,
+      expertCount: archValue('expert_count'),
+      expertUsedCount: archValue('expert_used_count'),
+      tokenizer: {
+        model: metadata['tokenizer.ggml.model'] || null,
+        pre: metadata['tokenizer.ggml.pre'] || null,
+        vocabSize: metadata['tokenizer.ggml.tokens']?.length ?? null
+      },
+      license: {
+        name: metadata['general.license'] || null,
+        text: licenseText
+      },
+      hasProjector: manifest.layers.some(layer => layer.mediaType === MEDIA_TYPES.projector),
+      hasAdapter: manifest.layers.some(layer => layer.mediaType === MEDIA_TYPES.adapter),
+      memory: {
+        weightsBytes: tensors.reduce((sum, tensor) => sum + (tensor.bytes || 0), 0),
+        kvCacheBytesPerToken,
+        kvCacheBytesAtContextLength: kvCacheBytesPerToken && contextLength ? kvCacheBytesPerToken * contextLength : null
+      },
+      tensorCount: tensors.length,
+      tensorGroups: this.groupTensors(tensors)
+    };
+  }
+
+  // Some architectures store per-layer arrays (e.g. head counts); the first layer stands in for the model
+  firstValue(value) {
+    if (value === undefined) return null;
+    return Array.isArray(value) ? (value[0] ?? null) : value;
+  }
+
+  // "blk.12.attn_q.weight" and "blk.0.attn_q.bias" both belong to the "attn_q" group
+  groupTensors(tensors) {
+    const groups = new Map();
+    tensors.forEach(tensor => {
+      const group = tensor.name.replace(/^blk\.\d+\./, '').replace(/\.(weight|bias)$/, '');
+      if (!groups.has(group)) {
+        groups.set(group, { group, tensorCount: 0, parameterCount: 0, bytes: 0, types: {} });
+      }
+
+      const entry = groups.get(group);
+      entry.tensorCount++;
+      entry.parameterCount += tensor.elements;
+      entry.bytes += tensor.bytes || 0;
+      entry.types[tensor.type] = (entry.types[tensor.type] || 0) + 1;
+    });
+
+    return Array.from(groups.values()).sort((a, b) => b.bytes - a.bytes);
+  }
+}
+
+module.exports = ModelInspector;
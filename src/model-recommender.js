@@ -0,0 +1,291 @@
+const logger = require('./logger');
+
+// Approximate bits per weight for the GGUF quantizations Ollama ships
+const QUANT_BITS_PER_WEIGHT = {
+  Q2_K: 2.63,
+  Q3_K_S: 3.5,
+  Q3_K_M: 3.91,
+  Q3_K_L: 4.27,
+  Q4_0: 4.55,
+  Q4_1: 5.0,
+  Q4_K_S: 4.58,
+  Q4_K_M: 4.85,
+  Q5_0: 5.54,
+  Q5_1: 6.0,
+  Q5_K_S: 5.54,
+  Q5_K_M: 5.69,
+  Q6_K: 6.59,
+  Q8_0: 8.5,
+  F16: 16,
+  BF16: 16,
+  F32: 32
+};
+
+const DEFAULT_QUANTIZATION = 'Q4_K_M';
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// Headroom kept free on each device for the OS, display and compute buffers
+const VRAM_HEADROOM = 0.9;
+// Metal only lets the GPU wire roughly 3/4 of unified memory by default
+const APPLE_GPU_MEMORY_SHARE = 0.75;
+
+class ModelRecommender {
+  constructor(ollamaMonitor) {
+    this.ollamaMonitor = ollamaMonitor;
+  }
+
+  async recommend(analysis, modelNames = []) {
+    logger.info('🧭 Building model recommendations...');
+
+    const status = await this.ollamaMonitor.checkOllamaStatus();
+    const installedModels = status.installedModels || [];
+    const names = modelNames.length > 0 ? modelNames : installedModels.map(model => model.name);
+
+    const recommendations = [];
+    for (const name of names) {
+      const installed = installedModels.find(model => model.name === name || model.name === `${name}:latest`);
+      const profile = await this.getModelProfile(name, installed);
+      recommendations.push(this.evaluateFit(profile, analysis));
+    }
+
+    return {
+      hardwareFingerprint: analysis.hardwareFingerprint,
+      hardwareTier: analysis.hardwareTier,
+      resources: this.getAvailableResources(analysis),
+      ollamaReachable: status.isReachable,
+      recommendations,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  async getModelProfile(name, installed) {
+    const profile = {
+      model: name,
+      installed: Boolean(installed),
+      source: 'name',
+      parameterCount: null,
+      parameterSize: null,
+      quantization: null,
+      family: null,
+      contextLength: null,
+      sizeGB: installed?.size ? installed.size / BYTES_PER_GB : null
+    };
+
+    if (installed) {
+      const result = await this.ollamaMonitor.getModelInfo(installed.name);
+      if (result.success) {
+        const { details = {}, model_info: modelInfo = {} } = result.info;
+        profile.source = 'ollama';
+        profile.family = details.family || null;
+        profile.parameterSize = details.parameter_size || null;
+        profile.quantization = (details.quantization_level || '').toUpperCase() || null;
+        profile.parameterCount = modelInfo['general.parameter_count'] || this.parseParameterSize(details.parameter_size);
+
+        const architecture = modelInfo['general.architecture'];
+        if (architecture && modelInfo[`${architecture}.context_length`]) {
+          profile.contextLength = modelInfo[`${architecture}.context_length`];
+        }
+      }
+    }
+
+    if (!profile.parameterCount || !profile.quantization) {
+      const parsed = this.parseModelName(name);
+      profile.parameterCount = profile.parameterCount || parsed.parameterCount;
+      profile.parameterSize = profile.parameterSize || parsed.parameterSize;
+      profile.quantization = profile.quantization || parsed.quantization;
+    }
+
+    if (!profile.sizeGB && profile.parameterCount) {
+      profile.sizeGB = this.estimateWeightsGB(profile.parameterCount, profile.quantization);
+    }
+
+    return profile;
+  }
+
+  parseParameterSize(parameterSize) {
+    if (!parameterSize) return null;
+    const match = String(parameterSize).match(/^(\d+(?:\.\d+)?)\s*([BMK])$/i);
+    if (!match) return null;
+
+    const multipliers = { B: 1e9, M: 1e6, K: 1e3 };
+    return Math.round(parseFloat(match[1]) * multipliers[match[2].toUpperCase()]);
+  }
+
+  parseModelName(name) {
+    const tag = (name.split(':')[1] || '').toLowerCase();
+    const result = { parameterCount: null, parameterSize: null, quantization: null };
+
+    // Mixture-of-experts tags such as "8x7b"
+    const moeMatch = tag.match(/(\d+)x(\d+(?:\.\d+)?)b/);
+    const denseMatch = tag.match(/(?:^|[-_])(\d+(?:\.\d+)?)([bm])(?=$|[-_])/);
+
+    if (moeMatch) {
+      result.parameterCount = Math.round(parseInt(moeMatch[1]) * parseFloat(moeMatch[2]) * 1e9);
+      result.parameterSize = `${moeMatch[1]}x${moeMatch[2]}B`;
+    } else if (denseMatch) {
+      result.parameterSize = `${denseMatch[1]}${denseMatch[2].toUpperCase()}`;
+      result.parameterCount = this.parseParameterSize(result.parameterSize);
+    }
+
+    const quantMatch = tag.match(/(q\d_k_[sml]|q\d_k|q\d_\d|bf16|f16|f32)/);
+    result.quantization = quantMatch ? quantMatch[1].toUpperCase() : DEFAULT_QUANTIZATION;
+
+    return result;
+  }
+
+  estimateWeightsGB(parameterCount, quantization) {
+    const bits = QUANT_BITS_PER_WEIGHT[quantization] || QUANT_BITS_PER_WEIGHT[DEFAULT_QUANTIZATION];
+    return (parameterCount * bits) / 8 / BYTES_PER_GB;
+  }
+
+  estimateRequiredMemoryGB(sizeGB) {
+    // Weights plus KV cache and compute buffers at Ollama's default context
+    return sizeGB * 1.2 + 0.5;
+  }
+
+  // Judges a load against live readings rather than the static analysis, since other models and apps hold memory too
+  async checkLoad(modelName, stats) {
+    const [status, running] = await Promise.all([
+      this.ollamaMonitor.checkOllamaStatus(),
+      this.ollamaMonitor.getRunningModels()
+    ]);
+    const matches = model => model.name === modelName || model.name === `${modelName}:latest`;
+    const result = {
+      model: modelName,
+      alreadyLoaded: running.models.some(matches),
+      requiredGB: null,
+      freeVramGB: null,
+      availableRamGB: null,
+      ramNeededGB: null,
+      willSwap: false,
+      warning: null
+    };
+
+    const installed = (status.installedModels || []).find(matches);
+    if (result.alreadyLoaded || !installed || !stats) return result;
+
+    const profile = await this.getModelProfile(installed.name, installed);
+    const required = this.estimateRequiredMemoryGB(profile.sizeGB);
+
+    // Unified memory GPUs report no VRAM of their own, so the whole model counts against RAM
+    const freeVramBytes = stats.gpu
+      .filter(gpu => gpu.memoryTotalMB && gpu.memoryUsedMB !== null)
+      .reduce((sum, gpu) => sum + (gpu.memoryTotalMB - gpu.memoryUsedMB) * 1024 * 1024, 0);
+    const freeVram = (freeVramBytes / BYTES_PER_GB) * VRAM_HEADROOM;
+    const availableRam = stats.memory.availableBytes / BYTES_PER_GB;
+    const ramNeeded = Math.max(0, required - freeVram);
+
+    result.requiredGB = Number(required.toFixed(2));
+    result.freeVramGB = Number(freeVram.toFixed(2));
+    result.availableRamGB = Number(availableRam.toFixed(2));
+    result.ramNeededGB = Number(ramNeeded.toFixed(2));
+    result.willSwap = ramNeeded > availableRam;
+    if (result.willSwap) {
+      result.warning = `${modelName} needs ~${result.ramNeededGB} GB of system RAM beyond free VRAM, ` +
+        `but only ${result.availableRamGB} GB is available; loading it will likely push the machine into swap`;
+    }
+    return result;
+  }
+
+  getAvailableResources(analysis) {
+    const { gpu, memory, storage } = analysis.hardwareSpecs;
+    const isAppleUnified = gpu.type === 'apple_unified';
+
+    // Ollama spreads layers over every GPU on the same backend; analyses saved before
+    // gpuSummary existed only describe the primary GPU. Container limits and hidden GPUs
+    // (hardwareSpecs.effective) take precedence over the host's figures.
+    const { gpuSummary, effective } = analysis.hardwareSpecs;
+    const vramGB = effective ? effective.usableVramGB : gpuSummary ? gpuSummary.usableVramGB : (gpu.type === 'dedicated' ? gpu.vramGB : 0);
+    const totalMemoryGB = effective ? effective.totalMemoryGB : memory.totalMemoryGB;
+    const availableMemoryGB = effective ? effective.availableMemoryGB : memory.availableMemoryGB;
+
+    let gpuMemoryGB = 0;
+    if (isAppleUnified) {
+      gpuMemoryGB = Math.min(totalMemoryGB * APPLE_GPU_MEMORY_SHARE, availableMemoryGB);
+    } else {
+      gpuMemoryGB = vramGB * VRAM_HEADROOM;
+    }
+
+    return {
+      gpuType: gpu.type,
+      gpuModel: gpu.model,
+      gpuCount: effective ? effective.usableGpuCount : gpuSummary ? gpuSummary.usableCount : (vramGB > 0 ? 1 : 0),
+      vramGB,
+      gpuMemoryGB: Number(gpuMemoryGB.toFixed(1)),
+      systemMemoryGB: availableMemoryGB,
+      unifiedMemory: isAppleUnified,
+      freeStorageGB: storage.availableSpaceGB
+    };
+  }
+
+  evaluateFit(profile, analysis) {
+    const resources = this.getAvailableResources(analysis);
+    const result = {
+      ...profile,
+      sizeGB: profile.sizeGB ? Number(profile.sizeGB.toFixed(2)) : null,
+      requiredMemoryGB: null,
+      fit: 'unknown',
+      gpuOffloadPercent: 0,
+      needsDownloadGB: 0,
+      reason: null
+    };
+
+    if (!profile.sizeGB) {
+      result.reason = 'Could not determine model size; pass a tag such as "llama3:8b"';
+      return result;
+    }
+
+    const required = this.estimateRequiredMemoryGB(profile.sizeGB);
+    result.requiredMemoryGB = Number(required.toFixed(2));
+
+    if (!profile.installed) {
+      result.needsDownloadGB = result.sizeGB;
+      if (profile.sizeGB > resources.freeStorageGB) {
+        result.fit = 'none';
+        result.reason = `Needs ${result.sizeGB} GB of disk space, only ${resources.freeStorageGB} GB free`;
+        return result;
+      }
+    }
+
+    if (resources.unifiedMemory) {
+      if (required <= resources.gpuMemoryGB) {
+        result.fit = 'gpu';
+        result.gpuOffloadPercent = 100;
+        result.reason = 'Fits in GPU-addressable unified memory';
+      } else if (required <= resources.systemMemoryGB) {
+        result.fit = 'cpu';
+        result.reason = 'Exceeds the Metal working set; runs on CPU';
+      } else {
+        result.fit = 'none';
+        result.reason = `Needs ~${result.requiredMemoryGB} GB, only ${resources.systemMemoryGB} GB available`;
+      }
+      return result;
+    }
+
+    if (resources.gpuMemoryGB > 0 && required <= resources.gpuMemoryGB) {
+      result.fit = 'gpu';
+      result.gpuOffloadPercent = 100;
+      result.reason = resources.gpuCount > 1
+        ? `Fits in ${resources.vramGB} GB VRAM across ${resources.gpuCount} GPUs`
+        : `Fits in ${resources.vramGB} GB VRAM`;
+    } else if (resources.gpuMemoryGB > 0 && required <= resources.gpuMemoryGB + resources.systemMemoryGB) {
+      result.fit = 'partial';
+      result.gpuOffloadPercent = Math.floor((resources.gpuMemoryGB / required) * 100);
+      result.reason = `About ${result.gpuOffloadPercent}% of layers on GPU, the rest in system RAM`;
+    } else if (required <= resources.systemMemoryGB) {
+      result.fit = 'cpu';
+      result.reason = resources.gpuMemoryGB > 0 ? 'Too large for VRAM offload; runs on CPU' : 'No usable GPU; runs on CPU';
+    } else {
+      result.fit = 'none';
+      result.reason = `Needs ~${result.requiredMemoryGB} GB, only ${resources.systemMemoryGB} GB RAM available`;
+    }
+
+    return result;
+  }
+}
+
+ModelRecommender.BYTES_PER_GB = BYTES_PER_GB;
+ModelRecommender.VRAM_HEADROOM = VRAM_HEADROOM;
+ModelRecommender.APPLE_GPU_MEMORY_SHARE = APPLE_GPU_MEMORY_SHARE;
+
+module.exports = ModelRecommender;
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const ModelInspector = require('./model-inspector');
+const HardwareDetector = require('./hardware-detector');
+const logger = require('./logger');
+const { getConfig } = require('./config');
+
+const BLOB_PATTERN = /^sha256-([0-9a-f]{64})$/;
+const PARTIAL_PATTERN = /^sha256-([0-9a-f]{64})-partial(-\d+)?$/;
+
+// Ollama writes a pull's blobs before its manifest, and a finished layer can wait a long time for the
+// rest of the pull. Any unreferenced file changed this recently means a pull may still be running.
+const PULL_ACTIVITY_WINDOW_MS = 10 * 60 * 1000;
+
+class ModelStorage {
+  constructor(config = getConfig(), hardwareDetector = new HardwareDetector(config)) {
+    this.inspector = new ModelInspector(config);
+    this.modelsDir = this.inspector.modelsDir;
+    this.blobsDir = path.join(this.modelsDir, 'blobs');
+    this.hardwareDetector = hardwareDetector;
+  }
+
+  async listFiles(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const nested = await Promise.all(entries.map(entry => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? this.listFiles(fullPath) : [fullPath];
+    }));
+    return nested.flat();
+  }
+
+  // manifests/<registry>/<namespace>/<model>/<tag>
+  async readManifests() {
+    const manifestsDir = path.join(this.modelsDir, 'manifests');
+    let files;
+    try {
+      files = await this.listFiles(manifestsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { manifests: [], unreadable: [] };
+      throw error;
+    }
+
+    const manifests = [];
+    const unreadable = [];
+    for (const file of files) {
+      const parts = path.relative(manifestsDir, file).split(path.sep);
+      if (parts.length < 4) continue;
+
+      const [tag, model, namespace] = parts.slice(-3).reverse();
+      const name = this.inspector.formatName({ registry: parts.slice(0, -3).join('/'), namespace, model, tag });
+      try {
+        const manifest = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        const digests = [manifest.config?.digest, ...(manifest.layers || []).map(layer => layer.digest)].filter(Boolean);
+        manifests.push({ name, digests: Array.from(new Set(digests)) });
+      } catch (error) {
+        logger.warn(`Could not read manifest ${file}: ${error.message}`);
+        unreadable.push({ model: name, file, error: error.message });
+      }
+    }
+    return { manifests, unreadable };
+  }
+
+  async readBlobs() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.blobsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const blobs = [];
+    for (const file of names) {
+      const blobMatch = file.match(BLOB_PATTERN);
+      const partialMatch = file.match(PARTIAL_PATTERN);
+      if (!blobMatch && !partialMatch) continue;
+
+      const stats = await fs.promises.stat(path.join(this.blobsDir, file));
+      blobs.push({
+        file,
+        digest: `sha256:${(blobMatch || partialMatch)[1]}`,
+        partial: Boolean(partialMatch),
+        sizeBytes: stats.size,
+        modifiedAt: stats.mtime.toISOString()
+      });
+    }
+    return blobs;
+  }
+
+  async analyze() {
+    if (!fs.existsSync(this.modelsDir)) {
+      throw new Error(`Ollama models directory not found: ${this.modelsDir} (set ollamaModelsDir if Ollama stores models elsewhere)`);
+    }
+
+    const [{ manifests, unreadable }, blobs, filesystem] = await Promise.all([
+      this.readManifests(),
+      this.readBlobs(),
+      this.hardwareDetector.getFilesystemFor(this.modelsDir)
+    ]);
+
+    const sizes = new Map(blobs.filter(blob => !blob.partial).map(blob => [blob.digest, blob.sizeBytes]));
+    const references = new Map();
+    manifests.forEach(({ name, digests }) => {
+      digests.forEach(digest => {
+        if (!references.has(digest)) references.set(digest, []);
+        references.get(digest).push(name);
+      });
+    });
+
+    const models = manifests.map(({ name, digests }) => {
+      const layers = digests.map(digest => ({
+        digest,
+        sizeBytes: sizes.get(digest) || 0,
+        missing: !sizes.has(digest),
+        sharedWith: references.get(digest).filter(other => other !== name)
+      }));
+      const totalBytes = layers.reduce((sum, layer) => sum + layer.sizeBytes, 0);
+      const uniqueBytes = layers.filter(layer => layer.sharedWith.length === 0).reduce((sum, layer) => sum + layer.sizeBytes, 0);
+
+      return {
+        model: name,
+        totalBytes,
+        uniqueBytes,
+        sharedBytes: totalBytes - uniqueBytes,
+        missingBlobs: layers.filter(layer => layer.missing).map(layer => layer.digest),
+        layers
+      };
+    }).sort((a, b) => b.totalBytes - a.totalBytes);
+
+    const sharedBlobs = Array.from(references)
+      .filter(([digest, names]) => names.length > 1 && sizes.has(digest))
+      .map(([digest, names]) => ({ digest, sizeBytes: sizes.get(digest), models: names }))
+      .sort((a, b) => b.sizeBytes - a.sizeBytes);
+
+    const orphanedBlobs = blobs.filter(blob => !blob.partial && !references.has(blob.digest));
+    const partialDownloads = blobs.filter(blob => blob.partial);
+    const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+    const referencedBytes = Array.from(references.keys()).reduce((total, digest) => total + (sizes.get(digest) || 0), 0);
+
+    return {
+      modelsDir: this.modelsDir,
+      filesystem,
+      models,
+      sharedBlobs,
+      orphanedBlobs,
+      partialDownloads,
+      unreadableManifests: unreadable,
+      totals: {
+        modelCount: models.length,
+        diskBytes: referencedBytes,
+        // What the per-model sizes in `ollama list` add up to, counting shared layers once per model
+        listedBytes: sum(models, 'totalBytes'),
+        sharedSavingsBytes: sum(models, 'totalBytes') - referencedBytes,
+        orphanedBytes: sum(orphanedBlobs, 'sizeBytes'),
+        partialBytes: sum(partialDownloads, 'sizeBytes'),
+        reclaimableBytes: sum(orphanedBlobs, 'sizeBytes') + sum(partialDownloads, 'sizeBytes')
+      },
+      scannedAt: new Date().toISOString()
+    };
+  }
+
+  async prune({ dryRun = false } = {}) {
+    const report = await this.analyze();
+
+    // Without every manifest we cannot tell which blobs are still in use
+    if (report.unreadableManifests.length > 0) {
+      throw new Error(`Refusing to prune: ${report.unreadableManifests.length} manifest(s) could not be read, ` +
+        `e.g. ${report.unreadableManifests[0].file}`);
+    }
+
+    const isRecent = file => Date.now() - Date.parse(file.modifiedAt) < PULL_ACTIVITY_WINDOW_MS;
+    // The orphans of a running pull can be old, so one recent file protects all of them. A partial
+    // download is protected by recent activity on any of its chunk files.
+    const pullActive = [...report.orphanedBlobs, ...report.partialDownloads].some(isRecent);
+    const activeDownloads = new Set(report.partialDownloads.filter(isRecent).map(file => file.digest));
+
+    const removed = [];
+    const skipped = [];
+    for (const file of [...report.orphanedBlobs, ...report.partialDownloads]) {
+      if (!file.partial && pullActive) {
+        skipped.push({ ...file, reason: 'A pull may be in progress (files changed in the last 10 minutes); its finished layers have no manifest yet' });
+        continue;
+      }
+      if (file.partial && activeDownloads.has(file.digest)) {
+        skipped.push({ ...file, reason: 'Download changed in the last 10 minutes; it may still be in progress' });
+        continue;
+      }
+
+      if (!dryRun) {
+        await fs.promises.unlink(path.join(this.blobsDir, file.file));
+        logger.info(`🧹 Removed ${file.file}`);
+      }
+      removed.push(file);
+    }
+
+    return {
+      dryRun,
+      modelsDir: this.modelsDir,
+      removed,
+      skipped,
+      reclaimedBytes: removed.reduce((total, file) => total + file.sizeBytes, 0)
+    };
+  }
+}
+
+module.exports = ModelStorage;
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const INSTRUCTIONS = ['FROM', 'ADAPTER', 'PARAMETER', 'TEMPLATE', 'SYSTEM', 'LICENSE', 'MESSAGE', 'REQUIRES'];
+// Parameters Ollama accepts several times; all others take a single value
+const LIST_PARAMETERS = ['stop'];
+
+class ModelfileManager {
+  constructor(ollamaMonitor) {
+    this.ollamaMonitor = ollamaMonitor;
+  }
+
+  parse(text) {
+    const result = { from: null, adapters: [], parameters: {}, template: null, system: null, license: [], messages: [], requires: null };
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const lineNumber = i + 1;
+      const match = line.match(/^(\S+)\s+([\s\S]*)$/);
+      const instruction = match ? match[1].toUpperCase() : line.toUpperCase();
+      if (!INSTRUCTIONS.includes(instruction)) {
+        throw new Error(`Modelfile line ${lineNumber}: unknown instruction "${match ? match[1] : line}"`);
+      }
+      if (!match) {
+        throw new Error(`Modelfile line ${lineNumber}: ${instruction} needs a value`);
+      }
+
+      let value = match[2];
+      if (value.startsWith('"""')) {
+        // Triple-quoted values run until the closing quotes, keeping inner lines verbatim
+        let rest = value.slice(3);
+        const parts = [];
+        while (!rest.includes('"""')) {
+          parts.push(rest);
+          i++;
+          if (i >= lines.length) {
+            throw new Error(`Modelfile line ${lineNumber}: unterminated """`);
+          }
+          rest = lines[i];
+        }
+        parts.push(rest.slice(0, rest.indexOf('"""')));
+        value = parts.join('\n');
+      } else {
+        value = this.unquote(value);
+      }
+
+      switch (instruction) {
+        case 'FROM':
+          result.from = value;
+          break;
+        case 'ADAPTER':
+          result.adapters.push(value);
+          break;
+        case 'PARAMETER': {
+          const parameter = value.match(/^(\S+)\s+([\s\S]+)$/);
+          if (!parameter) {
+            throw new Error(`Modelfile line ${lineNumber}: PARAMETER needs a name and a value`);
+          }
+          this.addParameter(result.parameters, parameter[1], this.unquote(parameter[2]));
+          break;
+        }
+        case 'TEMPLATE':
+          result.template = value;
+          break;
+        case 'SYSTEM':
+          result.system = value;
+          break;
+        case 'LICENSE':
+          result.license.push(value);
+          break;
+        case 'MESSAGE': {
+          const message = value.match(/^(system|user|assistant)\s+([\s\S]*)$/i);
+          if (!message) {
+            throw new Error(`Modelfile line ${lineNumber}: MESSAGE needs a role (system, user or assistant) and content`);
+          }
+          result.messages.push({ role: message[1].toLowerCase(), content: this.unquote(message[2]) });
+          break;
+        }
+        case 'REQUIRES':
+          result.requires = value;
+          break;
+      }
+    }
+
+    if (!result.from) {
+      throw new Error('Modelfile has no FROM instruction');
+    }
+    return result;
+  }
+
+  unquote(value) {
+    const trimmed = value.trim();
+    return /^"[\s\S]*"$/.test(trimmed) && trimmed.length >= 2 ? trimmed.slice(1, -1) : trimmed;
+  }
+
+  // /api/create wants typed option values, e.g. num_ctx as a number and stop as a list
+  addParameter(parameters, name, raw) {
+    let value = raw;
+    if (/^-?\d+(\.\d+)?$/.test(raw)) value = Number(raw);
+    if (raw === 'true' || raw === 'false') value = raw === 'true';
+
+    if (LIST_PARAMETERS.includes(name)) {
+      parameters[name] = [...(parameters[name] || []), String(raw)];
+    } else {
+      parameters[name] = value;
+    }
+  }
+
+  resolveLocalPath(value, baseDir) {
+    const expanded = value.startsWith('~') ? path.join(os.homedir(), value.slice(1)) : value;
+    const resolved = path.resolve(baseDir, expanded);
+    return fs.existsSync(resolved) ? resolved : null;
+  }
+
+  // FROM and ADAPTER may name a model or a local file; files are uploaded as blobs first
+  async buildCreateRequest(parsed, options = {}) {
+    const { baseDir = process.cwd(), allowLocalFiles = true, onUpload } = options;
+    const request = {};
+
+    const uploadFile = async (value, instruction) => {
+      const localPath = this.resolveLocalPath(value, baseDir);
+      if (!localPath) return null;
+      if (!allowLocalFiles) {
+        throw new Error(`${instruction} ${value}: local files cannot be used through the API; use the create command on the machine that has the file`);
+      }
+      if (fs.statSync(localPath).isDirectory()) {
+        throw new Error(`${instruction} ${value}: importing a directory is not supported; convert it to a GGUF file first`);
+      }
+      if (onUpload) onUpload(localPath);
+      return { [path.basename(localPath)]: await this.ollamaMonitor.uploadBlob(localPath) };
+    };
+
+    const fromFile = await uploadFile(parsed.from, 'FROM');
+    if (fromFile) {
+      request.files = fromFile;
+    } else {
+      request.from = parsed.from;
+    }
+
+    for (const adapter of parsed.adapters) {
+      const adapterFile = await uploadFile(adapter, 'ADAPTER');
+      if (!adapterFile) {
+        throw new Error(`ADAPTER ${adapter}: file not found`);
+      }
+      request.adapters = { ...request.adapters, ...adapterFile };
+    }
+
+    if (parsed.template !== null) request.template = parsed.template;
+    if (parsed.system !== null) request.system = parsed.system;
+    if (parsed.license.length > 0) request.license = parsed.license;
+    if (parsed.messages.length > 0) request.messages = parsed.messages;
+    if (Object.keys(parsed.parameters).length > 0) request.parameters = parsed.parameters;
+    return request;
+  }
+
+  async create(modelName, modelfileText, options = {}) {
+    const parsed = this.parse(modelfileText);
+    const request = await this.buildCreateRequest(parsed, options);
+    return this.ollamaMonitor.createModel(modelName, request, options.onProgress, { signal: options.signal });
+  }
+
+  async exportModelfile(modelName) {
+    const result = await this.ollamaMonitor.getModelInfo(modelName);
+    if (!result.success) {
+      throw new Error(`Could not read ${modelName}: ${result.error}`);
+    }
+    return result.info.modelfile;
+  }
+
+  // /api/show reports parameters as "name value" lines, with quoted and repeated stop entries
+  parseShowParameters(text = '') {
+    const parameters = {};
+    text.split('\n').forEach(line => {
+      const match = line.trim().match(/^(\S+)\s+([\s\S]+)$/);
+      if (match) this.addParameter(parameters, match[1], this.unquote(match[2]));
+    });
+    return parameters;
+  }
+
+  // The FROM and ADAPTER lines of an exported Modelfile point at blob files, i.e. the base layers
+  parseLayers(modelfile = '') {
+    const digestOf = value => {
+      const match = value.match(/sha256[-:]([0-9a-f]{64})/);
+      return match ? `sha256:${match[1]}` : value;
+    };
+    const lines = modelfile.split('\n').map(line => line.trim());
+    const from = lines.find(line => /^FROM\s/i.test(line));
+    return {
+      from: from ? digestOf(from.replace(/^FROM\s+/i, '')) : null,
+      adapters: lines.filter(line => /^ADAPTER\s/i.test(line)).map(line => digestOf(line.replace(/^ADAPTER\s+/i, '')))
+    };
+  }
+
+  async diff(modelA, modelB) {
+    const [a, b] = await Promise.all([modelA, modelB].map(name => this.ollamaMonitor.getModelInfo(name)));
+    [a, b].forEach(result => {
+      if (!result.success) throw new Error(`Could not read ${result.model}: ${result.error}`);
+    });
+
+    const parametersA = this.parseShowParameters(a.info.parameters);
+    const parametersB = this.parseShowParameters(b.info.parameters);
+    const parameters = { added: {}, removed: {}, changed: {} };
+    new Set([...Object.keys(parametersA), ...Object.keys(parametersB)]).forEach(key => {
+      const [valueA, valueB] = [parametersA[key], parametersB[key]];
+      if (valueA === undefined) parameters.added[key] = valueB;
+      else if (valueB === undefined) parameters.removed[key] = valueA;
+      else if (JSON.stringify(valueA) !== JSON.stringify(valueB)) parameters.changed[key] = { from: valueA, to: valueB };
+    });
+
+    const textDiff = (textA = '', textB = '') => ({
+      same: textA === textB,
+      lines: textA === textB ? [] : this.diffLines(textA, textB)
+    });
+
+    const layersA = this.parseLayers(a.info.modelfile);
+    const layersB = this.parseLayers(b.info.modelfile);
+    const detailKeys = ['family', 'parameter_size', 'quantization_level', 'format'];
+    const details = {};
+    detailKeys.forEach(key => {
+      const [valueA, valueB] = [a.info.details?.[key], b.info.details?.[key]];
+      if (valueA !== valueB) details[key] = { from: valueA ?? null, to: valueB ?? null };
+    });
+
+    const result = {
+      models: [modelA, modelB],
+      parameters,
+      template: textDiff(a.info.template, b.info.template),
+      system: textDiff(a.info.system, b.info.system),
+      layers: {
+        same: JSON.stringify(layersA) === JSON.stringify(layersB),
+        from: layersA,
+        to: layersB
+      },
+      details
+    };
+    result.identical = result.template.same && result.system.same && result.layers.same &&
+      Object.keys(details).length === 0 &&
+      ['added', 'removed', 'changed'].every(kind => Object.keys(parameters[kind]).length === 0);
+    return result;
+  }
+
+  // Line diff from the longest common subsequence; templates and system prompts are short enough for O(n*m)
+  diffLines(textA, textB) {
+    const a = textA.split('\n');
+    const b = textB.split('\n');
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        lines.push({ type: 'same', line: a[i] });
+        i++;
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        lines.push({ type: 'removed', line: a[i] });
+        i++;
+      } else {
+        lines.push({ type: 'added', line: b[j] });
+        j++;
+      }
+    }
+    return lines;
+  }
+}
+
+module.exports = ModelfileManager;
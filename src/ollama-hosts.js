@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const OllamaMonitor = require('./ollama-monitor');
+const { getDataDir } = require('./paths');
+const logger = require('./logger');
+const { getConfig } = require('./config');
+
+const DEFAULT_HOST_NAME = 'local';
+const HOST_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+class OllamaHosts {
+  constructor(filePath = path.join(getDataDir(), 'hosts.json'), config = getConfig()) {
+    this.filePath = filePath;
+    this.config = config;
+    this.monitors = new Map();
+    this.load();
+  }
+
+  // Hosts come from the configured ollamaHost, hosts.json and OLLAMA_COMPASS_HOSTS ("name=url,name=url"), later sources winning
+  load() {
+    this.hosts = new Map();
+    this.hosts.set(DEFAULT_HOST_NAME, this.config.get('ollamaHost'));
+
+    this.readFile().forEach(({ name, url }) => this.hosts.set(name, url));
+
+    (process.env.OLLAMA_COMPASS_HOSTS || '').split(',').filter(Boolean).forEach(entry => {
+      const [name, url] = entry.split('=').map(part => part.trim());
+      if (name && url) this.hosts.set(name, url);
+    });
+
+    this.monitors.clear();
+  }
+
+  readFile() {
+    try {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(content.hosts) ? content.hosts : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read Ollama hosts from ${this.filePath}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  writeFile(hosts) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ hosts }, null, 2) + '\n');
+  }
+
+  validate(name, url) {
+    if (!HOST_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid host name "${name}": use letters, digits, dots, dashes and underscores`);
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid host URL "${url}": expected something like http://192.168.1.20:11434`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`Invalid host URL "${url}": only http and https are supported`);
+    }
+  }
+
+  add(name, url) {
+    this.validate(name, url);
+    const normalizedUrl = url.replace(/\/+$/, '');
+    const hosts = this.readFile().filter(host => host.name !== name);
+    hosts.push({ name, url: normalizedUrl });
+    this.writeFile(hosts);
+    this.load();
+    return { name, url: normalizedUrl };
+  }
+
+  remove(name) {
+    const hosts = this.readFile();
+    const remaining = hosts.filter(host => host.name !== name);
+    if (remaining.length === hosts.length) {
+      throw new Error(`Host "${name}" is not in ${this.filePath}`);
+    }
+    this.writeFile(remaining);
+    this.load();
+  }
+
+  list() {
+    return Array.from(this.hosts, ([name, url]) => ({ name, url }));
+  }
+
+  has(name) {
+    return this.hosts.has(name);
+  }
+
+  getMonitor(name = DEFAULT_HOST_NAME) {
+    if (!this.hosts.has(name)) return null;
+
+    if (!this.monitors.has(name)) {
+      this.monitors.set(name, new OllamaMonitor(this.hosts.get(name), name, this.config));
+    }
+    return this.monitors.get(name);
+  }
+
+  async checkAll() {
+    const statuses = await Promise.all(this.list().map(({ name }) => this.getMonitor(name).checkOllamaStatus()));
+    return {
+      hosts: statuses,
+      reachableCount: statuses.filter(status => status.isReachable).length,
+      totalCount: statuses.length,
+      lastChecked: new Date().toISOString()
+    };
+  }
+}
+
+OllamaHosts.DEFAULT_HOST_NAME = DEFAULT_HOST_NAME;
+
+module.exports = OllamaHosts;
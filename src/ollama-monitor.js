@@ -1,23 +1,41 @@
 const axios = require('axios');
+const fs = require('fs');
+const crypto = require('crypto');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const logger = require('./logger');
+const { getConfig } = require('./config');
 
 const execAsync = promisify(exec);
 
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '::1', '[::1]', '0.0.0.0'];
+
 class OllamaMonitor {
-  constructor() {
-    this.ollamaHost = process.env.OLLAMA_HOST || 'http://localhost:11434';
+  constructor(host, name = 'local', config = getConfig()) {
+    this.config = config;
+    this.ollamaHost = host || config.get('ollamaHost');
+    this.name = name;
     this.lastStatus = null;
   }
 
+  isLocalHost() {
+    try {
+      return LOCAL_HOSTNAMES.includes(new URL(this.ollamaHost).hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
   async checkOllamaStatus() {
-    console.log('🦙 Checking Ollama status...');
+    logger.info('🦙 Checking Ollama status...');
     
     try {
       // Try to connect to Ollama API
+      const requestStart = Date.now();
       const response = await axios.get(`${this.ollamaHost}/api/tags`, {
-        timeout: 5000
+        timeout: this.config.get('ollamaTimeoutMs')
       });
+      const latencyMs = Date.now() - requestStart;
 
       const models = response.data.models || [];
       
@@ -25,11 +43,11 @@ class OllamaMonitor {
       let systemInfo = null;
       try {
         const infoResponse = await axios.get(`${this.ollamaHost}/api/version`, {
-          timeout: 3000
+          timeout: this.config.get('ollamaTimeoutMs')
         });
         systemInfo = infoResponse.data;
       } catch (infoError) {
-        console.warn('Could not get Ollama version info');
+        logger.warn('Could not get Ollama version info');
       }
 
       // Check if Ollama process is running
@@ -38,7 +56,9 @@ class OllamaMonitor {
       const status = {
         isRunning: true,
         isReachable: true,
+        name: this.name,
         host: this.ollamaHost,
+        latencyMs,
         version: systemInfo?.version || 'Unknown',
         modelsCount: models.length,
         installedModels: models.map(model => ({
@@ -52,11 +72,11 @@ class OllamaMonitor {
       };
 
       this.lastStatus = status;
-      console.log(`✅ Ollama is running with ${models.length} models installed`);
+      logger.info(`✅ Ollama is running with ${models.length} models installed`);
       return status;
 
     } catch (error) {
-      console.log('❌ Ollama is not reachable');
+      logger.info('❌ Ollama is not reachable');
       
       // Check if process exists even if API is not reachable
       const processInfo = await this.getOllamaProcessInfo();
@@ -64,6 +84,7 @@ class OllamaMonitor {
       const status = {
         isRunning: processInfo.isRunning,
         isReachable: false,
+        name: this.name,
         host: this.ollamaHost,
         error: this.categorizeError(error),
         processInfo,
@@ -76,6 +97,15 @@ class OllamaMonitor {
   }
 
   async getOllamaProcessInfo() {
+    // The process list only says something about Ollama running on this machine
+    if (!this.isLocalHost()) {
+      return {
+        isRunning: false,
+        remote: true,
+        details: 'Remote host; process not checked'
+      };
+    }
+
     try {
       let command;
       if (process.platform === 'win32') {
@@ -143,23 +173,174 @@ class OllamaMonitor {
     };
   }
 
-  async installModel(modelName) {
-    console.log(`📥 Installing model: ${modelName}`);
-    
+  async streamRequest(path, body, onEvent, options = {}) {
+    const { idleTimeout = this.config.get('pullIdleTimeoutMs'), signal } = options;
+    let response;
     try {
-      const response = await axios.post(`${this.ollamaHost}/api/pull`, {
-        name: modelName
-      }, {
-        timeout: 300000 // 5 minutes timeout for model installation
+      response = await axios.post(`${this.ollamaHost}${path}`, body, {
+        responseType: 'stream',
+        signal
       });
+    } catch (error) {
+      // With responseType 'stream' the error body is a stream too; surface Ollama's message from it
+      if (error.response?.data?.on) {
+        const text = await new Promise((resolve) => {
+          let content = '';
+          error.response.data
+            .on('data', chunk => { content += chunk; })
+            .on('end', () => resolve(content))
+            .on('error', () => resolve(content));
+        });
+        try {
+          error.message = JSON.parse(text).error || error.message;
+        } catch (parseError) {
+          // Not JSON; keep axios' status message
+        }
+      }
+      throw error;
+    }
+
+    return new Promise((resolve, reject) => {
+      const stream = response.data;
+      let buffer = '';
+      let lastEvent = null;
+      let idleTimer = null;
+      let settled = false;
+      const onAbort = () => finish(new Error('Request cancelled'));
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(idleTimer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (error) {
+          stream.destroy();
+          reject(error);
+        } else {
+          resolve(lastEvent);
+        }
+      };
+
+      // Large layers can go quiet while Ollama verifies them, so only fail on a long stall
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          const error = new Error(`No data from Ollama for ${idleTimeout / 1000}s`);
+          error.code = 'ETIMEDOUT';
+          finish(error);
+        }, idleTimeout);
+      };
+
+      const handleLine = (line) => {
+        if (!line.trim()) return;
+        const event = JSON.parse(line);
+        if (event.error) {
+          throw new Error(event.error);
+        }
+        lastEvent = event;
+        if (onEvent) onEvent(event);
+      };
+
+      resetIdleTimer();
+      stream.setEncoding('utf8');
+
+      stream.on('data', (chunk) => {
+        resetIdleTimer();
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        try {
+          lines.forEach(handleLine);
+        } catch (error) {
+          finish(error);
+        }
+      });
+
+      stream.on('end', () => {
+        try {
+          handleLine(buffer);
+          finish();
+        } catch (error) {
+          finish(error);
+        }
+      });
+
+      stream.on('error', (error) => finish(error));
+
+      // Axios only honours the signal until headers arrive; cancelling mid-stream is handled here
+      if (signal) {
+        if (signal.aborted) return finish(new Error('Request cancelled'));
+        signal.addEventListener('abort', onAbort);
+      }
+    });
+  }
+
+  createPullTracker(modelName) {
+    const layers = new Map();
+    const startTime = Date.now();
+
+    return (event) => {
+      if (event.digest && event.total) {
+        layers.set(event.digest, {
+          total: event.total,
+          completed: event.completed || 0
+        });
+      }
+
+      let totalBytes = 0;
+      let completedBytes = 0;
+      layers.forEach(layer => {
+        totalBytes += layer.total;
+        completedBytes += layer.completed;
+      });
+
+      const elapsedSeconds = (Date.now() - startTime) / 1000;
+      const bytesPerSecond = elapsedSeconds > 0 ? Math.round(completedBytes / elapsedSeconds) : 0;
+      const remainingBytes = totalBytes - completedBytes;
+
+      return {
+        host: this.name,
+        model: modelName,
+        status: event.status,
+        digest: event.digest || null,
+        layerCompleted: event.completed || 0,
+        layerTotal: event.total || 0,
+        layerCount: layers.size,
+        completedBytes,
+        totalBytes,
+        percent: totalBytes > 0 ? Math.round((completedBytes / totalBytes) * 1000) / 10 : 0,
+        bytesPerSecond,
+        etaSeconds: bytesPerSecond > 0 && remainingBytes > 0 ? Math.round(remainingBytes / bytesPerSecond) : null,
+        elapsedSeconds: Math.round(elapsedSeconds),
+        timestamp: new Date().toISOString()
+      };
+    };
+  }
+
+  async installModel(modelName, onProgress, options = {}) {
+    logger.info(`📥 Installing model: ${modelName}`);
+    
+    const trackProgress = this.createPullTracker(modelName);
+    let lastProgress = null;
+
+    try {
+      await this.streamRequest('/api/pull', {
+        name: modelName,
+        stream: true
+      }, (event) => {
+        lastProgress = trackProgress(event);
+        if (onProgress) onProgress(lastProgress);
+      }, options);
 
       return {
         success: true,
         model: modelName,
-        message: 'Model installation started'
+        message: 'Model installed successfully',
+        totalBytes: lastProgress?.totalBytes || 0,
+        durationSeconds: lastProgress?.elapsedSeconds || 0
       };
     } catch (error) {
-      console.error(`❌ Failed to install model ${modelName}:`, error.message);
+      logger.error(`❌ Failed to install model ${modelName}:`, error.message);
       return {
         success: false,
         model: modelName,
@@ -168,12 +349,13 @@ class OllamaMonitor {
     }
   }
 
-  async deleteModel(modelName) {
-    console.log(`🗑️ Deleting model: ${modelName}`);
+  async deleteModel(modelName, options = {}) {
+    logger.info(`🗑️ Deleting model: ${modelName}`);
     
     try {
       const response = await axios.delete(`${this.ollamaHost}/api/delete`, {
-        data: { name: modelName }
+        data: { name: modelName },
+        signal: options.signal
       });
 
       return {
@@ -182,7 +364,7 @@ class OllamaMonitor {
         message: 'Model deleted successfully'
       };
     } catch (error) {
-      console.error(`❌ Failed to delete model ${modelName}:`, error.message);
+      logger.error(`❌ Failed to delete model ${modelName}:`, error.message);
       return {
         success: false,
         model: modelName,
@@ -191,6 +373,90 @@ class OllamaMonitor {
     }
   }
 
+  // Ollama reads a JSON number as seconds and a string as a Go duration, which must carry a unit
+  toKeepAlive(value) {
+    return /^-?\d+$/.test(String(value)) ? parseInt(value, 10) : String(value);
+  }
+
+  // A generate request without a prompt loads the model and only sets its keep-alive
+  async loadModel(modelName, options = {}) {
+    const keepAlive = options.keepAlive ?? this.config.get('keepAlive');
+    logger.info(`🔼 Loading model: ${modelName} (keep_alive ${keepAlive})`);
+
+    try {
+      const startTime = Date.now();
+      const response = await axios.post(`${this.ollamaHost}/api/generate`, {
+        model: modelName,
+        keep_alive: this.toKeepAlive(keepAlive)
+      }, {
+        // Large models can take minutes to read from disk; axios treats 0 as no timeout
+        timeout: this.config.get('loadTimeoutMs'),
+        signal: options.signal
+      });
+
+      return {
+        success: true,
+        model: modelName,
+        keepAlive: String(keepAlive),
+        loadDurationMs: Math.round((response.data.load_duration || 0) / 1e6),
+        durationMs: Date.now() - startTime
+      };
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      logger.error(`❌ Failed to load model ${modelName}:`, message);
+      return {
+        success: false,
+        model: modelName,
+        error: message
+      };
+    }
+  }
+
+  async unloadModel(modelName) {
+    logger.info(`🔽 Unloading model: ${modelName}`);
+
+    try {
+      await axios.post(`${this.ollamaHost}/api/generate`, {
+        model: modelName,
+        keep_alive: 0
+      }, {
+        timeout: this.config.get('generateTimeoutMs')
+      });
+
+      return {
+        success: true,
+        model: modelName,
+        message: 'Model unloaded'
+      };
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      logger.error(`❌ Failed to unload model ${modelName}:`, message);
+      return {
+        success: false,
+        model: modelName,
+        error: message
+      };
+    }
+  }
+
+  async unloadAll() {
+    const running = await this.getRunningModels();
+    if (!running.success) {
+      return { success: false, unloaded: [], failed: [], error: running.error };
+    }
+
+    const results = await Promise.all(running.models.map(model => this.unloadModel(model.name)));
+    const failed = results.filter(result => !result.success);
+    return {
+      success: failed.length === 0,
+      unloaded: results.filter(result => result.success).map(result => result.model),
+      failed: failed.map(result => ({ model: result.model, error: result.error })),
+      freedBytes: running.models
+        .filter(model => !failed.some(result => result.model === model.name))
+        .reduce((sum, model) => sum + model.sizeBytes, 0)
+    };
+  }
+
   async getModelInfo(modelName) {
     try {
       const response = await axios.post(`${this.ollamaHost}/api/show`, {
@@ -206,13 +472,184 @@ class OllamaMonitor {
       return {
         success: false,
         model: modelName,
+        error: error.response?.data?.error || error.message
+      };
+    }
+  }
+
+  // request uses the /api/create fields: from, files, adapters, template, system, parameters, messages, license
+  async createModel(modelName, request, onProgress, options = {}) {
+    logger.info(`🛠️ Creating model: ${modelName}`);
+
+    try {
+      await this.streamRequest('/api/create', {
+        ...request,
+        model: modelName,
+        stream: true
+      }, (event) => {
+        if (onProgress) onProgress({ host: this.name, model: modelName, ...event });
+      }, options);
+
+      return {
+        success: true,
+        model: modelName,
+        message: 'Model created successfully'
+      };
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      logger.error(`❌ Failed to create model ${modelName}:`, message);
+      return {
+        success: false,
+        model: modelName,
+        error: message
+      };
+    }
+  }
+
+  async copyModel(source, destination) {
+    logger.info(`📋 Copying model: ${source} -> ${destination}`);
+
+    try {
+      await axios.post(`${this.ollamaHost}/api/copy`, { source, destination }, {
+        timeout: this.config.get('ollamaTimeoutMs')
+      });
+
+      return {
+        success: true,
+        source,
+        destination,
+        message: 'Model copied successfully'
+      };
+    } catch (error) {
+      const message = error.response?.status === 404 ? `Model not found: ${source}` : error.message;
+      logger.error(`❌ Failed to copy model ${source}:`, message);
+      return {
+        success: false,
+        source,
+        destination,
+        error: message
+      };
+    }
+  }
+
+  // Pushes a local GGUF or adapter file to the server so /api/create can reference it by digest
+  async uploadBlob(filePath) {
+    const hash = crypto.createHash('sha256');
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+    const digest = `sha256:${hash.digest('hex')}`;
+
+    try {
+      await axios.head(`${this.ollamaHost}/api/blobs/${digest}`, { timeout: this.config.get('ollamaTimeoutMs') });
+      return digest;
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+
+    logger.info(`📤 Uploading ${filePath} to ${this.name}`);
+    await axios.post(`${this.ollamaHost}/api/blobs/${digest}`, fs.createReadStream(filePath), {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': (await fs.promises.stat(filePath)).size
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+    return digest;
+  }
+
+  async getRunningModels() {
+    try {
+      const response = await axios.get(`${this.ollamaHost}/api/ps`, {
+        timeout: this.config.get('ollamaTimeoutMs')
+      });
+
+      const models = (response.data.models || []).map(model => this.describeRunningModel(model));
+      return {
+        success: true,
+        host: this.name,
+        models,
+        totalBytes: models.reduce((sum, model) => sum + model.sizeBytes, 0),
+        vramBytes: models.reduce((sum, model) => sum + model.vramBytes, 0),
+        ramBytes: models.reduce((sum, model) => sum + model.ramBytes, 0)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        host: this.name,
+        models: [],
+        totalBytes: 0,
+        vramBytes: 0,
+        ramBytes: 0,
         error: error.message
       };
     }
   }
 
+  describeRunningModel(model) {
+    const sizeBytes = model.size || 0;
+    const vramBytes = model.size_vram || 0;
+    const gpuPercent = sizeBytes > 0 ? Math.round((vramBytes / sizeBytes) * 100) : 0;
+
+    // Same wording as the PROCESSOR column of `ollama ps`
+    let processor = `${100 - gpuPercent}%/${gpuPercent}% CPU/GPU`;
+    if (gpuPercent === 100) processor = '100% GPU';
+    if (gpuPercent === 0) processor = '100% CPU';
+
+    // keep_alive: -1 makes Ollama report an expiry centuries away
+    const expiresInSeconds = model.expires_at
+      ? Math.max(0, Math.round((Date.parse(model.expires_at) - Date.now()) / 1000))
+      : null;
+    const neverExpires = expiresInSeconds !== null && expiresInSeconds > 100 * 365 * 24 * 3600;
+
+    return {
+      name: model.name,
+      digest: model.digest || null,
+      parameterSize: model.details?.parameter_size || null,
+      quantization: model.details?.quantization_level || null,
+      contextLength: model.context_length || null,
+      sizeBytes,
+      vramBytes,
+      ramBytes: Math.max(0, sizeBytes - vramBytes),
+      gpuPercent,
+      processor,
+      expiresAt: model.expires_at || null,
+      expiresInSeconds: neverExpires ? null : expiresInSeconds,
+      neverExpires
+    };
+  }
+
+  // Splits the GPU memory reported by the realtime stats between loaded models and everything else
+  correlateGpuMemory(running, stats) {
+    const controllers = (stats?.gpu || []).filter(gpu => gpu.memoryUsedMB !== null && gpu.memoryUsedMB !== undefined);
+    const gpuMemoryUsedBytes = controllers.length > 0
+      ? controllers.reduce((sum, gpu) => sum + gpu.memoryUsedMB * 1024 * 1024, 0)
+      : null;
+    const gpuMemoryTotalBytes = controllers.length > 0
+      ? controllers.reduce((sum, gpu) => sum + (gpu.memoryTotalMB || 0) * 1024 * 1024, 0)
+      : null;
+
+    return {
+      host: running.host,
+      loadedModels: running.models.map(model => ({
+        name: model.name,
+        vramBytes: model.vramBytes,
+        ramBytes: model.ramBytes
+      })),
+      vramBytes: running.vramBytes,
+      ramBytes: running.ramBytes,
+      gpuMemoryUsedBytes,
+      gpuMemoryTotalBytes,
+      otherGpuMemoryBytes: gpuMemoryUsedBytes === null ? null : Math.max(0, gpuMemoryUsedBytes - running.vramBytes)
+    };
+  }
+
   async testModelGeneration(modelName, prompt = "Hello, how are you?") {
-    console.log(`🧪 Testing model generation: ${modelName}`);
+    logger.info(`🧪 Testing model generation: ${modelName}`);
     
     try {
       const startTime = Date.now();
@@ -222,23 +659,26 @@ class OllamaMonitor {
         prompt: prompt,
         stream: false
       }, {
-        timeout: 30000
+        timeout: this.config.get('generateTimeoutMs')
       });
 
       const endTime = Date.now();
       const responseTime = endTime - startTime;
 
+      // Use Ollama's own eval counters; eval_duration is in nanoseconds
+      const { eval_count: evalCount, eval_duration: evalDuration } = response.data;
+
       return {
         success: true,
         model: modelName,
         responseTime,
         response: response.data.response,
-        tokensGenerated: response.data.response?.length || 0,
-        tokensPerSecond: response.data.response ? 
-          (response.data.response.length / (responseTime / 1000)).toFixed(2) : 0
+        tokensGenerated: evalCount || 0,
+        tokensPerSecond: evalCount && evalDuration ?
+          (evalCount / (evalDuration / 1e9)).toFixed(2) : 0
       };
     } catch (error) {
-      console.error(`❌ Model generation test failed for ${modelName}:`, error.message);
+      logger.error(`❌ Model generation test failed for ${modelName}:`, error.message);
       return {
         success: false,
         model: modelName,
@@ -248,4 +688,6 @@ class OllamaMonitor {
   }
 }
 
+OllamaMonitor.LOCAL_HOSTNAMES = LOCAL_HOSTNAMES;
+
 module.exports = OllamaMonitor;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// All persisted state (benchmark history, snapshots, ...) lives under one directory
+function getDataDir() {
+  return process.env.OLLAMA_COMPASS_HOME || path.join(os.homedir(), '.ollama-compass');
+}
+
+// Settings follow each platform's convention for per-user configuration
+function getConfigDir() {
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'ollama-compass');
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'ollama-compass');
+}
+
+// Where Ollama keeps manifests and blobs; the Linux install script runs it as the "ollama" user
+function getOllamaModelsDir() {
+  const userDir = path.join(os.homedir(), '.ollama', 'models');
+  const serviceDir = '/usr/share/ollama/.ollama/models';
+  if (process.platform === 'linux' && !fs.existsSync(userDir) && fs.existsSync(serviceDir)) {
+    return serviceDir;
+  }
+  return userDir;
+}
+
+module.exports = {
+  getDataDir,
+  getConfigDir,
+  getOllamaModelsDir
+};
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const AbortController = require('./abort-controller');
+const JsonSchemaValidator = require('./json-schema-validator');
+const { getConfig } = require('./config');
+const logger = require('./logger');
+
+const NS_PER_MS = 1e6;
+const NS_PER_SECOND = 1e9;
+const ASSERTION_TYPES = ['contains', 'regex', 'json-schema', 'max-latency'];
+const RESPONSE_PREVIEW_LENGTH = 200;
+
+// Runs a suite of prompts against one or more models and checks every response against the case's
+// assertions. Suites are JSON or YAML; see the README for the format.
+class PromptEval {
+  constructor(ollamaMonitor, config = getConfig()) {
+    this.ollamaMonitor = ollamaMonitor;
+    this.config = config;
+    this.schemaValidator = new JsonSchemaValidator();
+  }
+
+  async loadSuite(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    let suite;
+    try {
+      // YAML is a superset of JSON, but JSON.parse gives the familiar error messages for .json files
+      suite = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+      throw new Error(`Could not parse ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return this.normalizeSuite(suite, path.basename(filePath, path.extname(filePath)));
+    } catch (error) {
+      throw new Error(`${filePath}: ${error.message}`);
+    }
+  }
+
+  // Validates the whole suite up front so a typo fails before any model is loaded
+  normalizeSuite(suite, defaultName = 'eval') {
+    if (!this.isObject(suite)) throw new Error('a suite must be an object with a "cases" list');
+
+    const name = suite.name === undefined ? defaultName : this.checkString(suite.name, 'name');
+    const models = this.checkModels(suite.models, 'models');
+    const options = this.checkOptions(suite.options, 'options');
+    const system = suite.system === undefined ? null : this.checkString(suite.system, 'system');
+    const format = this.checkFormat(suite.format, 'format');
+    const timeoutMs = suite.timeoutMs === undefined ? this.config.get('generateTimeoutMs') : this.checkPositiveInteger(suite.timeoutMs, 'timeoutMs');
+
+    if (!Array.isArray(suite.cases) || suite.cases.length === 0) {
+      throw new Error('cases: expected a non-empty list');
+    }
+
+    const names = new Set();
+    const cases = suite.cases.map((testCase, index) => {
+      const location = `cases[${index}]`;
+      if (!this.isObject(testCase)) throw new Error(`${location}: expected an object`);
+
+      const caseName = testCase.name === undefined ? `case ${index + 1}` : this.checkString(testCase.name, `${location}.name`);
+      if (names.has(caseName)) throw new Error(`${location}.name: "${caseName}" is used by another case`);
+      names.add(caseName);
+
+      const caseModels = testCase.models === undefined ? models : this.checkModels(testCase.models, `${location}.models`);
+      if (!caseModels) throw new Error(`${location}: no models; set "models" on the suite or the case`);
+
+      if (testCase.assert !== undefined && !Array.isArray(testCase.assert)) {
+        throw new Error(`${location}.assert: expected a list`);
+      }
+
+      return {
+        name: caseName,
+        prompt: this.checkString(testCase.prompt, `${location}.prompt`),
+        models: caseModels,
+        system: testCase.system === undefined ? system : this.checkString(testCase.system, `${location}.system`),
+        // Case options are merged over the suite's, so a case only lists what it changes
+        options: { ...options, ...this.checkOptions(testCase.options, `${location}.options`) },
+        format: testCase.format === undefined ? format : this.checkFormat(testCase.format, `${location}.format`),
+        timeoutMs: testCase.timeoutMs === undefined ? timeoutMs : this.checkPositiveInteger(testCase.timeoutMs, `${location}.timeoutMs`),
+        assert: (testCase.assert || []).map((assertion, assertionIndex) =>
+          this.normalizeAssertion(assertion, `${location}.assert[${assertionIndex}]`))
+      };
+    });
+
+    return { name, cases };
+  }
+
+  normalizeAssertion(assertion, location) {
+    if (!this.isObject(assertion)) throw new Error(`${location}: expected an object`);
+    if (!ASSERTION_TYPES.includes(assertion.type)) {
+      throw new Error(`${location}.type: expected one of ${ASSERTION_TYPES.join(', ')}, got "${assertion.type}"`);
+    }
+    if (assertion.not !== undefined && !['contains', 'regex'].includes(assertion.type)) {
+      throw new Error(`${location}.not: only contains and regex assertions can be negated`);
+    }
+
+    const normalized = { type: assertion.type };
+    if (assertion.not) normalized.not = true;
+
+    switch (assertion.type) {
+      case 'contains':
+        normalized.value = this.checkString(assertion.value, `${location}.value`);
+        normalized.ignoreCase = Boolean(assertion.ignoreCase);
+        break;
+
+      case 'regex':
+        normalized.pattern = this.checkString(assertion.pattern, `${location}.pattern`);
+        normalized.flags = assertion.flags === undefined ? '' : String(assertion.flags);
+        try {
+          new RegExp(normalized.pattern, normalized.flags);
+        } catch (error) {
+          throw new Error(`${location}.pattern: ${error.message}`);
+        }
+        break;
+
+      case 'json-schema':
+        // Without a schema the assertion only checks that the response is JSON
+        normalized.schema = assertion.schema === undefined ? true : assertion.schema;
+        try {
+          this.schemaValidator.checkSchema(normalized.schema);
+        } catch (error) {
+          throw new Error(`${location}.schema: ${error.message}`);
+        }
+        break;
+
+      case 'max-latency':
+        normalized.ms = this.checkPositiveInteger(assertion.ms, `${location}.ms`);
+        break;
+    }
+    return normalized;
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  checkString(value, location) {
+    if (typeof value !== 'string' || !value.trim()) throw new Error(`${location}: expected a non-empty string`);
+    return value;
+  }
+
+  checkPositiveInteger(value, location) {
+    if (!Number.isInteger(value) || value < 1) throw new Error(`${location}: expected an integer >= 1, got ${JSON.stringify(value)}`);
+    return value;
+  }
+
+  checkModels(models, location) {
+    if (models === undefined) return null;
+    const list = typeof models === 'string' ? [models] : models;
+    if (!Array.isArray(list) || list.length === 0 || !list.every(model => typeof model === 'string' && model.trim())) {
+      throw new Error(`${location}: expected a model name or a non-empty list of model names`);
+    }
+    return list;
+  }
+
+  // Passed to Ollama untouched, so any model option it knows about works
+  checkOptions(options, location) {
+    if (options === undefined) return {};
+    if (!this.isObject(options)) throw new Error(`${location}: expected an object of Ollama model options`);
+    return options;
+  }
+
+  // Ollama's structured outputs: "json" or a JSON schema the response must follow
+  checkFormat(format, location) {
+    if (format === undefined) return null;
+    if (format !== 'json' && !this.isObject(format)) throw new Error(`${location}: expected "json" or a JSON schema object`);
+    return format;
+  }
+
+  // models replaces every model list in the suite, e.g. to try a candidate against the same cases
+  async run(suite, options = {}, onProgress, signal) {
+    const startedAt = new Date().toISOString();
+    const startTime = Date.now();
+    const plan = [];
+    suite.cases.forEach(testCase => {
+      (options.models || testCase.models).forEach(model => plan.push({ model, testCase }));
+    });
+    // Group by model so each one is loaded once
+    const models = [...new Set(plan.map(entry => entry.model))];
+    plan.sort((a, b) => models.indexOf(a.model) - models.indexOf(b.model));
+
+    logger.info(`🧪 Running ${suite.name}: ${suite.cases.length} case(s) on ${models.join(', ')}`);
+
+    const results = [];
+    for (let index = 0; index < plan.length; index++) {
+      if (signal?.aborted) throw new Error('Request cancelled');
+      const { model, testCase } = plan[index];
+      if (onProgress) onProgress({ model, case: testCase.name, index: index + 1, total: plan.length });
+      results.push(await this.runCase(model, testCase, signal));
+    }
+
+    return {
+      suite: suite.name,
+      host: this.ollamaMonitor.name,
+      summary: this.summarize(results),
+      models: models.map(model => ({ model, summary: this.summarize(results.filter(result => result.model === model)) })),
+      results,
+      startedAt,
+      completedAt: new Date().toISOString(),
+      durationMs: Date.now() - startTime
+    };
+  }
+
+  summarize(results) {
+    const count = status => results.filter(result => result.status === status).length;
+    return { total: results.length, passed: count('passed'), failed: count('failed'), errors: count('error') };
+  }
+
+  // A generation that fails or times out is reported as an error, not a failed assertion
+  async runCase(model, testCase, signal) {
+    const result = { model, case: testCase.name, prompt: testCase.prompt };
+    try {
+      Object.assign(result, await this.generate(model, testCase, signal));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      logger.debug(`Eval case "${testCase.name}" failed on ${model}: ${error.message}`);
+      return { ...result, status: 'error', error: error.message, assertions: [] };
+    }
+
+    result.assertions = testCase.assert.map(assertion => ({
+      ...assertion,
+      ...this.checkAssertion(assertion, result)
+    }));
+    result.status = result.assertions.every(assertion => assertion.passed) ? 'passed' : 'failed';
+    return result;
+  }
+
+  // latencyMs leaves out Ollama's load_duration, so the first case on a cold model is judged on the same
+  // terms as the rest; totalDurationMs is the wall-clock time including any load
+  async generate(model, testCase, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, testCase.timeoutMs);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', onAbort);
+    }
+
+    const startTime = process.hrtime.bigint();
+    let firstTokenTime = null;
+    let response = '';
+
+    let final;
+    try {
+      final = await this.ollamaMonitor.streamRequest('/api/generate', {
+        model,
+        prompt: testCase.prompt,
+        stream: true,
+        ...(testCase.system ? { system: testCase.system } : {}),
+        ...(testCase.format ? { format: testCase.format } : {}),
+        options: testCase.options
+      }, (event) => {
+        if (firstTokenTime === null && event.response) {
+          firstTokenTime = process.hrtime.bigint();
+        }
+        response += event.response || '';
+      }, { signal: controller.signal });
+    } catch (error) {
+      if (timedOut) throw new Error(`No complete response within ${testCase.timeoutMs} ms`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    if (!final || !final.done) {
+      throw new Error('Ollama closed the stream before the generation finished');
+    }
+
+    const endTime = process.hrtime.bigint();
+    const loadDurationMs = (final.load_duration || 0) / NS_PER_MS;
+    const totalDurationMs = Number(endTime - startTime) / NS_PER_MS;
+    return {
+      response,
+      latencyMs: Math.round(Math.max(0, totalDurationMs - loadDurationMs)),
+      totalDurationMs: Math.round(totalDurationMs),
+      timeToFirstTokenMs: firstTokenTime !== null ? Math.round(Number(firstTokenTime - startTime) / NS_PER_MS - loadDurationMs) : null,
+      loadDurationMs: Math.round(loadDurationMs),
+      evalTokens: final.eval_count || 0,
+      evalTokensPerSecond: final.eval_count && final.eval_duration
+        ? Math.round((final.eval_count / (final.eval_duration / NS_PER_SECOND)) * 10) / 10
+        : null
+    };
+  }
+
+  // Returns { passed, message }; the message explains a failure
+  checkAssertion(assertion, result) {
+    const negate = (matched, description) => {
+      const passed = assertion.not ? !matched : matched;
+      return { passed, message: passed ? null : `${assertion.not ? 'Should not' : 'Should'} ${description}` };
+    };
+
+    switch (assertion.type) {
+      case 'contains': {
+        const haystack = assertion.ignoreCase ? result.response.toLowerCase() : result.response;
+        const needle = assertion.ignoreCase ? assertion.value.toLowerCase() : assertion.value;
+        return negate(haystack.includes(needle), `contain ${JSON.stringify(assertion.value)}`);
+      }
+
+      case 'regex':
+        return negate(new RegExp(assertion.pattern, assertion.flags).test(result.response), `match /${assertion.pattern}/${assertion.flags}`);
+
+      case 'json-schema': {
+        let value;
+        try {
+          value = JSON.parse(this.extractJson(result.response));
+        } catch (error) {
+          return { passed: false, message: `Response is not valid JSON: ${error.message}` };
+        }
+        const errors = this.schemaValidator.validate(assertion.schema, value);
+        return { passed: errors.length === 0, message: errors.length > 0 ? `Schema mismatch: ${errors.join('; ')}` : null };
+      }
+
+      case 'max-latency': {
+        const passed = result.latencyMs <= assertion.ms;
+        return { passed, message: passed ? null : `Took ${result.latencyMs} ms without model load, limit is ${assertion.ms} ms` };
+      }
+    }
+    return { passed: false, message: `Unknown assertion type ${assertion.type}` };
+  }
+
+  // Models often wrap JSON in a Markdown code fence even when asked not to
+  extractJson(response) {
+    const fenced = response.trim().match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/i);
+    return fenced ? fenced[1] : response.trim();
+  }
+
+  describeAssertion(assertion) {
+    switch (assertion.type) {
+      case 'contains': return `${assertion.not ? 'not ' : ''}contains ${JSON.stringify(assertion.value)}`;
+      case 'regex': return `${assertion.not ? 'not ' : ''}matches /${assertion.pattern}/${assertion.flags}`;
+      case 'json-schema': return assertion.schema === true ? 'is JSON' : 'matches JSON schema';
+      case 'max-latency': return `latency <= ${assertion.ms} ms (excluding model load)`;
+    }
+    return assertion.type;
+  }
+
+  previewResponse(response) {
+    const flat = response.replace(/\s+/g, ' ').trim();
+    return flat.length > RESPONSE_PREVIEW_LENGTH ? `${flat.slice(0, RESPONSE_PREVIEW_LENGTH)}…` : flat;
+  }
+
+  // One <testsuite> per model, so CI shows how each model did on its own
+  toJUnit(report) {
+    const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${this.escapeXml(report.suite)}" tests="${report.summary.total}" failures="${report.summary.failed}" ` +
+        `errors="${report.summary.errors}" time="${seconds(report.durationMs)}">`
+    ];
+
+    report.models.forEach(({ model, summary }) => {
+      const results = report.results.filter(result => result.model === model);
+      const time = results.reduce((sum, result) => sum + (result.totalDurationMs || 0), 0);
+      lines.push(`  <testsuite name="${this.escapeXml(`${report.suite} (${model})`)}" tests="${summary.total}" ` +
+        `failures="${summary.failed}" errors="${summary.errors}" time="${seconds(time)}" timestamp="${report.startedAt}">`);
+
+      results.forEach(result => {
+        const attributes = `name="${this.escapeXml(result.case)}" classname="${this.escapeXml(`${report.suite}.${model}`)}" time="${seconds(result.totalDurationMs)}"`;
+        lines.push(`    <testcase ${attributes}>`);
+        if (result.status === 'error') {
+          lines.push(`      <error message="${this.escapeXml(result.error)}"/>`);
+        } else {
+          result.assertions.filter(assertion => !assertion.passed).forEach(assertion => {
+            lines.push(`      <failure type="${assertion.type}" message="${this.escapeXml(assertion.message)}">` +
+              `${this.escapeXml(this.describeAssertion(assertion))}</failure>`);
+          });
+          lines.push(`      <system-out>${this.escapeXml(result.response)}</system-out>`);
+        }
+        lines.push('    </testcase>');
+      });
+      lines.push('  </testsuite>');
+    });
+
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+  }
+
+  escapeXml(value) {
+    return String(value ?? '')
+      // Control characters are not allowed in XML 1.0, even escaped
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Writes <suite>.junit.xml and <suite>.json into outputDir and returns both paths
+  async writeReports(report, outputDir) {
+    const baseName = report.suite.replace(/[^a-zA-Z0-9._-]/g, '_');
+    const junitPath = path.join(outputDir, `${baseName}.junit.xml`);
+    const jsonPath = path.join(outputDir, `${baseName}.json`);
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    await fs.promises.writeFile(junitPath, this.toJUnit(report));
+    await fs.promises.writeFile(jsonPath, JSON.stringify(report, null, 2) + '\n');
+    return { junit: junitPath, json: jsonPath };
+  }
+}
+
+PromptEval.ASSERTION_TYPES = ASSERTION_TYPES;
+
+module.exports = PromptEval;
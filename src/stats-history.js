@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 2000;
+
+class StatsHistory {
+  // The buffer holds retentionMs worth of samples taken every intervalMs, so the retained window stays
+  // the same when the sampling interval changes
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.capacity = Math.ceil(this.retentionMs / (options.intervalMs || DEFAULT_INTERVAL_MS));
+    this.persistPath = options.persistPath || null;
+    this.samples = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  push(stats) {
+    return this.append(this.compact(stats));
+  }
+
+  append(sample) {
+    const index = (this.start + this.size) % this.capacity;
+    this.samples[index] = sample;
+
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+    return sample;
+  }
+
+  // Keep only the chartable numbers so an hour of history stays small
+  compact(stats) {
+    return {
+      time: new Date(stats.timestamp).getTime(),
+      cpu: stats.cpu.usage,
+      cpuTemperature: stats.cpu.temperature,
+      memory: stats.memory.usagePercentage,
+      memoryUsedGB: stats.memory.usedGB,
+      gpu: stats.gpu.map(gpu => ({
+        utilization: gpu.utilizationGpu,
+        memoryUtilization: gpu.utilizationMemory,
+        temperature: gpu.temperature
+      }))
+    };
+  }
+
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.size; i++) {
+      result.push(this.samples[(this.start + i) % this.capacity]);
+    }
+    return result;
+  }
+
+  parseDuration(value) {
+    const match = String(value).match(/^(\d+(?:\.\d+)?)([smh])$/);
+    return match ? parseFloat(match[1]) * DURATION_UNITS[match[2]] : null;
+  }
+
+  // Accepts a relative duration ("15m"), epoch milliseconds or an ISO timestamp
+  parseSince(since, now = Date.now()) {
+    if (since === undefined || since === null || since === '') return 0;
+
+    const duration = this.parseDuration(since);
+    if (duration !== null) return now - duration;
+    if (/^\d+$/.test(String(since))) return Number(since);
+
+    const time = new Date(since).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid "since" value: ${since}. Use a duration like 15m, epoch milliseconds or an ISO date`);
+    }
+    return time;
+  }
+
+  // Accepts seconds ("10") or a duration ("30s", "1m")
+  parseResolution(resolution) {
+    if (resolution === undefined || resolution === null || resolution === '') return null;
+
+    const duration = /^\d+$/.test(String(resolution)) ? Number(resolution) * 1000 : this.parseDuration(resolution);
+    if (!duration || duration <= 0) {
+      throw new Error(`Invalid "resolution" value: ${resolution}. Use seconds or a duration like 30s or 1m`);
+    }
+    return duration;
+  }
+
+  query(options = {}) {
+    const sinceTime = this.parseSince(options.since);
+    const resolutionMs = this.parseResolution(options.resolution);
+    const samples = this.toArray().filter(sample => sample.time >= sinceTime);
+
+    return {
+      since: sinceTime ? new Date(sinceTime).toISOString() : null,
+      resolutionSeconds: resolutionMs ? resolutionMs / 1000 : null,
+      count: samples.length,
+      points: resolutionMs ? this.downsample(samples, resolutionMs) : samples.map(sample => ({
+        ...sample,
+        timestamp: new Date(sample.time).toISOString()
+      }))
+    };
+  }
+
+  downsample(samples, resolutionMs) {
+    const buckets = new Map();
+    samples.forEach(sample => {
+      const bucketStart = Math.floor(sample.time / resolutionMs) * resolutionMs;
+      if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+      buckets.get(bucketStart).push(sample);
+    });
+
+    const points = [];
+    buckets.forEach((bucket, bucketStart) => {
+      const gpuCount = Math.max(...bucket.map(sample => sample.gpu.length));
+      const gpu = [];
+      for (let index = 0; index < gpuCount; index++) {
+        const readings = bucket.map(sample => sample.gpu[index]).filter(Boolean);
+        gpu.push({
+          utilization: this.aggregate(readings.map(reading => reading.utilization)),
+          memoryUtilization: this.aggregate(readings.map(reading => reading.memoryUtilization)),
+          temperature: this.aggregate(readings.map(reading => reading.temperature))
+        });
+      }
+
+      points.push({
+        timestamp: new Date(bucketStart).toISOString(),
+        samples: bucket.length,
+        cpu: this.aggregate(bucket.map(sample => sample.cpu)),
+        cpuTemperature: this.aggregate(bucket.map(sample => sample.cpuTemperature)),
+        memory: this.aggregate(bucket.map(sample => sample.memory)),
+        memoryUsedGB: this.aggregate(bucket.map(sample => sample.memoryUsedGB)),
+        gpu
+      });
+    });
+    return points;
+  }
+
+  aggregate(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    if (numbers.length === 0) return { min: null, avg: null, max: null };
+
+    return {
+      min: Math.min(...numbers),
+      avg: Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 10) / 10,
+      max: Math.max(...numbers)
+    };
+  }
+
+  async load() {
+    if (!this.persistPath) return 0;
+
+    try {
+      const content = await fs.promises.readFile(this.persistPath, 'utf8');
+      // Samples from before the retention window are dropped, as they would have been had the server kept running
+      const oldest = Date.now() - this.retentionMs;
+      const samples = (JSON.parse(content).samples || []).filter(sample => sample.time >= oldest).slice(-this.capacity);
+      samples.forEach(sample => this.append(sample));
+      return samples.length;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not load stats history from ${this.persistPath}: ${error.message}`);
+      }
+      return 0;
+    }
+  }
+
+  async save() {
+    if (!this.persistPath) return;
+
+    // Write to a temp file first so a crash never leaves a half-written history
+    const tempPath = `${this.persistPath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.persistPath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify({ savedAt: new Date().toISOString(), samples: this.toArray() }));
+    await fs.promises.rename(tempPath, this.persistPath);
+  }
+}
+
+module.exports = StatsHistory;
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const GPUProbes = require('../src/gpu-probes');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'gpu-probes');
+const readFixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const MiB = 1024 * 1024;
+
+test('parseNvidiaSmi reads every GPU and treats [N/A] fields as missing', () => {
+  const gpus = new GPUProbes().parseNvidiaSmi(readFixture('nvidia-smi-multi-gpu.csv'));
+
+  assert.equal(gpus.length, 3);
+  assert.deepEqual(gpus[0], {
+    busAddress: '01:00.0',
+    vendorId: '10de',
+    name: 'NVIDIA GeForce RTX 4090',
+    vramBytes: 24564 * MiB,
+    driverVersion: '550.54.14',
+    uuid: 'GPU-5a1b7f0e-3c2d-4e8f-9a1b-2c3d4e5f6a7b',
+    probe: 'nvidia-smi'
+  });
+  assert.equal(gpus[1].name, 'NVIDIA RTX A6000');
+  assert.equal(gpus[1].busAddress, '41:00.0');
+  assert.equal(gpus[1].vramBytes, 49140 * MiB);
+
+  // A vGPU reports neither its memory nor a UUID
+  assert.equal(gpus[2].name, 'NVIDIA GRID T4-4Q');
+  assert.equal(gpus[2].busAddress, '02:05.0');
+  assert.equal(gpus[2].vramBytes, null);
+  assert.equal(gpus[2].uuid, null);
+  assert.equal(gpus[2].driverVersion, '550.54.14');
+});
+
+test('parseNvidiaSmi keeps commas inside GPU names', () => {
+  const [gpu] = new GPUProbes().parseNvidiaSmi('0, NVIDIA Tesla V100-SXM2-16GB, Rev A, 00000000:3B:00.0, 16160, 535.104.05, GPU-1\n');
+  assert.equal(gpu.name, 'NVIDIA Tesla V100-SXM2-16GB, Rev A');
+  assert.equal(gpu.busAddress, '3b:00.0');
+});
+
+test('parseRocmSmi reads ROCm 5 key names', () => {
+  const gpus = new GPUProbes().parseRocmSmi(readFixture('rocm-smi-5.7.json'));
+
+  assert.deepEqual(gpus, [{
+    busAddress: '03:00.0',
+    vendorId: '1002',
+    name: 'Navi 31 [Radeon RX 7900 XT/7900 XTX]',
+    vramBytes: 25753026560,
+    driverVersion: '6.2.0-39-generic',
+    probe: 'rocm-smi'
+  }]);
+});
+
+test('parseRocmSmi reads ROCm 6 key names on a multi-GPU system', () => {
+  const gpus = new GPUProbes().parseRocmSmi(readFixture('rocm-smi-6.1.json'));
+
+  assert.equal(gpus.length, 2);
+  assert.deepEqual(gpus.map(gpu => gpu.busAddress), ['c1:00.0', 'c2:00.0']);
+  gpus.forEach(gpu => {
+    assert.equal(gpu.name, 'AMD Instinct MI210');
+    // Total, not "VRAM Total Used Memory"
+    assert.equal(gpu.vramBytes, 68702699520);
+    assert.equal(gpu.driverVersion, '6.7.0');
+  });
+});
+
+test('readSysfs reads amdgpu VRAM and skips connectors and render nodes', async () => {
+  const gpus = await new GPUProbes({ sysfsDir: path.join(FIXTURES, 'sysfs', 'drm'), platform: 'linux' }).readSysfs();
+  const byBus = Object.fromEntries(gpus.map(gpu => [gpu.busAddress, gpu]));
+
+  assert.equal(gpus.length, 2);
+  assert.deepEqual(byBus['03:00.0'], {
+    busAddress: '03:00.0',
+    vendorId: '1002',
+    deviceId: '744c',
+    name: null,
+    vramBytes: 25753026560,
+    driverVersion: null,
+    probe: 'sysfs'
+  });
+  // Intel integrated graphics has no mem_info_vram_total
+  assert.equal(byBus['00:02.0'].vendorId, '8086');
+  assert.equal(byBus['00:02.0'].deviceId, 'a780');
+  assert.equal(byBus['00:02.0'].vramBytes, null);
+});
+
+test('readSysfsUsage reads amdgpu load, memory use and temperature', async () => {
+  const usage = await new GPUProbes({ sysfsDir: path.join(FIXTURES, 'sysfs', 'drm'), platform: 'linux' }).readSysfsUsage();
+
+  assert.deepEqual(usage, [{
+    busAddress: '03:00.0',
+    utilizationGpu: 37,
+    utilizationMemory: 12,
+    memoryUsedBytes: 1060032512,
+    memoryTotalBytes: 25753026560,
+    temperature: 52
+  }]);
+});
+
+test('parseSysfsCard ignores cards without vendor or device IDs', () => {
+  assert.equal(new GPUProbes().parseSysfsCard({ busAddress: '0000:03:00.0', vendor: null, device: '0x744c', vramTotal: null }), null);
+});